@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+/**
+ * Required Return Command-Line Interface
+ * Runs the calculator's calculation and validation modules without a browser
+ *
+ * Usage:
+ *   reqreturn --price 54.56 --dividend 5.10 --growth 4.8 --years 10 --format table
+ *   reqreturn --input stocks.csv --format csv
+ *
+ * Exit codes: 0 success, 1 invalid input, 2 usage error
+ * Assumption warnings are printed to standard error without failing the run.
+ */
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { MODELS } from '../return-modules/calculations.js';
+import { BATCH_FIELDS, parseBatchValues, parseBatchCSV, screenStock } from '../return-modules/batch.js';
+import { buildExportSheet, toCSV } from '../return-modules/export.js';
+import { formatCurrency, formatPercentage, formatNumber, formatPeriod } from '../return-modules/utils.js';
+
+const USAGE = `Usage: reqreturn [options]
+       reqreturn --input <file.csv|-> [options]
+
+Calculate the required return implied by a stock's price and dividend.
+
+Inputs:
+  --price <P0>               Current market price
+  --dividend <D0>            Current annual dividend
+  --growth <g>               Growth rate in percent (stable growth for multi-stage models)
+  --years <n>                Projection horizon in years (default 10)
+  --model <model>            ${Object.keys(MODELS).join(', ')} (default constant)
+  --high-growth <gS>         High growth rate in percent (multi-stage models)
+  --high-growth-years <N>    Length of the high-growth period (multi-stage models)
+
+Batch:
+  -i, --input <file>         CSV with a header row of ticker and any input names
+                             above (without the dashes); '-' reads standard input.
+                             Flags set the value for columns the file omits.
+
+Output:
+  -f, --format <format>      table, csv or json (default table)
+  -h, --help                 Show this help
+`;
+
+const FORMATS = ['table', 'csv', 'json'];
+
+/**
+ * Columns of the batch summary: [label, value from result, display formatter]
+ */
+const SUMMARY_COLUMNS = [
+  ['Ticker', result => result.ticker, value => value],
+  ['Model', result => result.calculations.model, value => value],
+  ['Market price (P0)', result => result.calculations.inputs.marketPrice, value => formatCurrency(value)],
+  ['Current dividend (D0)', result => result.calculations.inputs.currentDividend, value => formatCurrency(value)],
+  ['Growth rate (g) (%)', result => result.calculations.inputs.growthRate, value => formatPercentage(value)],
+  ['Next dividend (D1)', result => result.calculations.d1, value => formatCurrency(value)],
+  ['Dividend yield (D1/P0) (%)', result => result.calculations.dividendYield, value => formatPercentage(value)],
+  ['Required return (r) (%)', result => result.calculations.requiredReturn, value => formatPercentage(value)]
+];
+
+/**
+ * Columns of the single-stock projection table
+ */
+const SCHEDULE_COLUMNS = [
+  ['Year', (cf, periodsPerYear) => formatPeriod(cf, periodsPerYear)],
+  ['Dividend', cf => formatCurrency(cf.dividend)],
+  ['Cash flow', cf => formatCurrency(cf.totalCashFlow)],
+  ['Cumulative', cf => formatCurrency(cf.cumulativeCashFlow)],
+  ['Discount factor', cf => formatNumber(cf.discountFactor, 4)],
+  ['PV of dividend', cf => cf.year === 0 ? '—' : formatCurrency(cf.presentValue)],
+  ['Cumulative PV', cf => cf.year === 0 ? '—' : formatCurrency(cf.cumulativePresentValue)]
+];
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  const options = {
+    input: { type: 'string', short: 'i' },
+    format: { type: 'string', short: 'f', default: 'table' },
+    help: { type: 'boolean', short: 'h' }
+  };
+  Object.keys(BATCH_FIELDS).forEach(name => {
+    options[name] = { type: 'string' };
+  });
+  
+  let values;
+  try {
+    ({ values } = parseArgs({ args: argv, options, allowPositionals: false }));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`Unknown format '${values.format}' (expected ${FORMATS.join(', ')})`);
+  }
+  return values;
+}
+
+function readInput(path) {
+  try {
+    return readFileSync(path === '-' ? 0 : path, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Pad columns of display text into an aligned plain-text table
+ * The first column is left-aligned, the rest right-aligned.
+ */
+function formatTable(columns, rows) {
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...rows.map(row => row[index].length))
+  );
+  const line = cells => cells
+    .map((cell, index) => index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))
+    .join('  ')
+    .trimEnd();
+  
+  return [
+    line(columns),
+    line(widths.map(width => '-'.repeat(width))),
+    ...rows.map(line)
+  ].join('\n') + '\n';
+}
+
+function toJSONResult({ ticker, calculations, warnings = [] }, includeSchedule) {
+  const { model, inputs, requiredReturn, d1, dividendYield, horizonValue, totalPresentValue, cashFlows } = calculations;
+  return {
+    ...(ticker !== undefined ? { ticker } : {}),
+    model,
+    inputs,
+    requiredReturn,
+    nextDividend: d1,
+    dividendYield,
+    warnings: warnings.map(({ key, message }) => ({ key, message })),
+    ...(includeSchedule ? { horizonValue, totalPresentValue, cashFlows } : {})
+  };
+}
+
+function renderSingle(result, format) {
+  const { calculations } = result;
+  
+  if (format === 'json') {
+    return JSON.stringify(toJSONResult(result, true), null, 2) + '\n';
+  }
+  if (format === 'csv') {
+    return toCSV(buildExportSheet(calculations, result.inputs));
+  }
+  
+  const summary = [
+    `Model: ${MODELS[calculations.model]}`,
+    `Required return (r): ${formatPercentage(calculations.requiredReturn)}`,
+    `Next dividend (D1): ${formatCurrency(calculations.d1)}`,
+    `Dividend yield (D1/P0): ${formatPercentage(calculations.dividendYield)}`,
+    `Sum of present values: ${formatCurrency(calculations.totalPresentValue)}`
+  ].join('\n');
+  const rows = calculations.cashFlows.map(cf =>
+    SCHEDULE_COLUMNS.map(([, format]) => format(cf, calculations.periodsPerYear))
+  );
+  return `${summary}\n\n${formatTable(SCHEDULE_COLUMNS.map(([label]) => label), rows)}`;
+}
+
+function renderBatch(results, format) {
+  if (format === 'json') {
+    return JSON.stringify(results.map(result => toJSONResult(result, false)), null, 2) + '\n';
+  }
+  
+  const columns = SUMMARY_COLUMNS.map(([label]) => label);
+  if (format === 'csv') {
+    const rows = results.map(result => SUMMARY_COLUMNS.map(([, value]) => value(result)));
+    return toCSV({ columns, rows });
+  }
+  
+  const rows = results.map(result => SUMMARY_COLUMNS.map(([, value, display]) => display(value(result))));
+  return formatTable(columns, rows);
+}
+
+function reportErrors(errors, prefix = '') {
+  Object.values(errors).forEach(message => {
+    process.stderr.write(`${prefix}${message}\n`);
+  });
+}
+
+function reportWarnings(warnings, prefix = '') {
+  warnings.forEach(({ message }) => {
+    process.stderr.write(`${prefix}warning: ${message}\n`);
+  });
+}
+
+function run(argv) {
+  const options = parseOptions(argv);
+  if (options.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  
+  const flagInputs = parseBatchValues(options);
+  
+  if (options.input === undefined) {
+    const result = screenStock(flagInputs);
+    if (!result.calculations) {
+      reportErrors(result.errors, 'reqreturn: ');
+      return 1;
+    }
+    reportWarnings(result.warnings, 'reqreturn: ');
+    process.stdout.write(renderSingle(result, options.format));
+    return 0;
+  }
+  
+  let stocks;
+  try {
+    stocks = parseBatchCSV(readInput(options.input), flagInputs);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  
+  const results = [];
+  let invalid = 0;
+  stocks.forEach(({ ticker, inputs }) => {
+    const { errors, warnings, calculations } = screenStock(inputs);
+    if (calculations) {
+      reportWarnings(warnings, `${ticker}: `);
+      results.push({ ticker, calculations, warnings });
+    } else {
+      invalid++;
+      reportErrors(errors, `${ticker}: `);
+    }
+  });
+  
+  process.stdout.write(renderBatch(results, options.format));
+  return invalid > 0 ? 1 : 0;
+}
+
+try {
+  process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+  if (!(error instanceof UsageError)) throw error;
+  process.stderr.write(`reqreturn: ${error.message}\nTry 'reqreturn --help' for usage.\n`);
+  process.exitCode = 2;
+}
@@ -3,17 +3,43 @@
  * CFA Institute - Vanilla JavaScript Implementation
  * 
  * This calculator demonstrates required return calculations using the
- * Gordon Growth Model: r = (D₁ / P₀) + g
+ * Gordon Growth Model: r = (D₁ / P₀) + g, plus two-stage and H-model
+ * variants where r is solved numerically from the dividend path.
  * Built with accessibility (WCAG 2.1 AA) and maintainability in mind.
  */
 
 import { state, setState, subscribe } from './return-modules/state.js';
-import { calculateRequiredReturnMetrics } from './return-modules/calculations.js';
+import { 
+  calculateRequiredReturnMetrics, 
+  generateSensitivityGrid,
+  calculateSustainableGrowth,
+  calculateCostOfEquityEstimates,
+  calculateRealReturn,
+  toRealTerms,
+  calculateAfterTaxReturn,
+  addAfterTaxDividends,
+  fisherRealRate,
+  calculateNetBuyback,
+  BUYBACK_BASES,
+  PAYOUT_FREQUENCIES,
+  RETENTION_BASES
+} from './return-modules/calculations.js';
 import { 
   validateAllInputs, 
   validateField, 
   updateFieldError, 
   updateValidationSummary,
+  getRelevantErrors,
+  validateSolveFor,
+  validateSustainableGrowth,
+  validateSensitivitySettings,
+  validateCrossCheckSettings,
+  validatePaymentSchedule,
+  validateTotalPayout,
+  validateInflationSettings,
+  validateTaxSettings,
+  validateSimulationSettings,
+  validateAssumptions,
   hasErrors 
 } from './return-modules/validation.js';
 import { 
@@ -21,12 +47,45 @@ import {
   listen, 
   focusElement, 
   announceToScreenReader,
-  debounce
+  debounce,
+  escapeHTML,
+  updateErrorList,
+  syncNumberFields,
+  copyToClipboard,
+  formatCurrency,
+  formatPercentage,
+  setNumberFormat,
+  CURRENCIES,
+  LOCALES
 } from './return-modules/utils.js';
-import { renderChart, shouldShowLabels, destroyChart } from './return-modules/chart.js';
+import { renderChart, renderScenarioLegend, shouldShowLabels, destroyChart } from './return-modules/chart.js';
 import { renderTable } from './return-modules/table.js';
-import { renderResults } from './return-modules/results.js';
+import {
+  renderResults,
+  annotateResultWarnings,
+  annotateRealReturn,
+  annotateAfterTaxReturn
+} from './return-modules/results.js';
 import { renderDynamicEquation } from './return-modules/equation.js';
+import { renderSensitivityTable } from './return-modules/sensitivity.js';
+import { runMonteCarlo } from './return-modules/simulation.js';
+import { analyzeDividendHistory } from './return-modules/dividend-history.js';
+import { SCHEDULE_ENTRIES, calculateDatedReturnMetrics, addMonths, toLocalISODate } from './return-modules/payment-schedule.js';
+import { renderGrowthEstimates } from './return-modules/growth-estimates.js';
+import { renderSimulation, destroyHistogram } from './return-modules/histogram.js';
+import {
+  captureScenarioInputs,
+  resolveSolveFor,
+  loadScenarios,
+  saveScenarios,
+  upsertScenario,
+  removeScenario,
+  buildScenarioComparisons
+} from './return-modules/scenarios.js';
+import { PERMALINK_FIELDS, readPermalink, mergePermalink, writePermalink, buildPermalink } from './return-modules/permalink.js';
+import { buildExportSheet, toCSV, toSpreadsheetML, downloadFile } from './return-modules/export.js';
+import { buildChartSVG, svgToPNG } from './return-modules/chart-export.js';
+import { HISTORY_FIELDS, resetHistory, recordHistory, undo, redo, canUndo, canRedo } from './return-modules/history.js';
 
 // =============================================================================
 // INITIALIZATION
@@ -36,12 +95,32 @@ function init() {
   console.log('Required Return Calculator initializing...');
   
   setupInputListeners();
+  setupPayoutFrequency();
+  setupTotalPayoutControls();
+  setupPaymentScheduleControls();
+  setupInflationControls();
+  setupTaxControls();
+  setupNumberFormatControls();
+  setupGrowthInputSelector();
+  setupModelSelector();
+  setupSolveForSelector();
   setupViewToggle();
+  setupSensitivityControls();
+  setupCrossCheckControls();
+  setupDividendHistoryControls();
+  setupSimulationControls();
+  setupScenarioControls();
+  setupShareControls();
+  setupHistoryControls();
+  setupExportControls();
   setupSkipLinks();
   setupResizeListener();
-  subscribe(handleStateChange);
+  subscribeRenderers();
+  restorePermalink();
   updateCalculations();
-  runSelfTests();
+  subscribe(writePermalink, s => PERMALINK_FIELDS.map(field => s[field]));
+  resetHistory(state);
+  subscribe(scheduleHistoryRecord, s => HISTORY_FIELDS.map(field => s[field]));
   
   console.log('Required Return Calculator ready');
 }
@@ -69,14 +148,22 @@ function setupSkipLinks() {
 // INPUT HANDLING
 // =============================================================================
 
+const INPUT_FIELDS = [
+  { id: 'market-price', field: 'marketPrice' },
+  { id: 'current-dividend', field: 'currentDividend' },
+  { id: 'growth-rate', field: 'growthRate' },
+  { id: 'target-return', field: 'targetReturn' },
+  { id: 'high-growth-rate', field: 'highGrowthRate' },
+  { id: 'high-growth-years', field: 'highGrowthYears' },
+  { id: 'projection-years', field: 'projectionYears' },
+  { id: 'roe', field: 'roe' },
+  { id: 'retention-ratio', field: 'retentionRatio' },
+  { id: 'payout-ratio', field: 'payoutRatio' },
+  { id: 'eps', field: 'eps' }
+];
+
 function setupInputListeners() {
-  const inputs = [
-    { id: 'market-price', field: 'marketPrice' },
-    { id: 'current-dividend', field: 'currentDividend' },
-    { id: 'growth-rate', field: 'growthRate' }
-  ];
-  
-  inputs.forEach(({ id, field }) => {
+  INPUT_FIELDS.forEach(({ id, field }) => {
     const input = $(`#${id}`);
     if (!input) return;
     
@@ -93,9 +180,9 @@ function setupInputListeners() {
       }
       
       setState({ [field]: value, errors });
-      updateValidationSummary(errors);
+      updateValidationSummary(getRelevantErrors(errors, state));
       
-      if (!hasErrors(errors)) {
+      if (!hasErrors(getRelevantErrors(errors, state))) {
         updateCalculations();
       }
     }, 300);
@@ -105,22 +192,120 @@ function setupInputListeners() {
   });
 }
 
+/**
+ * Replace all calculator inputs and settings at once (scenarios, links, undo)
+ * @param {Object} restored - Values for the SCENARIO_FIELDS
+ */
+function applyInputs(restored) {
+  // Older scenarios and hand-edited links can pair a solve-for with a model or
+  // setting the controls would not allow, such as ?model=twoStage&solve=marketPrice
+  const inputs = resolveSolveFor(restored);
+  const { totalPayout, paymentSchedule, inflation, tax, ...values } = inputs;
+  const errors = validateAllInputs(values);
+  setState({ ...values, errors });
+  
+  INPUT_FIELDS.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    input.value = inputs[field];
+    updateFieldError(id, errors[field]);
+  });
+  
+  syncModelControls(inputs.model);
+  syncGrowthInputControls(inputs.growthInput, inputs.retentionBasis);
+  syncSolveForControls(inputs.solveFor);
+  syncPayoutFrequency(inputs.payoutFrequency);
+  
+  updateTotalPayout(totalPayout);
+  updatePaymentSchedule(paymentSchedule);
+  updateInflation(inflation);
+  updateTax(tax);
+  
+  updateValidationSummary(getRelevantErrors(errors, state));
+  updateCalculations();
+}
+
 function updateCalculations() {
-  const { marketPrice, currentDividend, growthRate, errors } = state;
+  const { 
+    marketPrice, 
+    currentDividend, 
+    growthRate, 
+    growthInput,
+    roe,
+    retentionBasis,
+    retentionRatio,
+    payoutRatio,
+    eps,
+    model, 
+    highGrowthRate, 
+    highGrowthYears, 
+    solveFor,
+    targetReturn,
+    projectionYears,
+    payoutFrequency,
+    totalPayout,
+    paymentSchedule,
+    errors 
+  } = state;
+  
+  if (hasErrors(getRelevantErrors(errors, state))) {
+    setState({ returnCalculations: null });
+    return;
+  }
+  
+  const sustainableErrors = validateSustainableGrowth(state);
+  if (hasErrors(sustainableErrors)) {
+    updateValidationSummary({ ...getRelevantErrors(errors, state), ...sustainableErrors });
+    setState({ returnCalculations: null });
+    return;
+  }
+  
+  const effectiveGrowth = growthInput === 'sustainable'
+    ? calculateSustainableGrowth(state).growthRate
+    : growthRate;
+  const solveErrors = validateSolveFor(solveFor, { currentDividend, growthRate: effectiveGrowth, targetReturn });
+  if (hasErrors(solveErrors)) {
+    updateValidationSummary({ ...getRelevantErrors(errors, state), ...solveErrors });
+    setState({ returnCalculations: null });
+    return;
+  }
   
-  if (hasErrors(errors)) {
+  // Payout and schedule errors are listed under their own inputs. The payout
+  // check depends on P₀ and D₀, so it is repeated whenever they change.
+  const payoutErrors = validateTotalPayout(totalPayout, state);
+  updateErrorList('total-payout-errors', payoutErrors);
+  if (hasErrors(payoutErrors) || hasErrors(validatePaymentSchedule(paymentSchedule))) {
     setState({ returnCalculations: null });
     return;
   }
   
   try {
-    const calculations = calculateRequiredReturnMetrics({
+    const params = {
       marketPrice,
       currentDividend,
-      growthRate
-    });
+      growthRate,
+      growthInput,
+      roe,
+      retentionBasis,
+      retentionRatio,
+      payoutRatio,
+      eps,
+      model,
+      highGrowthRate,
+      highGrowthYears,
+      solveFor,
+      targetReturn,
+      projectionYears,
+      payoutFrequency,
+      netBuyback: totalPayout.enabled ? calculateNetBuyback(totalPayout, marketPrice) : null
+    };
+    const calculations = paymentSchedule.dated && solveFor === 'requiredReturn'
+      ? calculateDatedReturnMetrics(params, paymentSchedule)
+      : calculateRequiredReturnMetrics(params);
     
-    setState({ returnCalculations: calculations });
+    const warnings = validateAssumptions(calculations);
+    setState({ returnCalculations: calculations, warnings });
+    updateValidationSummary({}, warnings);
   } catch (error) {
     console.error('Calculation error:', error);
     setState({ returnCalculations: null });
@@ -128,176 +313,1467 @@ function updateCalculations() {
 }
 
 // =============================================================================
-// VIEW TOGGLE
+// PAYOUT FREQUENCY
 // =============================================================================
 
-function setupViewToggle() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
+function setupPayoutFrequency() {
+  const select = $('#payout-frequency');
+  if (!select) return;
   
-  if (!chartBtn || !tableBtn) {
-    console.error('Toggle buttons not found');
-    return;
-  }
-  
-  listen(chartBtn, 'click', () => switchView('chart'));
-  listen(tableBtn, 'click', () => switchView('table'));
+  listen(select, 'change', () => {
+    const frequency = PAYOUT_FREQUENCIES[select.value];
+    if (!frequency) return;
+    
+    setState({ payoutFrequency: select.value });
+    updateCalculations();
+    announceToScreenReader(`${frequency.label} dividend payments selected`);
+  });
 }
 
-function switchView(view) {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const chartContainer = $('#chart-container');
-  const tableContainer = $('#table-container');
-  const legend = $('#chart-legend');
+function syncPayoutFrequency(payoutFrequency) {
+  const select = $('#payout-frequency');
+  if (select) select.value = payoutFrequency;
+}
+
+// =============================================================================
+// TOTAL PAYOUT (BUYBACKS AND ISSUANCE)
+// =============================================================================
+
+const TOTAL_PAYOUT_INPUTS = [
+  { id: 'buybacks', field: 'buybacks' },
+  { id: 'share-issuance', field: 'issuance' }
+];
+
+function setupTotalPayoutControls() {
+  listen('#total-payout-enabled', 'change', (e) => switchTotalPayout(e.target.checked));
   
-  setState({ viewMode: view });
+  document.querySelectorAll('.model-btn[data-buyback-basis]').forEach(btn => {
+    listen(btn, 'click', () => switchBuybackBasis(btn.dataset.buybackBasis));
+  });
   
-  if (view === 'chart') {
-    chartBtn.classList.add('active');
-    chartBtn.setAttribute('aria-pressed', 'true');
-    tableBtn.classList.remove('active');
-    tableBtn.setAttribute('aria-pressed', 'false');
-    
-    chartContainer.style.display = 'block';
-    tableContainer.style.display = 'none';
-    legend.style.display = 'flex';
-    
-    announceToScreenReader('Chart view active');
-    focusElement(chartContainer, 100);
-  } else {
-    tableBtn.classList.add('active');
-    tableBtn.setAttribute('aria-pressed', 'true');
-    chartBtn.classList.remove('active');
-    chartBtn.setAttribute('aria-pressed', 'false');
+  TOTAL_PAYOUT_INPUTS.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
     
-    tableContainer.style.display = 'block';
-    chartContainer.style.display = 'none';
-    legend.style.display = 'none';
+    const debouncedUpdate = debounce(() => {
+      updateTotalPayout({ [field]: parseFloat(input.value) });
+    }, 300);
     
-    announceToScreenReader('Table view active');
-    focusElement($('#cash-flow-table'), 100);
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
+  });
+}
+
+function switchTotalPayout(enabled) {
+  if (enabled && state.solveFor !== 'requiredReturn') {
+    switchSolveFor('requiredReturn');
   }
+  
+  updateTotalPayout({ enabled });
+  announceToScreenReader(enabled
+    ? 'Total payout: required return from dividends plus net buybacks'
+    : 'Required return from dividends only');
+}
+
+function switchBuybackBasis(basis) {
+  const { totalPayout, marketPrice } = state;
+  if (!BUYBACK_BASES[basis] || basis === totalPayout.basis) return;
+  
+  // Convert the amounts so the net buyback is unchanged
+  const round = (value) => Math.round(value * 100) / 100;
+  const convert = basis === 'yield'
+    ? (amount) => round(amount / marketPrice * 100)
+    : (amount) => round(amount / 100 * marketPrice);
+  
+  updateTotalPayout({
+    basis,
+    buybacks: convert(totalPayout.buybacks),
+    issuance: convert(totalPayout.issuance)
+  });
+  announceToScreenReader(`Buybacks and issuance entered ${BUYBACK_BASES[basis].toLowerCase()}`);
+}
+
+function updateTotalPayout(updates) {
+  const totalPayout = { ...state.totalPayout, ...updates };
+  const errors = validateTotalPayout(totalPayout, state);
+  
+  TOTAL_PAYOUT_INPUTS.forEach(({ id, field }) => {
+    updateFieldError(id, errors[field] || null);
+  });
+  updateErrorList('total-payout-errors', errors);
+  
+  setState({ totalPayout, totalPayoutErrors: errors });
+  syncTotalPayoutControls(totalPayout);
+  updateCalculations();
+}
+
+function syncTotalPayoutControls(totalPayout) {
+  const { enabled, basis } = totalPayout;
+  
+  const checkbox = $('#total-payout-enabled');
+  if (checkbox) checkbox.checked = enabled;
+  
+  const panel = $('#total-payout-inputs');
+  if (panel) panel.hidden = !enabled;
+  
+  const legend = $('#buyback-legend-item');
+  if (legend) legend.hidden = !enabled;
+  
+  syncNumberFields(TOTAL_PAYOUT_INPUTS, totalPayout);
+  
+  document.querySelectorAll('.model-btn[data-buyback-basis]').forEach(btn => {
+    const isActive = btn.dataset.buybackBasis === basis;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+  
+  // Amounts show the currency code, yields a percent sign
+  document.querySelectorAll('[data-payout-unit]').forEach(unit => {
+    unit.hidden = unit.dataset.payoutUnit !== basis;
+  });
+  
+  updateSolveForAvailability(state.model, state.growthInput);
 }
 
 // =============================================================================
-// RENDERING
+// PAYMENT SCHEDULE (DATED CASH FLOWS)
 // =============================================================================
 
-function handleStateChange(newState) {
-  const { returnCalculations, viewMode } = newState;
-  
-  if (!returnCalculations) return;
+const SCHEDULE_INPUTS = [
+  { id: 'purchase-date', field: 'purchaseDate' },
+  { id: 'first-payment-date', field: 'firstPaymentDate' },
+  { id: 'payment-dates', field: 'paymentDates' }
+];
+
+function setupPaymentScheduleControls() {
+  listen('#payment-schedule-dated', 'change', (e) => switchPaymentSchedule(e.target.checked));
   
-  renderResults(returnCalculations, {
-    marketPrice: newState.marketPrice,
-    currentDividend: newState.currentDividend,
-    growthRate: newState.growthRate
+  document.querySelectorAll('.model-btn[data-schedule-entry]').forEach(btn => {
+    listen(btn, 'click', () => {
+      const entry = btn.dataset.scheduleEntry;
+      if (!SCHEDULE_ENTRIES[entry] || entry === state.paymentSchedule.entry) return;
+      
+      updatePaymentSchedule({ entry });
+      announceToScreenReader(`Payment dates from ${SCHEDULE_ENTRIES[entry].toLowerCase()}`);
+    });
   });
   
-  renderDynamicEquation(returnCalculations, {
-    marketPrice: newState.marketPrice,
-    currentDividend: newState.currentDividend,
-    growthRate: newState.growthRate
+  SCHEDULE_INPUTS.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    const debouncedUpdate = debounce(() => {
+      updatePaymentSchedule({ [field]: input.value });
+    }, 300);
+    
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
   });
+}
+
+function switchPaymentSchedule(dated) {
+  const updates = { dated };
   
-  if (viewMode === 'chart') {
-    const showLabels = shouldShowLabels();
-    renderChart(returnCalculations.cashFlows, showLabels, returnCalculations.requiredReturn);
+  // Start from today, with the first payment one payment period later
+  if (dated && !state.paymentSchedule.purchaseDate) {
+    const today = toLocalISODate(new Date());
+    const { periodsPerYear } = PAYOUT_FREQUENCIES[state.payoutFrequency];
+    updates.purchaseDate = today;
+    updates.firstPaymentDate = addMonths(today, 12 / periodsPerYear);
   }
   
-  renderTable(returnCalculations.cashFlows, returnCalculations.requiredReturn);
+  if (dated && state.solveFor !== 'requiredReturn') {
+    switchSolveFor('requiredReturn');
+  }
+  
+  updatePaymentSchedule(updates);
+  announceToScreenReader(dated
+    ? 'Dated payments: required return solved from actual purchase and payment dates'
+    : 'Payments at whole years after purchase');
+}
+
+function updatePaymentSchedule(updates) {
+  const paymentSchedule = { ...state.paymentSchedule, ...updates };
+  const errors = validatePaymentSchedule(paymentSchedule);
+  
+  SCHEDULE_INPUTS.forEach(({ id, field }) => {
+    updateFieldError(id, errors[field] || null);
+  });
+  updateErrorList('payment-schedule-errors', errors);
+  
+  setState({ paymentSchedule, paymentScheduleErrors: errors });
+  syncPaymentScheduleControls(paymentSchedule);
+  updateCalculations();
+}
+
+function syncPaymentScheduleControls(paymentSchedule) {
+  const { dated, entry } = paymentSchedule;
+  
+  const checkbox = $('#payment-schedule-dated');
+  if (checkbox) checkbox.checked = dated;
+  
+  const panel = $('#payment-schedule-inputs');
+  if (panel) panel.hidden = !dated;
+  
+  syncNumberFields(SCHEDULE_INPUTS, paymentSchedule);
+  
+  document.querySelectorAll('.model-btn[data-schedule-entry]').forEach(btn => {
+    const isActive = btn.dataset.scheduleEntry === entry;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+  
+  const firstPaymentGroup = $('#first-payment-group');
+  if (firstPaymentGroup) firstPaymentGroup.hidden = entry !== 'frequency';
+  
+  const paymentDatesGroup = $('#payment-dates-group');
+  if (paymentDatesGroup) paymentDatesGroup.hidden = entry !== 'dates';
+  
+  updateSolveForAvailability(state.model, state.growthInput);
 }
 
 // =============================================================================
-// WINDOW RESIZE
+// INFLATION (REAL RETURNS)
 // =============================================================================
 
-function setupResizeListener() {
-  let resizeTimeout;
+const CASH_FLOW_TERMS = {
+  nominal: 'Nominal cash flows',
+  real: 'Real (inflation-adjusted) cash flows'
+};
+
+function setupInflationControls() {
+  listen('#inflation-enabled', 'change', (e) => {
+    updateInflation({ enabled: e.target.checked });
+    announceToScreenReader(e.target.checked ? 'Real returns shown' : 'Real returns hidden');
+  });
   
-  listen(window, 'resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      handleResponsiveView();
+  document.querySelectorAll('.model-btn[data-cash-flow-terms]').forEach(btn => {
+    listen(btn, 'click', () => {
+      const view = btn.dataset.cashFlowTerms;
+      if (!CASH_FLOW_TERMS[view] || view === state.inflation.view) return;
       
-      if (state.viewMode === 'chart' && state.returnCalculations) {
-        const showLabels = shouldShowLabels();
-        renderChart(state.returnCalculations.cashFlows, showLabels, state.returnCalculations.requiredReturn);
-      }
-    }, 250);
+      updateInflation({ view });
+      announceToScreenReader(`Chart and table show ${CASH_FLOW_TERMS[view].toLowerCase()}`);
+    });
   });
   
-  handleResponsiveView();
+  const input = $('#inflation-rate');
+  if (!input) return;
+  
+  const debouncedUpdate = debounce(() => {
+    updateInflation({ rate: parseFloat(input.value) });
+  }, 300);
+  
+  listen(input, 'input', debouncedUpdate);
+  listen(input, 'change', debouncedUpdate);
 }
 
-function handleResponsiveView() {
-  const chartBtn = $('#chart-view-btn');
-  const tableBtn = $('#table-view-btn');
-  const viewportWidth = window.innerWidth;
+function updateInflation(updates) {
+  const inflation = { ...state.inflation, ...updates };
+  const errors = validateInflationSettings(inflation);
   
-  if (viewportWidth < 600) {
-    if (state.viewMode === 'chart') {
-      switchView('table');
-    }
-    
-    if (chartBtn) {
-      chartBtn.disabled = true;
-      chartBtn.setAttribute('aria-disabled', 'true');
-      chartBtn.title = 'Chart view not available at this screen size';
-    }
-    if (tableBtn) {
-      tableBtn.disabled = false;
-      tableBtn.removeAttribute('aria-disabled');
-      tableBtn.title = '';
-    }
-  } else {
-    if (chartBtn) {
-      chartBtn.disabled = false;
-      chartBtn.removeAttribute('aria-disabled');
-      chartBtn.title = '';
-    }
+  updateFieldError('inflation-rate', errors.rate || null);
+  updateErrorList('inflation-errors', errors);
+  syncInflationControls(inflation);
+  
+  setState({ inflation, inflationErrors: errors });
+}
+
+function syncInflationControls(inflation) {
+  const { enabled, view } = inflation;
+  
+  const checkbox = $('#inflation-enabled');
+  if (checkbox) checkbox.checked = enabled;
+  
+  const panel = $('#inflation-inputs');
+  if (panel) panel.hidden = !enabled;
+  
+  syncNumberFields([{ id: 'inflation-rate', field: 'rate' }], inflation);
+  
+  document.querySelectorAll('.model-btn[data-cash-flow-terms]').forEach(btn => {
+    const isActive = btn.dataset.cashFlowTerms === view;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+}
+
+function getRealReturn({ inflation, inflationErrors, returnCalculations }) {
+  if (!returnCalculations || !inflation.enabled || hasErrors(inflationErrors)) return null;
+  return calculateRealReturn(returnCalculations, inflation.rate);
+}
+
+/**
+ * The projection, scenarios and cross-checks as the chart and table show them:
+ * nominal, or in real terms when the real view is chosen
+ */
+function getDisplayedProjection(settings) {
+  const { returnCalculations, inflation } = settings;
+  const comparisons = getComparisons(settings);
+  const crossChecks = getCrossChecks(settings);
+  if (!getRealReturn(settings) || inflation.view !== 'real') {
+    return { calculations: returnCalculations, comparisons, crossChecks };
   }
+  
+  return {
+    calculations: toRealTerms(returnCalculations, inflation.rate),
+    comparisons: comparisons.map(comparison => comparison.calculations
+      ? { ...comparison, calculations: toRealTerms(comparison.calculations, inflation.rate) }
+      : comparison),
+    crossChecks: crossChecks.map(check => ({ ...check, value: fisherRealRate(check.value / 100, inflation.rate / 100) * 100 }))
+  };
 }
 
 // =============================================================================
-// SELF-TESTS
+// TAXES (AFTER-TAX RETURNS)
 // =============================================================================
 
-function runSelfTests() {
-  console.log('Running self-tests...');
+const TAX_INPUTS = [
+  { id: 'dividend-tax-rate', field: 'dividendTaxRate' },
+  { id: 'capital-gains-tax-rate', field: 'capitalGainsTaxRate' }
+];
+
+function setupTaxControls() {
+  listen('#tax-enabled', 'change', (e) => {
+    updateTax({ enabled: e.target.checked });
+    announceToScreenReader(e.target.checked ? 'After-tax returns shown' : 'After-tax returns hidden');
+  });
   
-  const tests = [
-    {
-      name: 'Basic required return calculation',
-      inputs: { marketPrice: 50, currentDividend: 2, growthRate: 5 },
-      expected: { returnApprox: 9.2 } // (2*1.05)/50 + 0.05 = 0.042 + 0.05 = 0.092
-    },
-    {
-      name: 'Higher growth rate',
-      inputs: { marketPrice: 100, currentDividend: 3, growthRate: 8 },
-      expected: { returnApprox: 11.24 } // (3*1.08)/100 + 0.08 = 0.0324 + 0.08 = 0.1124
-    }
-  ];
+  TAX_INPUTS.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    const debouncedUpdate = debounce(() => {
+      updateTax({ [field]: parseFloat(input.value) });
+    }, 300);
+    
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
+  });
+}
+
+function updateTax(updates) {
+  const tax = { ...state.tax, ...updates };
+  const errors = validateTaxSettings(tax);
   
-  tests.forEach(test => {
-    try {
-      const result = calculateRequiredReturnMetrics(test.inputs);
-      
-      if (test.expected.returnApprox !== undefined) {
-        const diff = Math.abs(result.requiredReturn - test.expected.returnApprox);
-        if (diff <= 0.1) {
-          console.log(`✓ ${test.name} passed`);
-        } else {
-          console.warn(`✗ ${test.name} failed: expected ~${test.expected.returnApprox}%, got ${result.requiredReturn.toFixed(2)}%`);
-        }
-      }
-    } catch (error) {
-      console.error(`✗ ${test.name} threw error:`, error);
-    }
+  TAX_INPUTS.forEach(({ id, field }) => {
+    updateFieldError(id, errors[field] || null);
   });
+  updateErrorList('tax-errors', errors);
+  syncTaxControls(tax);
+  
+  setState({ tax, taxErrors: errors });
+}
+
+function syncTaxControls(tax) {
+  const checkbox = $('#tax-enabled');
+  if (checkbox) checkbox.checked = tax.enabled;
+  
+  const panel = $('#tax-inputs');
+  if (panel) panel.hidden = !tax.enabled;
+  
+  syncNumberFields(TAX_INPUTS, tax);
+}
+
+function getAfterTaxReturn({ tax, taxErrors, returnCalculations }) {
+  if (!returnCalculations || !tax.enabled || hasErrors(taxErrors)) return null;
+  return calculateAfterTaxReturn(returnCalculations, tax);
+}
+
+// =============================================================================
+// CURRENCY AND LOCALE
+// =============================================================================
+
+function setupNumberFormatControls() {
+  listen('#currency-select', 'change', (e) => switchNumberFormat({ currency: e.target.value }));
+  listen('#locale-select', 'change', (e) => switchNumberFormat({ locale: e.target.value }));
+}
+
+function switchNumberFormat(updates) {
+  const format = { currency: state.currency, locale: state.locale, ...updates };
+  if (!CURRENCIES[format.currency] || !LOCALES[format.locale]) return;
+  
+  setNumberFormat(format);
+  syncNumberFormatControls(format);
+  
+  // Range messages quote amounts in the display currency, so revalidate
+  const errors = validateAllInputs(state);
+  setState({ ...format, errors });
+  updateValidationSummary(getRelevantErrors(errors, state));
+  updateCalculations();
+  
+  announceToScreenReader(`Amounts shown in ${CURRENCIES[format.currency]} with ${LOCALES[format.locale]} number formatting`);
+}
+
+function syncNumberFormatControls({ currency, locale }) {
+  const currencySelect = $('#currency-select');
+  if (currencySelect) currencySelect.value = currency;
+  
+  const localeSelect = $('#locale-select');
+  if (localeSelect) localeSelect.value = locale;
+  
+  document.querySelectorAll('[data-currency-code]').forEach(prefix => {
+    prefix.textContent = currency;
+  });
+}
+
+// =============================================================================
+// MODEL SELECTOR
+// =============================================================================
+
+const MODEL_LABELS = {
+  constant: { growth: 'Growth rate', symbol: 'g', title: 'Gordon Growth Model Equation' },
+  twoStage: { growth: 'Stable growth rate', symbol: 'g<sub>L</sub>', title: 'Two-Stage Dividend Discount Model Equation' },
+  hModel: { growth: 'Long-run growth rate', symbol: 'g<sub>L</sub>', title: 'H-Model Equation' }
+};
+
+function setupModelSelector() {
+  document.querySelectorAll('.model-btn[data-model]').forEach(btn => {
+    listen(btn, 'click', () => switchModel(btn.dataset.model));
+  });
+}
+
+function switchModel(model) {
+  const labels = MODEL_LABELS[model];
+  if (!labels) return;
+  
+  syncModelControls(model);
+  if (model !== 'constant' && state.solveFor !== 'requiredReturn') {
+    switchSolveFor('requiredReturn');
+  }
+  
+  setState({ model });
+  updateValidationSummary(getRelevantErrors(state.errors, state));
+  updateCalculations();
+  announceToScreenReader(`${labels.title.replace(' Equation', '')} selected`);
+}
+
+function syncModelControls(model) {
+  const labels = MODEL_LABELS[model];
+  
+  document.querySelectorAll('.model-btn[data-model]').forEach(btn => {
+    const isActive = btn.dataset.model === model;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+  
+  const multiStageInputs = $('#multi-stage-inputs');
+  if (multiStageInputs) multiStageInputs.hidden = model === 'constant';
+  
+  const growthLegend = $('#growth-legend-item');
+  if (growthLegend) growthLegend.hidden = model === 'constant';
+  
+  updateSolveForAvailability(model, state.growthInput);
+  
+  const growthLabel = $('#growth-rate-label');
+  if (growthLabel) {
+    growthLabel.innerHTML = `${labels.growth} <span style="color: var(--color-green-data);">(${labels.symbol})</span>:`;
+  }
+  
+  const highGrowthLabel = $('#high-growth-rate-label');
+  if (highGrowthLabel) {
+    const text = model === 'hModel' ? 'Initial growth rate' : 'High growth rate';
+    highGrowthLabel.innerHTML = `${text} <span style="color: var(--color-green-data);">(g<sub>S</sub>)</span>:`;
+  }
+  
+  const highGrowthYearsLabel = $('#high-growth-years-label');
+  if (highGrowthYearsLabel) {
+    const text = model === 'hModel' ? 'Decline period' : 'High-growth years';
+    highGrowthYearsLabel.innerHTML = `${text} <span style="color: var(--color-green-data);">(N)</span>:`;
+  }
+  
+  const equationTitle = $('#equation-card-title');
+  if (equationTitle) equationTitle.textContent = labels.title;
+}
+
+// =============================================================================
+// GROWTH INPUT (DIRECT OR SUSTAINABLE g = b × ROE)
+// =============================================================================
+
+function setupGrowthInputSelector() {
+  document.querySelectorAll('.model-btn[data-growth-input]').forEach(btn => {
+    listen(btn, 'click', () => switchGrowthInput(btn.dataset.growthInput));
+  });
+  
+  document.querySelectorAll('.model-btn[data-retention-basis]').forEach(btn => {
+    listen(btn, 'click', () => switchRetentionBasis(btn.dataset.retentionBasis));
+  });
+}
+
+function switchGrowthInput(growthInput) {
+  if (growthInput === state.growthInput) return;
+  
+  if (growthInput === 'sustainable' && state.solveFor === 'growthRate') {
+    switchSolveFor('requiredReturn');
+  }
+  
+  // Keep the derived g when going back to typing it in
+  const { returnCalculations } = state;
+  if (growthInput === 'direct' && returnCalculations && returnCalculations.sustainableGrowth) {
+    const growthRate = Math.round(returnCalculations.sustainableGrowth.growthRate * 100) / 100;
+    const growthInputField = $('#growth-rate');
+    if (growthInputField) growthInputField.value = growthRate.toFixed(2);
+    setState({ growthRate });
+  }
   
-  console.log('Self-tests complete');
+  setState({ growthInput, errors: validateAllInputs(state) });
+  syncGrowthInputControls(growthInput, state.retentionBasis);
+  syncSolveForControls(state.solveFor);
+  updateValidationSummary(getRelevantErrors(state.errors, state));
+  updateCalculations();
+  announceToScreenReader(growthInput === 'sustainable'
+    ? 'Growth derived from return on equity and retention ratio'
+    : 'Growth rate entered directly');
+}
+
+function switchRetentionBasis(retentionBasis) {
+  if (!RETENTION_BASES[retentionBasis] || retentionBasis === state.retentionBasis) return;
+  
+  setState({ retentionBasis });
+  syncGrowthInputControls(state.growthInput, retentionBasis);
+  updateValidationSummary(getRelevantErrors(state.errors, state));
+  updateCalculations();
+  announceToScreenReader(`Retention from ${RETENTION_BASES[retentionBasis].toLowerCase()}`);
+}
+
+function syncGrowthInputControls(growthInput, retentionBasis) {
+  const isSustainable = growthInput === 'sustainable';
+  
+  document.querySelectorAll('.model-btn[data-growth-input]').forEach(btn => {
+    const isActive = btn.dataset.growthInput === growthInput;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+  
+  document.querySelectorAll('.model-btn[data-retention-basis]').forEach(btn => {
+    const isActive = btn.dataset.retentionBasis === retentionBasis;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+  
+  const panel = $('#sustainable-growth-inputs');
+  if (panel) panel.hidden = !isSustainable;
+  
+  [
+    { group: '#retention-ratio-group', basis: 'retention' },
+    { group: '#payout-ratio-group', basis: 'payout' },
+    { group: '#eps-group', basis: 'earnings' }
+  ].forEach(({ group, basis }) => {
+    const element = $(group);
+    if (element) element.hidden = basis !== retentionBasis;
+  });
+  
+  updateSolveForAvailability(state.model, growthInput);
+}
+
+/**
+ * Disable the solve-for options the model and growth input cannot support
+ * @param {string} model - Model key
+ * @param {string} growthInput - 'direct' or 'sustainable'
+ */
+function updateSolveForAvailability(model, growthInput) {
+  document.querySelectorAll('.model-btn[data-solve-for]').forEach(btn => {
+    const unknown = btn.dataset.solveFor;
+    let reason = '';
+    if (model !== 'constant' && unknown !== 'requiredReturn') {
+      // The rearranged formulas only exist for the constant-growth model
+      reason = 'Only available with the constant growth model';
+    } else if (state.paymentSchedule.dated && unknown !== 'requiredReturn') {
+      reason = 'Dated payments solve for the required return';
+    } else if (state.totalPayout.enabled && unknown !== 'requiredReturn') {
+      reason = 'Total payout solves for the required return';
+    } else if (growthInput === 'sustainable' && unknown === 'growthRate') {
+      reason = 'Growth is derived from ROE and the retention ratio';
+    }
+    btn.disabled = reason !== '';
+    btn.title = reason;
+  });
+}
+
+// =============================================================================
+// SOLVE-FOR SELECTOR
+// =============================================================================
+
+const SOLVE_FOR_FIELDS = {
+  requiredReturn: { id: 'target-return', field: 'targetReturn', label: 'Required return' },
+  marketPrice: { id: 'market-price', field: 'marketPrice', label: 'Market price' },
+  currentDividend: { id: 'current-dividend', field: 'currentDividend', label: 'Current dividend' },
+  growthRate: { id: 'growth-rate', field: 'growthRate', label: 'Growth rate' }
+};
+
+function setupSolveForSelector() {
+  document.querySelectorAll('.model-btn[data-solve-for]').forEach(btn => {
+    listen(btn, 'click', () => switchSolveFor(btn.dataset.solveFor));
+  });
+}
+
+function switchSolveFor(solveFor) {
+  if (!SOLVE_FOR_FIELDS[solveFor] || solveFor === state.solveFor) return;
+  
+  // Carry the last solved value (and r) over so the newly editable field keeps it
+  const { returnCalculations } = state;
+  if (returnCalculations) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const carried = { targetReturn: round(returnCalculations.requiredReturn) };
+    if (state.solveFor !== 'requiredReturn') {
+      carried[state.solveFor] = round(returnCalculations.inputs[state.solveFor]);
+    }
+    setState(carried);
+    
+    Object.values(SOLVE_FOR_FIELDS).forEach(({ id, field }) => {
+      const input = $(`#${id}`);
+      if (input && field in carried) input.value = carried[field].toFixed(2);
+    });
+  }
+  
+  // Re-validate, since a carried-over value may fall outside the input range
+  setState({ solveFor, errors: validateAllInputs(state) });
+  syncSolveForControls(solveFor);
+  
+  updateValidationSummary(getRelevantErrors(state.errors, state));
+  updateCalculations();
+  announceToScreenReader(`Solving for ${SOLVE_FOR_FIELDS[solveFor].label.toLowerCase()}`);
+}
+
+function syncSolveForControls(solveFor) {
+  document.querySelectorAll('.model-btn[data-solve-for]').forEach(btn => {
+    const isActive = btn.dataset.solveFor === solveFor;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+  });
+  
+  Object.entries(SOLVE_FOR_FIELDS).forEach(([unknown, { id, field }]) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    const isDerived = field === 'growthRate' && state.growthInput === 'sustainable';
+    input.readOnly = unknown === solveFor || isDerived;
+    updateFieldError(id, unknown === solveFor || isDerived ? null : state.errors[field]);
+  });
+  
+  const targetReturnGroup = $('#target-return-group');
+  if (targetReturnGroup) targetReturnGroup.hidden = solveFor === 'requiredReturn';
+}
+
+function updateSolvedField(calculations) {
+  const { solveFor, inputs, sustainableGrowth } = calculations;
+  
+  if (sustainableGrowth) {
+    const growthField = $('#growth-rate');
+    if (growthField) growthField.value = sustainableGrowth.growthRate.toFixed(2);
+  }
+  
+  if (solveFor === 'requiredReturn') return;
+  
+  const input = $(`#${SOLVE_FOR_FIELDS[solveFor].id}`);
+  if (input) input.value = inputs[solveFor].toFixed(2);
+}
+
+// =============================================================================
+// VIEW TOGGLE
+// =============================================================================
+
+const VIEWS = {
+  chart: { button: '#chart-view-btn', container: '#chart-container', focus: '#chart-container', label: 'Chart' },
+  table: { button: '#table-view-btn', container: '#table-container', focus: '#cash-flow-table', label: 'Table' },
+  sensitivity: { button: '#sensitivity-view-btn', container: '#sensitivity-container', focus: '#sensitivity-table', label: 'Sensitivity' },
+  simulation: { button: '#simulation-view-btn', container: '#simulation-container', focus: '#simulation-container', label: 'Simulation' }
+};
+
+function setupViewToggle() {
+  const buttons = Object.values(VIEWS).map(({ button }) => $(button));
+  
+  if (buttons.some(btn => !btn)) {
+    console.error('Toggle buttons not found');
+    return;
+  }
+  
+  Object.entries(VIEWS).forEach(([view, { button }]) => {
+    listen(button, 'click', () => switchView(view));
+  });
+}
+
+function switchView(view, { focus = true } = {}) {
+  const legend = $('#chart-legend');
+  
+  setState({ viewMode: view });
+  
+  Object.entries(VIEWS).forEach(([name, { button, container }]) => {
+    const isActive = name === view;
+    const btn = $(button);
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    $(container).style.display = isActive ? 'block' : 'none';
+  });
+  
+  legend.style.display = view === 'chart' ? 'flex' : 'none';
+  $('#chart-export-controls').hidden = view !== 'chart';
+  
+  announceToScreenReader(`${VIEWS[view].label} view active`);
+  if (focus) focusElement($(VIEWS[view].focus), 100);
+  
+  // Run when the view opens without a result for the current inputs
+  if (view === 'simulation' && (!state.simulationResult || state.simulationResult.stale)) {
+    runSimulation();
+  }
+}
+
+// =============================================================================
+// SENSITIVITY GRID
+// =============================================================================
+
+const SENSITIVITY_INPUTS = [
+  { id: 'sensitivity-growth-spread', field: 'growthSpread' },
+  { id: 'sensitivity-growth-step', field: 'growthStep' },
+  { id: 'sensitivity-price-spread', field: 'priceSpread' },
+  { id: 'sensitivity-price-step', field: 'priceStep' },
+  { id: 'hurdle-rate', field: 'hurdleRate' }
+];
+
+function setupSensitivityControls() {
+  SENSITIVITY_INPUTS.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    const debouncedUpdate = debounce(() => {
+      updateSensitivity({ [field]: parseFloat(input.value) });
+    }, 300);
+    
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
+  });
+}
+
+function updateSensitivity(updates) {
+  const sensitivity = { ...state.sensitivity, ...updates };
+  const errors = validateSensitivitySettings(sensitivity);
+  
+  SENSITIVITY_INPUTS.forEach(({ id, field }) => {
+    updateFieldError(id, errors[field] || null);
+  });
+  updateErrorList('sensitivity-errors', errors);
+  syncSensitivityControls(sensitivity);
+  
+  setState({ sensitivity, sensitivityErrors: errors });
+}
+
+function syncSensitivityControls(sensitivity) {
+  syncNumberFields(SENSITIVITY_INPUTS, sensitivity);
+}
+
+function updateSensitivityGrid(params) {
+  const { sensitivity, sensitivityErrors, returnCalculations, paymentSchedule, payoutFrequency, projectionYears } = state;
+  if (hasErrors(sensitivityErrors)) return;
+  
+  // Re-solve dated cells from the payment dates so the base cell is the r shown
+  const calculate = returnCalculations.dated
+    ? (cell) => calculateDatedReturnMetrics({ ...cell, payoutFrequency, projectionYears }, paymentSchedule)
+    : undefined;
+  
+  try {
+    const grid = generateSensitivityGrid(params, sensitivity, calculate);
+    renderSensitivityTable(grid, sensitivity.hurdleRate);
+  } catch (error) {
+    console.error('Sensitivity grid error:', error);
+  }
+}
+
+// =============================================================================
+// COST OF EQUITY CROSS-CHECKS
+// =============================================================================
+
+const CROSS_CHECK_METHODS = [
+  { id: 'capm-enabled', field: 'capmEnabled', group: '#capm-inputs', legend: '#capm-legend-item', label: 'CAPM' },
+  { id: 'bond-yield-enabled', field: 'bondYieldEnabled', group: '#bond-yield-inputs', legend: '#bond-yield-legend-item', label: 'Bond yield plus risk premium' }
+];
+
+const CROSS_CHECK_INPUTS = [
+  { id: 'risk-free-rate', field: 'riskFreeRate' },
+  { id: 'beta', field: 'beta' },
+  { id: 'equity-risk-premium', field: 'equityRiskPremium' },
+  { id: 'bond-yield', field: 'bondYield' },
+  { id: 'bond-risk-premium', field: 'bondRiskPremium' }
+];
+
+function setupCrossCheckControls() {
+  CROSS_CHECK_METHODS.forEach(({ id, field, label }) => {
+    listen(`#${id}`, 'change', (e) => {
+      updateCrossCheck({ [field]: e.target.checked });
+      announceToScreenReader(`${label} cross-check ${e.target.checked ? 'shown' : 'hidden'}`);
+    });
+  });
+  
+  CROSS_CHECK_INPUTS.forEach(({ id, field }) => {
+    const input = $(`#${id}`);
+    if (!input) return;
+    
+    const debouncedUpdate = debounce(() => {
+      updateCrossCheck({ [field]: parseFloat(input.value) });
+    }, 300);
+    
+    listen(input, 'input', debouncedUpdate);
+    listen(input, 'change', debouncedUpdate);
+  });
+}
+
+function getCrossChecks({ crossCheck, crossCheckErrors, returnCalculations }) {
+  if (!returnCalculations || hasErrors(crossCheckErrors)) return [];
+  return calculateCostOfEquityEstimates(crossCheck, returnCalculations.requiredReturn);
+}
+
+function updateCrossCheck(updates) {
+  const crossCheck = { ...state.crossCheck, ...updates };
+  const errors = validateCrossCheckSettings(crossCheck);
+  
+  CROSS_CHECK_INPUTS.forEach(({ id, field }) => {
+    updateFieldError(id, errors[field] || null);
+  });
+  updateErrorList('cross-check-errors', errors);
+  syncCrossCheckControls(crossCheck);
+  
+  setState({ crossCheck, crossCheckErrors: errors });
+}
+
+function syncCrossCheckControls(crossCheck) {
+  syncNumberFields(CROSS_CHECK_INPUTS, crossCheck);
+  
+  CROSS_CHECK_METHODS.forEach(({ id, field, group, legend }) => {
+    const checkbox = $(`#${id}`);
+    if (checkbox) checkbox.checked = crossCheck[field];
+    
+    [group, legend].forEach(selector => {
+      const element = $(selector);
+      if (element) element.hidden = !crossCheck[field];
+    });
+  });
+}
+
+// =============================================================================
+// DIVIDEND HISTORY
+// =============================================================================
+
+function setupDividendHistoryControls() {
+  listen('#dividend-history-enabled', 'change', (e) => {
+    updateDividendHistory({ enabled: e.target.checked });
+    announceToScreenReader(e.target.checked ? 'Dividend history shown' : 'Dividend history hidden');
+  });
+  
+  const textInput = $('#dividend-history-text');
+  if (textInput) {
+    listen(textInput, 'input', debounce(() => readDividendHistory(textInput.value), 300));
+  }
+  
+  listen('#dividend-history-file', 'change', (e) => {
+    const [file] = e.target.files;
+    if (!file) return;
+    
+    file.text()
+      .then(text => {
+        if (textInput) textInput.value = text;
+        readDividendHistory(text);
+      })
+      .catch(error => {
+        console.error('Dividend history read error:', error);
+        updateDividendHistory({ analysis: null, method: null }, { history: `Could not read ${file.name}` });
+      });
+  });
+  
+  listen('#growth-estimates', 'click', (e) => {
+    const button = e.target.closest('[data-growth-estimate]');
+    if (button) useGrowthEstimate(button.dataset.growthEstimate);
+  });
+}
+
+/**
+ * Parse pasted or uploaded dividend history and estimate g from it
+ * @param {string} text - CSV text of dates and dividends per share
+ */
+function readDividendHistory(text) {
+  let analysis = null;
+  let errors = {};
+  
+  if (text.trim() !== '') {
+    try {
+      analysis = analyzeDividendHistory(text);
+    } catch (error) {
+      errors = { history: error.message };
+    }
+  }
+  
+  updateDividendHistory({ analysis, method: null }, errors);
+  if (analysis) {
+    announceToScreenReader(`Growth estimated from ${analysis.annual.length} full years of dividends`);
+  }
+}
+
+function updateDividendHistory(updates, errors = state.dividendHistoryErrors) {
+  const dividendHistory = { ...state.dividendHistory, ...updates };
+  
+  updateErrorList('dividend-history-errors', errors);
+  syncDividendHistoryControls(dividendHistory);
+  setState({ dividendHistory, dividendHistoryErrors: errors });
+}
+
+function syncDividendHistoryControls({ enabled, analysis }) {
+  const checkbox = $('#dividend-history-enabled');
+  if (checkbox) checkbox.checked = enabled;
+  
+  const group = $('#dividend-history-inputs');
+  if (group) group.hidden = !enabled;
+  
+  const legend = $('#history-legend-item');
+  if (legend) legend.hidden = !(enabled && analysis);
+}
+
+/**
+ * Fill g and D₀ from one of the history's growth estimates
+ * g is typed in directly afterwards, and r is solved for if g or D₀ was the unknown.
+ * @param {string} method - Key from GROWTH_ESTIMATORS
+ */
+function useGrowthEstimate(method) {
+  const { analysis } = state.dividendHistory;
+  const estimate = analysis && analysis.estimates.find(({ key }) => key === method);
+  if (!estimate) return;
+  
+  const growthRate = Math.round(estimate.growthRate * 100) / 100;
+  const currentDividend = Math.round(analysis.latestDividend * 100) / 100;
+  const solveFor = state.solveFor === 'growthRate' || state.solveFor === 'currentDividend'
+    ? 'requiredReturn'
+    : state.solveFor;
+  
+  updateDividendHistory({ method });
+  applyInputs({ ...captureScenarioInputs(state), growthInput: 'direct', solveFor, growthRate, currentDividend });
+  announceToScreenReader(
+    `Growth rate set to ${formatPercentage(growthRate)} by ${estimate.label.toLowerCase()}, ` +
+    `current dividend to ${formatCurrency(currentDividend)}`
+  );
+}
+
+function getHistoryOverlay({ dividendHistory }) {
+  const { enabled, analysis, method } = dividendHistory;
+  if (!enabled || !analysis) return null;
+  
+  const estimate = analysis.estimates.find(({ key }) => key === method);
+  return {
+    annual: analysis.annual,
+    fitted: estimate ? estimate.fitted : null,
+    label: estimate ? estimate.label : null,
+    growthRate: estimate ? estimate.growthRate : null
+  };
+}
+
+// =============================================================================
+// MONTE CARLO SIMULATION
+// =============================================================================
+
+const SIMULATED_KEYS = ['growth', 'dividend', 'price'];
+
+function setupSimulationControls() {
+  SIMULATED_KEYS.forEach(key => {
+    const select = $(`#sim-${key}-distribution`);
+    if (!select) return;
+    listen(select, 'change', () => updateDistributionFields(key, select.value));
+  });
+  
+  listen('#run-simulation-btn', 'click', runSimulation);
+  subscribe(markSimulationStale, s => [s.returnCalculations, s.simulation]);
+}
+
+/**
+ * Flag the last run once the inputs it drew around or its settings change
+ * (by an edit or an undo), so the histogram is not read as describing them
+ */
+function markSimulationStale({ simulationResult, returnCalculations, simulation }) {
+  if (!simulationResult || simulationResult.stale) return;
+  if (simulationResult.calculations === returnCalculations && simulationResult.settings === simulation) return;
+  setState({ simulationResult: { ...simulationResult, stale: true } });
+}
+
+function updateDistributionFields(key, distribution) {
+  const fieldset = document.querySelector(`[data-simulated="${key}"]`);
+  if (!fieldset) return;
+  
+  fieldset.querySelectorAll('[data-distribution-param]').forEach(field => {
+    const param = field.dataset.distributionParam;
+    field.hidden = param === 'std-dev'
+      ? distribution !== 'normal'
+      : distribution !== 'triangular' && distribution !== 'uniform';
+  });
+}
+
+/**
+ * Put recorded simulation settings back in the form (undo and redo)
+ * @param {Object} simulation - Settings from a history snapshot
+ */
+function restoreSimulationSettings(simulation) {
+  SIMULATED_KEYS.forEach(key => {
+    const { distribution, stdDev, min, max } = simulation[key];
+    $(`#sim-${key}-distribution`).value = distribution;
+    $(`#sim-${key}-std-dev`).value = stdDev;
+    $(`#sim-${key}-min`).value = min;
+    $(`#sim-${key}-max`).value = max;
+    updateDistributionFields(key, distribution);
+  });
+  $('#sim-draws').value = simulation.draws;
+  $('#sim-seed').value = simulation.seed;
+  
+  updateErrorList('simulation-errors', {});
+  setState({ simulation });
+}
+
+function readSimulationSettings() {
+  const readNumber = (id) => parseFloat($(`#${id}`).value);
+  const readVariable = (key) => ({
+    distribution: $(`#sim-${key}-distribution`).value,
+    stdDev: readNumber(`sim-${key}-std-dev`),
+    min: readNumber(`sim-${key}-min`),
+    max: readNumber(`sim-${key}-max`)
+  });
+  
+  return {
+    growth: readVariable('growth'),
+    dividend: readVariable('dividend'),
+    price: readVariable('price'),
+    draws: readNumber('sim-draws'),
+    seed: readNumber('sim-seed')
+  };
+}
+
+function runSimulation() {
+  const { returnCalculations } = state;
+  
+  if (!returnCalculations) {
+    updateErrorList('simulation-errors', { inputs: 'Correct the calculator inputs before running the simulation' });
+    return;
+  }
+  
+  const settings = readSimulationSettings();
+  const errors = validateSimulationSettings(settings, returnCalculations.inputs);
+  updateErrorList('simulation-errors', errors);
+  if (hasErrors(errors)) return;
+  
+  try {
+    const result = runMonteCarlo({
+      ...returnCalculations.inputs,
+      model: state.model,
+      highGrowthRate: state.highGrowthRate,
+      highGrowthYears: state.highGrowthYears
+    }, settings);
+    
+    if (result.completed === 0) {
+      updateErrorList('simulation-errors', { draws: 'Every draw was discarded; narrow the price and dividend distributions' });
+      return;
+    }
+    
+    setState({ simulation: settings, simulationResult: { ...result, settings, calculations: returnCalculations } });
+    announceToScreenReader(
+      `Simulation complete. Median required return ${formatPercentage(result.p50)}, ` +
+      `90% of draws between ${formatPercentage(result.p5)} and ${formatPercentage(result.p95)}.`
+    );
+  } catch (error) {
+    console.error('Simulation error:', error);
+  }
+}
+
+// =============================================================================
+// SCENARIOS
+// =============================================================================
+
+function setupScenarioControls() {
+  setState({ scenarios: loadScenarios() });
+  updateScenarioSelect();
+  
+  listen('#save-scenario-btn', 'click', saveCurrentScenario);
+  listen('#load-scenario-btn', 'click', loadSelectedScenario);
+  listen('#delete-scenario-btn', 'click', deleteSelectedScenario);
+  listen('#compare-scenarios', 'change', (e) => {
+    setState({ compareScenarios: e.target.checked });
+    announceToScreenReader(e.target.checked ? 'Scenario comparison shown' : 'Scenario comparison hidden');
+  });
+}
+
+function updateScenarioSelect(selectedName = '') {
+  const select = $('#scenario-select');
+  if (!select) return;
+  
+  const { scenarios } = state;
+  select.innerHTML = scenarios.length === 0
+    ? '<option value="">No saved scenarios</option>'
+    : scenarios.map(({ name }) => `<option>${escapeHTML(name)}</option>`).join('');
+  
+  if (selectedName) select.value = selectedName;
+  
+  ['#load-scenario-btn', '#delete-scenario-btn'].forEach(selector => {
+    const btn = $(selector);
+    if (btn) btn.disabled = scenarios.length === 0;
+  });
+}
+
+function setScenarioStatus(message) {
+  const status = $('#scenario-status');
+  if (status) status.textContent = message;
+}
+
+function saveCurrentScenario() {
+  const nameInput = $('#scenario-name');
+  const name = nameInput ? nameInput.value.trim() : '';
+  
+  if (!name) {
+    setScenarioStatus('Enter a name for the scenario');
+    focusElement(nameInput);
+    return;
+  }
+  
+  if (!state.returnCalculations) {
+    setScenarioStatus('Correct the inputs before saving a scenario');
+    return;
+  }
+  
+  const scenarios = upsertScenario(state.scenarios, name, captureScenarioInputs(state));
+  const saved = saveScenarios(scenarios);
+  setState({ scenarios });
+  updateScenarioSelect(name);
+  setScenarioStatus(saved
+    ? `Scenario "${name}" saved`
+    : `Scenario "${name}" saved for this session only (browser storage unavailable)`);
+}
+
+function loadSelectedScenario() {
+  const select = $('#scenario-select');
+  const scenario = state.scenarios.find(({ name }) => name === select?.value);
+  if (!scenario) return;
+  
+  applyInputs({ ...captureScenarioInputs(state), ...scenario.inputs });
+  
+  const nameInput = $('#scenario-name');
+  if (nameInput) nameInput.value = scenario.name;
+  setScenarioStatus(`Scenario "${scenario.name}" loaded`);
+}
+
+function deleteSelectedScenario() {
+  const select = $('#scenario-select');
+  const name = select?.value;
+  if (!name) return;
+  
+  const scenarios = removeScenario(state.scenarios, name);
+  saveScenarios(scenarios);
+  setState({ scenarios });
+  updateScenarioSelect();
+  setScenarioStatus(`Scenario "${name}" deleted`);
+}
+
+// =============================================================================
+// PERMALINKS
+// =============================================================================
+
+function restorePermalink() {
+  const { viewMode, currency, locale, sensitivity, crossCheck, ...inputs } = readPermalink();
+  
+  if (currency || locale) {
+    switchNumberFormat({ currency, locale });
+  }
+  
+  if (sensitivity) {
+    updateSensitivity(sensitivity);
+  }
+  
+  if (crossCheck) {
+    updateCrossCheck(crossCheck);
+  }
+  
+  if (Object.keys(inputs).length > 0) {
+    applyInputs(mergePermalink(captureScenarioInputs(state), inputs));
+    
+    if (hasErrors(getRelevantErrors(state.errors, state))) {
+      announceToScreenReader('Some values in the link were invalid; please correct them');
+    }
+  }
+  
+  if (viewMode && viewMode !== state.viewMode) {
+    switchView(viewMode, { focus: false });
+  }
+}
+
+function setupShareControls() {
+  listen('#copy-link-btn', 'click', () => {
+    const status = $('#copy-link-status');
+    copyToClipboard(buildPermalink(state)).then(copied => {
+      if (status) {
+        status.textContent = copied
+          ? 'Link copied to clipboard'
+          : 'Could not copy automatically; copy the address bar instead';
+      }
+    });
+  });
+}
+
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+let historyRecordPending = false;
+
+/**
+ * Record a history step once the current event has finished updating state,
+ * so handlers that call setState several times make a single step
+ */
+function scheduleHistoryRecord() {
+  if (historyRecordPending) return;
+  historyRecordPending = true;
+  queueMicrotask(() => {
+    historyRecordPending = false;
+    if (recordHistory(state)) updateHistoryButtons();
+  });
+}
+
+function setupHistoryControls() {
+  listen('#undo-btn', 'click', () => stepHistory('undo'));
+  listen('#redo-btn', 'click', () => stepHistory('redo'));
+  
+  listen(document, 'keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+    // Leave text undo to free-text fields such as the scenario name
+    if (e.target.matches && e.target.matches('input[type="text"], textarea')) return;
+    
+    e.preventDefault();
+    stepHistory(e.shiftKey ? 'redo' : 'undo');
+  });
+  
+  updateHistoryButtons();
+}
+
+function stepHistory(direction) {
+  const snapshot = direction === 'undo' ? undo() : redo();
+  if (!snapshot) {
+    announceToScreenReader(direction === 'undo' ? 'Nothing to undo' : 'Nothing to redo');
+    return;
+  }
+  
+  restoreSnapshot(snapshot);
+  updateHistoryButtons();
+  announceToScreenReader(direction === 'undo' ? 'Last change undone' : 'Change redone');
+}
+
+function restoreSnapshot(snapshot) {
+  const { currency, locale, crossCheck, sensitivity, simulation, ...inputs } = snapshot;
+  
+  setNumberFormat({ currency, locale });
+  syncNumberFormatControls({ currency, locale });
+  updateCrossCheck(crossCheck);
+  updateSensitivity(sensitivity);
+  restoreSimulationSettings(simulation);
+  
+  applyInputs({ ...inputs, currency, locale });
+}
+
+function updateHistoryButtons() {
+  const undoBtn = $('#undo-btn');
+  if (undoBtn) undoBtn.disabled = !canUndo();
+  
+  const redoBtn = $('#redo-btn');
+  if (redoBtn) redoBtn.disabled = !canRedo();
+}
+
+// =============================================================================
+// TABLE AND CHART EXPORT
+// =============================================================================
+
+const EXPORT_FORMATS = {
+  csv: { serialize: toCSV, extension: 'csv', mimeType: 'text/csv;charset=utf-8', label: 'CSV' },
+  xlsx: { serialize: toSpreadsheetML, extension: 'xls', mimeType: 'application/vnd.ms-excel', label: 'Excel' }
+};
+
+function setupExportControls() {
+  listen('#export-csv-btn', 'click', () => exportProjection('csv'));
+  listen('#export-xlsx-btn', 'click', () => exportProjection('xlsx'));
+  listen('#export-svg-btn', 'click', () => exportChart('svg'));
+  listen('#export-png-btn', 'click', () => exportChart('png'));
+}
+
+function exportProjection(format) {
+  const { returnCalculations } = state;
+  if (!returnCalculations) {
+    announceToScreenReader('Nothing to export. Please correct the input errors first.');
+    return;
+  }
+  
+  const { serialize, extension, mimeType, label } = EXPORT_FORMATS[format];
+  const sheet = buildExportSheet(returnCalculations, state);
+  downloadFile(serialize(sheet), `required-return-projection.${extension}`, mimeType);
+  announceToScreenReader(`Projection table downloaded as ${label}`);
+}
+
+function exportChart(format) {
+  const { returnCalculations } = state;
+  if (!returnCalculations) {
+    announceToScreenReader('Nothing to export. Please correct the input errors first.');
+    return;
+  }
+  
+  const { calculations, comparisons, crossChecks } = getDisplayedProjection(state);
+  const svg = buildChartSVG(calculations, { settings: state, comparisons, crossChecks });
+  
+  if (format === 'svg') {
+    downloadFile(svg, 'required-return-chart.svg', 'image/svg+xml');
+    announceToScreenReader('Chart downloaded as SVG');
+    return;
+  }
+  
+  const scale = parseInt($('#chart-export-scale')?.value, 10) || 2;
+  svgToPNG(svg, scale)
+    .then(blob => {
+      downloadFile(blob, 'required-return-chart.png');
+      announceToScreenReader('Chart downloaded as PNG');
+    })
+    .catch(error => {
+      console.error('PNG export failed:', error);
+      announceToScreenReader('The PNG could not be created. Try the SVG download instead.');
+    });
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+/**
+ * Subscribe each output to the state slices it reads, so a change only
+ * redraws the outputs that depend on it
+ */
+function subscribeRenderers() {
+  subscribe(renderResultsCard, s => [
+    s.returnCalculations, s.warnings, s.compareScenarios, s.scenarios, s.crossCheck, s.crossCheckErrors, s.inflation, s.inflationErrors, s.tax, s.taxErrors, s.currency, s.locale
+  ]);
+  subscribe(renderChartView, s => [
+    s.returnCalculations, s.viewMode, s.compareScenarios, s.scenarios, s.crossCheck, s.crossCheckErrors, s.inflation, s.inflationErrors, s.dividendHistory, s.currency, s.locale
+  ]);
+  subscribe(renderGrowthEstimatesPanel, s => [s.dividendHistory, s.currency, s.locale]);
+  subscribe(renderTableView, s => [s.returnCalculations, s.inflation, s.inflationErrors, s.tax, s.taxErrors, s.currency, s.locale]);
+  subscribe(renderSensitivityView, s => [s.returnCalculations, s.viewMode, s.sensitivity, s.sensitivityErrors, s.currency, s.locale]);
+  subscribe(renderSimulationView, s => [s.simulationResult, s.viewMode, s.currency, s.locale]);
+}
+
+function getRenderParams({ returnCalculations, targetReturn, model, highGrowthRate, highGrowthYears }) {
+  return {
+    ...returnCalculations.inputs,
+    targetReturn,
+    model,
+    highGrowthRate,
+    highGrowthYears
+  };
+}
+
+function getComparisons({ compareScenarios, scenarios, ...settings }) {
+  return compareScenarios ? buildScenarioComparisons(scenarios, settings) : [];
+}
+
+function renderResultsCard(newState) {
+  const { returnCalculations } = newState;
+  if (!returnCalculations) return;
+  
+  updateSolvedField(returnCalculations);
+  
+  const params = getRenderParams(newState);
+  const comparisons = getComparisons(newState);
+  
+  const realReturn = getRealReturn(newState);
+  
+  renderResults(returnCalculations, params, comparisons, getCrossChecks(newState));
+  annotateResultWarnings(newState.warnings);
+  annotateRealReturn(realReturn);
+  annotateAfterTaxReturn(getAfterTaxReturn(newState));
+  renderScenarioLegend(comparisons);
+  renderDynamicEquation(returnCalculations, { ...params, realReturn });
+}
+
+function renderChartView(newState) {
+  if (!newState.returnCalculations || newState.viewMode !== 'chart') return;
+  const { calculations, comparisons, crossChecks } = getDisplayedProjection(newState);
+  
+  renderChart(
+    calculations.cashFlows, 
+    shouldShowLabels(), 
+    calculations.requiredReturn, 
+    calculations.model, 
+    comparisons,
+    calculations.periodsPerYear,
+    crossChecks,
+    getHistoryOverlay(newState)
+  );
+}
+
+function renderTableView(newState) {
+  if (!newState.returnCalculations) return;
+  const { calculations } = getDisplayedProjection(newState);
+  const afterTaxReturn = getAfterTaxReturn(newState);
+  
+  renderTable(
+    afterTaxReturn ? addAfterTaxDividends(calculations.cashFlows, afterTaxReturn.dividendTaxRate) : calculations.cashFlows,
+    calculations.requiredReturn,
+    calculations.model,
+    calculations.periodsPerYear,
+    calculations.horizonValue
+  );
+}
+
+function renderGrowthEstimatesPanel({ dividendHistory }) {
+  renderGrowthEstimates(dividendHistory.analysis, dividendHistory.method);
+}
+
+function renderSensitivityView(newState) {
+  if (!newState.returnCalculations || newState.viewMode !== 'sensitivity') return;
+  updateSensitivityGrid(getRenderParams(newState));
+}
+
+function renderSimulationView({ simulationResult, viewMode }) {
+  if (viewMode === 'simulation' && simulationResult) {
+    renderSimulation(simulationResult);
+  }
+}
+
+// =============================================================================
+// WINDOW RESIZE
+// =============================================================================
+
+function setupResizeListener() {
+  let resizeTimeout;
+  
+  listen(window, 'resize', () => {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      handleResponsiveView();
+      
+      renderChartView(state);
+    }, 250);
+  });
+  
+  handleResponsiveView();
+}
+
+function handleResponsiveView() {
+  const chartBtn = $('#chart-view-btn');
+  const tableBtn = $('#table-view-btn');
+  const viewportWidth = window.innerWidth;
+  
+  if (viewportWidth < 600) {
+    if (state.viewMode === 'chart') {
+      switchView('table');
+    }
+    
+    if (chartBtn) {
+      chartBtn.disabled = true;
+      chartBtn.setAttribute('aria-disabled', 'true');
+      chartBtn.title = 'Chart view not available at this screen size';
+    }
+    if (tableBtn) {
+      tableBtn.disabled = false;
+      tableBtn.removeAttribute('aria-disabled');
+      tableBtn.title = '';
+    }
+  } else {
+    if (chartBtn) {
+      chartBtn.disabled = false;
+      chartBtn.removeAttribute('aria-disabled');
+      chartBtn.title = '';
+    }
+  }
 }
 
 // =============================================================================
@@ -306,6 +1782,7 @@ function runSelfTests() {
 
 function cleanup() {
   destroyChart();
+  destroyHistogram();
   console.log('Calculator cleanup complete');
 }
 
@@ -0,0 +1,164 @@
+/**
+ * Batch Module
+ * Screen a list of stocks through the same calculation and validation rules
+ */
+
+import { MODELS, calculateRequiredReturnMetrics } from './calculations.js';
+import { validateAllInputs, getRelevantErrors, validateAssumptions } from './validation.js';
+
+/**
+ * Input name (command-line flag and CSV column) for each calculator field
+ */
+export const BATCH_FIELDS = {
+  price: { field: 'marketPrice', type: 'number' },
+  dividend: { field: 'currentDividend', type: 'number' },
+  growth: { field: 'growthRate', type: 'number' },
+  years: { field: 'projectionYears', type: 'number' },
+  model: { field: 'model', type: 'text' },
+  'high-growth': { field: 'highGrowthRate', type: 'number' },
+  'high-growth-years': { field: 'highGrowthYears', type: 'number' }
+};
+
+/**
+ * Inputs assumed when a flag or column is not given
+ */
+export const BATCH_DEFAULTS = {
+  model: 'constant',
+  projectionYears: 10
+};
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180)
+ * Handles quoted fields with embedded commas, quotes and line breaks,
+ * and both CRLF and LF line endings. Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Convert named raw values (flags or CSV fields) to calculator inputs
+ * Numbers are returned as parsed, blank values as NaN, so range and
+ * required checks are left to validateBatchInputs.
+ *
+ * @param {Object} raw - Values keyed by BATCH_FIELDS name
+ * @returns {Object} Partial inputs keyed by state field
+ */
+export function parseBatchValues(raw) {
+  const inputs = {};
+  
+  Object.entries(BATCH_FIELDS).forEach(([name, { field, type }]) => {
+    const value = raw[name];
+    if (value === undefined) return;
+    inputs[field] = type === 'number'
+      ? (String(value).trim() === '' ? NaN : Number(value))
+      : String(value).trim();
+  });
+  
+  return inputs;
+}
+
+/**
+ * Read a batch of stocks from CSV text
+ * The first row is the header. A 'ticker' column names each stock; the other
+ * columns use the BATCH_FIELDS names. Missing columns and blank cells take the defaults.
+ *
+ * @param {string} text - CSV text
+ * @param {Object} defaults - Inputs applied to every row (keyed by state field)
+ * @returns {Array<Object>} { ticker, inputs } per stock
+ */
+export function parseBatchCSV(text, defaults = {}) {
+  const [header, ...rows] = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (!header) {
+    throw new Error('Batch file is empty');
+  }
+  
+  const names = header.map(name => name.trim().toLowerCase());
+  const unknown = names.filter(name => name !== 'ticker' && !BATCH_FIELDS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  }
+  
+  return rows.map((fields, index) => {
+    const raw = {};
+    names.forEach((name, column) => {
+      const value = fields[column] ?? '';
+      if (value.trim() !== '') raw[name] = value;
+    });
+    return {
+      ticker: (raw.ticker || '').trim() || `Row ${index + 1}`,
+      inputs: { ...defaults, ...parseBatchValues(raw) }
+    };
+  });
+}
+
+/**
+ * Validate one stock's inputs against the calculator's rules
+ * @param {Object} inputs - Calculator inputs
+ * @returns {Object} Error object (only fields the model uses)
+ */
+export function validateBatchInputs(inputs) {
+  const { model } = inputs;
+  
+  if (!MODELS[model]) {
+    return { model: `Model must be one of ${Object.keys(MODELS).join(', ')}` };
+  }
+  
+  return getRelevantErrors(validateAllInputs(inputs), { model });
+}
+
+/**
+ * Validate and calculate a stock
+ * @param {Object} stockInputs - Calculator inputs (BATCH_DEFAULTS fill any gaps)
+ * @returns {Object} { inputs, errors, warnings, calculations } (calculations is null when invalid)
+ */
+export function screenStock(stockInputs) {
+  const inputs = { ...BATCH_DEFAULTS, ...stockInputs };
+  const errors = validateBatchInputs(inputs);
+  if (Object.keys(errors).length > 0) {
+    return { inputs, errors, warnings: [], calculations: null };
+  }
+  
+  const calculations = calculateRequiredReturnMetrics(inputs);
+  return { inputs, errors, warnings: validateAssumptions(calculations), calculations };
+}
@@ -1,32 +1,191 @@
 /**
  * Required Return Calculations Module
- * Pure functions for Gordon Growth Model required return calculations
+ * Pure functions for dividend discount model required return calculations
  */
 
 /**
- * Calculate required return using Gordon Growth Model
- * Formula: r = (D₁ / P₀) + g
+ * Supported dividend discount model variants
+ */
+export const MODELS = {
+  constant: 'Gordon Growth Model',
+  twoStage: 'Two-Stage Dividend Discount Model',
+  hModel: 'H-Model'
+};
+
+/**
+ * Build the year-by-year growth schedule for the selected model
+ * 
+ * - constant: g in every year
+ * - twoStage: g_S for years 1 to N, then g_L
+ * - hModel: growth declines linearly from g_S in year 1 to g_L in year N + 1
+ * 
+ * @param {Object} params - Model parameters
+ * @param {string} params.model - Model key ('constant', 'twoStage' or 'hModel')
+ * @param {number} params.growthRate - Stable growth rate (g or g_L, as percentage)
+ * @param {number} params.highGrowthRate - High/initial growth rate (g_S, as percentage)
+ * @param {number} params.highGrowthYears - Length of the high-growth period (N)
+ * @param {number} years - Number of years to schedule
+ * @returns {Array<number>} Growth rates (as decimals) for years 1 to `years`
+ */
+export function getGrowthSchedule({ model = 'constant', growthRate, highGrowthRate, highGrowthYears }, years) {
+  const gL = growthRate / 100;
+  const gS = highGrowthRate / 100;
+  const n = highGrowthYears;
+  const schedule = [];
+  
+  for (let year = 1; year <= years; year++) {
+    if (model === 'twoStage' && year <= n) {
+      schedule.push(gS);
+    } else if (model === 'hModel' && year <= n) {
+      schedule.push(gS + (gL - gS) * (year - 1) / n);
+    } else {
+      schedule.push(gL);
+    }
+  }
+  
+  return schedule;
+}
+
+/**
+ * Present value of a dividend path followed by a Gordon terminal value
+ * P₀ = Σ Dₜ / (1 + r)ᵗ + [Dₙ₊₁ / (r - g_L)] / (1 + r)ⁿ
+ * 
+ * @param {Array<number>} dividends - Explicit dividends for years 1 to N
+ * @param {number} terminalDividend - Dividend in year N + 1
+ * @param {number} r - Discount rate (decimal)
+ * @param {number} gL - Stable growth rate after year N (decimal)
+ * @returns {number} Present value
+ */
+export function presentValueOfDividends(dividends, terminalDividend, r, gL) {
+  const n = dividends.length;
+  const explicitPV = dividends.reduce(
+    (sum, dividend, index) => sum + dividend / Math.pow(1 + r, index + 1),
+    0
+  );
+  const terminalValue = terminalDividend / (r - gL);
+  return explicitPV + terminalValue / Math.pow(1 + r, n);
+}
+
+/**
+ * Solve for the discount rate at which a stream of dividends is worth P₀
+ * Bisection on r in (g_L, upper], since value falls as r rises
+ * 
+ * @param {number} marketPrice - Current market price (P₀)
+ * @param {Function} valueAt - Present value of the dividends for a discount rate r (decimal)
+ * @param {number} gL - Stable growth rate (decimal)
+ * @returns {number} Required return (decimal)
+ */
+export function solveDiscountRate(marketPrice, valueAt, gL) {
+  const tolerance = 1e-10;
+  let low = gL + 1e-9;
+  let high = gL + 1;
+  
+  // Widen the bracket until the model value falls below the price
+  while (valueAt(high) > marketPrice && high < 100) {
+    high *= 2;
+  }
+  
+  for (let i = 0; i < 200 && high - low > tolerance; i++) {
+    const mid = (low + high) / 2;
+    if (valueAt(mid) > marketPrice) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  
+  return (low + high) / 2;
+}
+
+/**
+ * Solve for the discount rate that equates the dividend path to P₀
+ * @param {number} marketPrice - Current market price (P₀)
+ * @param {Array<number>} dividends - Explicit dividends for years 1 to N
+ * @param {number} terminalDividend - Dividend in year N + 1
+ * @param {number} gL - Stable growth rate after year N (decimal)
+ * @returns {number} Required return (decimal)
+ */
+export function solveRequiredReturn(marketPrice, dividends, terminalDividend, gL) {
+  return solveDiscountRate(marketPrice, r => presentValueOfDividends(dividends, terminalDividend, r, gL), gL);
+}
+
+/**
+ * Calculate required return for the selected dividend discount model
+ * Constant growth: r = (D₁ / P₀) + g
+ * Two-stage and H-model: r solved numerically from P₀ and the dividend path
+ * 
+ * With net buybacks B₀ the payout is the total shareholder payout D₀ + B₀, which
+ * grows like the dividend: r = (D₁ + B₁) / P₀ + g.
  * 
  * @param {Object} params - Model parameters
  * @param {number} params.marketPrice - Current market price (P₀)
  * @param {number} params.currentDividend - Current dividend (D₀)
- * @param {number} params.growthRate - Growth rate (g, as percentage)
- * @returns {Object} Calculation results
+ * @param {number} params.growthRate - Growth rate (g, or stable g_L, as percentage)
+ * @param {string} params.model - Model key (default 'constant')
+ * @param {number} params.highGrowthRate - High/initial growth rate (g_S, as percentage)
+ * @param {number} params.highGrowthYears - Length of the high-growth period (N)
+ * @param {number|null} params.netBuyback - Net buybacks per share B₀ (buybacks less
+ *   issuance), or null for the dividend-only model
+ * @returns {Object} Calculation results, with totalPayout: { b1, buybackYield, totalYield }
+ *   when netBuyback is given
  */
-export function calculateRequiredReturn({ marketPrice, currentDividend, growthRate }) {
+export function calculateRequiredReturn({
+  marketPrice,
+  currentDividend,
+  growthRate,
+  model = 'constant',
+  highGrowthRate,
+  highGrowthYears,
+  netBuyback = null
+}) {
   // Convert growth rate from percentage to decimal
   const g = growthRate / 100;
+  const isMultiStage = model !== 'constant';
   
   // Calculate next year's dividend
-  // D₁ = D₀ × (1 + g)
-  const d1 = currentDividend * (1 + g);
+  // D₁ = D₀ × (1 + g₁)
+  const growthSchedule = isMultiStage
+    ? getGrowthSchedule({ model, growthRate, highGrowthRate, highGrowthYears }, highGrowthYears + 1)
+    : [g];
+  const d1 = currentDividend * (1 + growthSchedule[0]);
+  
+  // B₁ = B₀ × (1 + g₁); the total payout D₀ + B₀ takes the place of D₀
+  const b1 = (netBuyback || 0) * (1 + growthSchedule[0]);
+  const currentPayout = currentDividend + (netBuyback || 0);
   
   // Calculate dividend yield
   const dividendYield = d1 / marketPrice;
+  const totalYield = (d1 + b1) / marketPrice;
   
   // Calculate required return
-  // r = (D₁ / P₀) + g
-  const requiredReturn = dividendYield + g;
+  let requiredReturn;
+  let stageValues = null;
+  if (!isMultiStage) {
+    // r = (D₁ + B₁) / P₀ + g
+    requiredReturn = totalYield + g;
+  } else {
+    const dividends = [];
+    let dividend = currentPayout;
+    growthSchedule.forEach(rate => {
+      dividend *= 1 + rate;
+      dividends.push(dividend);
+    });
+    const terminalDividend = dividends.pop();
+    
+    // No dividends to discount: the model collapses to r = g_L
+    requiredReturn = currentPayout === 0
+      ? g
+      : solveRequiredReturn(marketPrice, dividends, terminalDividend, g);
+    
+    // Split P₀ into the high-growth dividends and the discounted terminal value
+    const terminalValue = currentPayout === 0 ? 0 : terminalDividend / (requiredReturn - g);
+    const terminalValuePV = terminalValue / Math.pow(1 + requiredReturn, highGrowthYears);
+    stageValues = {
+      terminalValue,
+      terminalValuePV,
+      highGrowthPV: presentValueOfDividends(dividends, 0, requiredReturn, g)
+    };
+  }
   
   // Convert to percentage
   const requiredReturnPct = requiredReturn * 100;
@@ -39,80 +198,519 @@ export function calculateRequiredReturn({ marketPrice, currentDividend, growthRa
     dividendYield: dividendYieldPct,
     dividendYieldDecimal: dividendYield,
     growthRateDecimal: g,
+    model,
+    ...stageValues,
+    ...(netBuyback !== null ? {
+      totalPayout: { b1, buybackYield: b1 / marketPrice * 100, totalYield: totalYield * 100 }
+    } : {}),
     isValid: requiredReturn > 0 && g < requiredReturn
   };
 }
 
+/**
+ * Ways of entering the retention ratio for sustainable growth
+ */
+export const RETENTION_BASES = {
+  retention: 'Retention ratio (b)',
+  payout: 'Payout ratio',
+  earnings: 'EPS and DPS'
+};
+
+/**
+ * Derive the sustainable growth rate g = b × ROE
+ * The retention ratio b comes from one of:
+ * - retention: b entered directly
+ * - payout: b = 1 − payout ratio
+ * - earnings: b = 1 − DPS / EPS, with DPS the current dividend D₀
+ *
+ * @param {Object} params - Growth inputs
+ * @param {number} params.roe - Return on equity (as percentage)
+ * @param {string} params.retentionBasis - Key from RETENTION_BASES
+ * @param {number} params.retentionRatio - Retention ratio (as percentage)
+ * @param {number} params.payoutRatio - Payout ratio (as percentage)
+ * @param {number} params.eps - Earnings per share (EPS₀)
+ * @param {number} params.currentDividend - Dividends per share (D₀)
+ * @returns {Object} { roe, retentionBasis, retentionRatio, payoutRatio, growthRate } (percentages)
+ */
+export function calculateSustainableGrowth({ roe, retentionBasis = 'retention', retentionRatio, payoutRatio, eps, currentDividend }) {
+  let b;
+  switch (retentionBasis) {
+    case 'payout':
+      b = 1 - payoutRatio / 100;
+      break;
+    case 'earnings':
+      b = 1 - currentDividend / eps;
+      break;
+    default:
+      b = retentionRatio / 100;
+  }
+  
+  return {
+    roe,
+    retentionBasis,
+    eps,
+    retentionRatio: b * 100,
+    payoutRatio: (1 - b) * 100,
+    // g = b × ROE
+    growthRate: b * roe
+  };
+}
+
+/**
+ * Dividend payout frequencies
+ */
+export const PAYOUT_FREQUENCIES = {
+  annual: { label: 'Annual', periodsPerYear: 1 },
+  semiAnnual: { label: 'Semi-annual', periodsPerYear: 2 },
+  quarterly: { label: 'Quarterly', periodsPerYear: 4 }
+};
+
 /**
  * Generate dividend cash flow projections
+ * Each year's dividend D_t is paid in equal instalments when there is more than
+ * one payment per year, so the payments in a year always sum to D_t.
+ *
  * @param {Object} params - Calculation parameters
  * @param {number} params.marketPrice - Initial investment
  * @param {number} params.currentDividend - Current dividend (D₀)
  * @param {number} params.growthRateDecimal - Growth rate (as decimal)
+ * @param {Array<number>} params.growthSchedule - Optional per-year growth rates (as decimals)
  * @param {number} params.years - Number of years to project (default 10)
- * @returns {Array} Array of cash flow objects
+ * @param {number} params.periodsPerYear - Dividend payments per year (default 1)
+ * @param {number} params.requiredReturnDecimal - Optional discount rate; adds discount
+ *   factors and present values to each row
+ * @returns {Array} Array of cash flow objects, one per payment date
  */
-export function generateCashFlows({ marketPrice, currentDividend, growthRateDecimal, years = 10 }) {
+export function generateCashFlows({ marketPrice, currentDividend, growthRateDecimal, growthSchedule = null, years = 10, periodsPerYear = 1, requiredReturnDecimal = null }) {
   const cashFlows = [];
+  const discount = requiredReturnDecimal !== null;
   
-  // Year 0: Initial investment (negative cash flow)
+  // Period 0: Initial investment (negative cash flow)
   cashFlows.push({
+    period: 0,
     year: 0,
+    periodInYear: 0,
+    time: 0,
     dividend: 0,
     investment: -marketPrice,
+    growthRate: null,
     totalCashFlow: -marketPrice,
-    cumulativeCashFlow: -marketPrice
+    cumulativeCashFlow: -marketPrice,
+    ...(discount ? { discountFactor: 1, presentValue: 0, cumulativePresentValue: 0 } : {})
   });
   
-  // Years 1 to n: Dividend payments growing at rate g
+  // Years 1 to n: Dividend payments growing at rate g (or gₜ from the schedule)
   let cumulativeTotal = -marketPrice;
+  let cumulativePV = 0;
+  let dividend = currentDividend;
   
   for (let year = 1; year <= years; year++) {
-    // D_t = D₀ × (1 + g)^t
-    const dividend = currentDividend * Math.pow(1 + growthRateDecimal, year);
-    cumulativeTotal += dividend;
+    // D_t = D_(t-1) × (1 + g_t)
+    const growth = growthSchedule ? growthSchedule[year - 1] : growthRateDecimal;
+    dividend *= 1 + growth;
+    const payment = dividend / periodsPerYear;
     
-    cashFlows.push({
-      year,
-      dividend,
-      investment: 0,
-      totalCashFlow: dividend,
-      cumulativeCashFlow: cumulativeTotal
-    });
+    for (let periodInYear = 1; periodInYear <= periodsPerYear; periodInYear++) {
+      const time = year - 1 + periodInYear / periodsPerYear;
+      cumulativeTotal += payment;
+      
+      const row = {
+        period: (year - 1) * periodsPerYear + periodInYear,
+        year,
+        periodInYear,
+        time,
+        dividend: payment,
+        growthRate: growth * 100,
+        investment: 0,
+        totalCashFlow: payment,
+        cumulativeCashFlow: cumulativeTotal
+      };
+      
+      if (discount) {
+        // PV = D × 1 / (1 + r)^t
+        row.discountFactor = 1 / Math.pow(1 + requiredReturnDecimal, time);
+        row.presentValue = payment * row.discountFactor;
+        cumulativePV += row.presentValue;
+        row.cumulativePresentValue = cumulativePV;
+      }
+      
+      cashFlows.push(row);
+    }
   }
   
   return cashFlows;
 }
 
+/**
+ * Split total payout rows into dividends and buybacks
+ * Both grow at the same rates, so each payment splits in the ratio D₀ : B₀.
+ * Totals and present values are unchanged.
+ * 
+ * @param {Array} cashFlows - Output of generateCashFlows for the total payout D₀ + B₀
+ * @param {number} currentDividend - Current dividend (D₀)
+ * @param {number} netBuyback - Net buybacks per share (B₀)
+ * @returns {Array} Rows with dividend and buyback in place of the total payout
+ */
+export function splitTotalPayout(cashFlows, currentDividend, netBuyback) {
+  const payout = currentDividend + netBuyback;
+  const dividendShare = payout === 0 ? 1 : currentDividend / payout;
+  
+  return cashFlows.map(cf => ({
+    ...cf,
+    dividend: cf.dividend * dividendShare,
+    buyback: cf.dividend * (1 - dividendShare)
+  }));
+}
+
+/**
+ * Ways of entering buybacks and share issuance
+ */
+export const BUYBACK_BASES = {
+  perShare: 'Per share',
+  yield: 'Yield on price'
+};
+
+/**
+ * Net buybacks per share from the total payout settings
+ * @param {Object} settings - Total payout settings
+ * @param {string} settings.basis - Key from BUYBACK_BASES
+ * @param {number} settings.buybacks - Buybacks per share, or as a percentage of P₀
+ * @param {number} settings.issuance - Share issuance per share, or as a percentage of P₀
+ * @param {number} marketPrice - Current market price (P₀)
+ * @returns {number} Net buybacks per share B₀ (negative when issuance exceeds buybacks)
+ */
+export function calculateNetBuyback({ basis, buybacks, issuance }, marketPrice) {
+  return basis === 'yield'
+    ? (buybacks - issuance) / 100 * marketPrice
+    : buybacks - issuance;
+}
+
+/**
+ * Value the dividends beyond the projection horizon
+ * TV_H = D_H × (1 + g) / (r − g), discounted back H years. With the PVs of the
+ * projected dividends this sums to P₀ when payments are annual.
+ *
+ * @param {Array} cashFlows - Output of generateCashFlows (with present values)
+ * @param {number} requiredReturnDecimal - Discount rate r
+ * @param {number} growthRateDecimal - Growth after the horizon (g or g_L)
+ * @returns {Object} { year, terminalValue, presentValue }
+ */
+export function calculateHorizonValue(cashFlows, requiredReturnDecimal, growthRateDecimal) {
+  const year = cashFlows[cashFlows.length - 1].year;
+  const finalDividend = cashFlows
+    .filter(cf => cf.year === year)
+    .reduce((sum, cf) => sum + cf.dividend, 0);
+  
+  // No dividends (D₀ = 0) means r = g and nothing left to value
+  const terminalValue = finalDividend === 0
+    ? 0
+    : finalDividend * (1 + growthRateDecimal) / (requiredReturnDecimal - growthRateDecimal);
+  
+  return {
+    year,
+    terminalValue,
+    presentValue: terminalValue / Math.pow(1 + requiredReturnDecimal, year)
+  };
+}
+
 /**
  * Calculate all required return metrics
+ * A netBuyback param switches to the total payout model: the projection
+ * discounts D + B and splits each row into its dividend and buyback.
+ * The Gordon rearrangements only hold for constant growth without buybacks, so
+ * multi-stage and total payout inputs always solve for r whatever their solveFor.
+ * 
  * @param {Object} params - Input parameters from state
  * @returns {Object} Complete required return calculations
  */
 export function calculateRequiredReturnMetrics(params) {
-  const { marketPrice, currentDividend, growthRate } = params;
+  const {
+    marketPrice,
+    currentDividend,
+    model = 'constant',
+    highGrowthRate,
+    highGrowthYears,
+    projectionYears = 10,
+    payoutFrequency = 'annual',
+    netBuyback = null
+  } = params;
+  
+  // Derive g from ROE and the retention ratio in sustainable growth mode
+  const sustainableGrowth = params.growthInput === 'sustainable'
+    ? calculateSustainableGrowth(params)
+    : null;
+  const baseParams = sustainableGrowth ? { ...params, growthRate: sustainableGrowth.growthRate } : params;
+  
+  // Fill in the unknown input when solving for something other than r
+  const solveFor = model === 'constant' && netBuyback === null
+    ? params.solveFor || 'requiredReturn'
+    : 'requiredReturn';
+  const inputs = solveFor === 'requiredReturn'
+    ? { marketPrice, currentDividend, growthRate: baseParams.growthRate, ...(netBuyback !== null ? { netBuyback } : {}) }
+    : solveGordonUnknown(baseParams);
   
   // Calculate required return
   const returnData = calculateRequiredReturn({
-    marketPrice,
-    currentDividend,
-    growthRate
+    ...inputs,
+    model,
+    highGrowthRate,
+    highGrowthYears
   });
   
-  // Generate cash flow projections
-  const cashFlows = generateCashFlows({
-    marketPrice,
-    currentDividend,
+  // Multi-stage models project far enough to show at least one year of stable growth
+  const years = model === 'constant' ? projectionYears : Math.max(projectionYears, highGrowthYears + 1);
+  const { periodsPerYear } = PAYOUT_FREQUENCIES[payoutFrequency] || PAYOUT_FREQUENCIES.annual;
+  const growthSchedule = getGrowthSchedule(
+    { model, growthRate: inputs.growthRate, highGrowthRate, highGrowthYears },
+    years
+  );
+  
+  // Generate cash flow projections (of the total payout D + B with buybacks)
+  const projection = generateCashFlows({
+    marketPrice: inputs.marketPrice,
+    currentDividend: inputs.currentDividend + (inputs.netBuyback || 0),
     growthRateDecimal: returnData.growthRateDecimal,
-    years: 10
+    growthSchedule,
+    years,
+    periodsPerYear,
+    requiredReturnDecimal: returnData.requiredReturnDecimal
   });
   
+  const horizonValue = calculateHorizonValue(projection, returnData.requiredReturnDecimal, returnData.growthRateDecimal);
+  const totalPresentValue = projection[projection.length - 1].cumulativePresentValue + horizonValue.presentValue;
+  const cashFlows = returnData.totalPayout
+    ? splitTotalPayout(projection, inputs.currentDividend, inputs.netBuyback)
+    : projection;
+  
   return {
     ...returnData,
-    cashFlows
+    solveFor,
+    inputs,
+    years,
+    periodsPerYear,
+    cashFlows,
+    horizonValue,
+    totalPresentValue,
+    sustainableGrowth
   };
 }
 
+/**
+ * Build a symmetric range of values around a base value
+ * @param {number} base - Centre of the range
+ * @param {number} spread - Distance from the centre to each end
+ * @param {number} step - Step size
+ * @returns {Array<number>} Ascending values, including the base
+ */
+function buildRange(base, spread, step) {
+  const steps = Math.floor(spread / step + 1e-9);
+  const values = [];
+  for (let i = -steps; i <= steps; i++) {
+    values.push(base + i * step);
+  }
+  return values;
+}
+
+/**
+ * Generate a sensitivity grid of required return across growth and price
+ * Rows vary g (percentage points), columns vary P₀ (percent of the base price)
+ * 
+ * @param {Object} params - Base case inputs (as for calculateRequiredReturnMetrics)
+ * @param {Object} settings - Grid settings
+ * @param {number} settings.growthSpread - Growth range either side of g (percentage points)
+ * @param {number} settings.growthStep - Growth step (percentage points)
+ * @param {number} settings.priceSpread - Price range either side of P₀ (percent)
+ * @param {number} settings.priceStep - Price step (percent)
+ * @param {Function} calculate - Solves each cell from its params (the annual model
+ *   by default; dated schedules pass calculateDatedReturnMetrics with their dates)
+ * @returns {Object} { growthRates, prices, rows, baseRow, baseColumn }
+ */
+export function generateSensitivityGrid(params, { growthSpread, growthStep, priceSpread, priceStep }, calculate = calculateRequiredReturnMetrics) {
+  const { marketPrice, growthRate } = params;
+  const growthRates = buildRange(growthRate, growthSpread, growthStep);
+  const prices = buildRange(marketPrice, marketPrice * priceSpread / 100, marketPrice * priceStep / 100);
+  
+  const rows = growthRates.map(rowGrowth => ({
+    growthRate: rowGrowth,
+    requiredReturns: prices.map(price => calculate({
+      ...params,
+      solveFor: 'requiredReturn',
+      marketPrice: price,
+      growthRate: rowGrowth
+    }).requiredReturn)
+  }));
+  
+  return {
+    growthRates,
+    prices,
+    rows,
+    baseRow: (growthRates.length - 1) / 2,
+    baseColumn: (prices.length - 1) / 2
+  };
+}
+
+/**
+ * Cost of equity methods used to cross-check the DDM-implied required return
+ */
+export const COST_OF_EQUITY_METHODS = {
+  capm: { label: 'CAPM', enabledBy: 'capmEnabled' },
+  bondYield: { label: 'Bond yield plus risk premium', enabledBy: 'bondYieldEnabled' }
+};
+
+/**
+ * Estimate the cost of equity with each enabled cross-check method
+ * 
+ * - capm: r = R_F + β × ERP
+ * - bondYield: r = bond yield + risk premium
+ * 
+ * @param {Object} settings - Cross-check settings (rates as percentages)
+ * @param {number} requiredReturn - DDM-implied required return (as percentage)
+ * @returns {Array} { key, label, inputs, value, spread } for each enabled method, where
+ *   spread is the DDM r minus the estimate in percentage points
+ */
+export function calculateCostOfEquityEstimates(settings, requiredReturn) {
+  const { riskFreeRate, beta, equityRiskPremium, bondYield, bondRiskPremium } = settings;
+  const estimates = {
+    capm: {
+      inputs: { riskFreeRate, beta, equityRiskPremium },
+      value: riskFreeRate + beta * equityRiskPremium
+    },
+    bondYield: {
+      inputs: { bondYield, bondRiskPremium },
+      value: bondYield + bondRiskPremium
+    }
+  };
+  
+  return Object.entries(COST_OF_EQUITY_METHODS)
+    .filter(([, { enabledBy }]) => settings[enabledBy])
+    .map(([key, { label }]) => ({
+      key,
+      label,
+      ...estimates[key],
+      spread: requiredReturn - estimates[key].value
+    }));
+}
+
+/**
+ * Convert a nominal rate to a real one with the Fisher relationship
+ * (1 + nominal) = (1 + real) × (1 + π)
+ * 
+ * @param {number} nominalRate - Nominal rate (decimal)
+ * @param {number} inflationRate - Expected inflation π (decimal)
+ * @returns {number} Real rate (decimal)
+ */
+export function fisherRealRate(nominalRate, inflationRate) {
+  return (1 + nominalRate) / (1 + inflationRate) - 1;
+}
+
+/**
+ * Real and nominal required return and growth at an expected inflation rate
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {number} inflationRate - Expected inflation π (as percentage)
+ * @returns {Object} { inflationRate, nominalReturn, realReturn, nominalGrowth, realGrowth } (percentages)
+ */
+export function calculateRealReturn(calculations, inflationRate) {
+  const inflation = inflationRate / 100;
+  return {
+    inflationRate,
+    nominalReturn: calculations.requiredReturn,
+    realReturn: fisherRealRate(calculations.requiredReturnDecimal, inflation) * 100,
+    nominalGrowth: calculations.growthRateDecimal * 100,
+    realGrowth: fisherRealRate(calculations.growthRateDecimal, inflation) * 100
+  };
+}
+
+/**
+ * Restate a calculation in real (inflation-adjusted) terms
+ * Each cash flow at time t is divided by (1 + π)^t and discounted at the real r,
+ * so present values are unchanged. Rows keep the nominal dividend for reference.
+ * 
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {number} inflationRate - Expected inflation π (as percentage)
+ * @returns {Object} Calculations with real r, growth, cash flows and horizon value, plus the inflationRate used
+ */
+export function toRealTerms(calculations, inflationRate) {
+  const inflation = inflationRate / 100;
+  const deflate = (amount, time) => amount / Math.pow(1 + inflation, time);
+  const realReturn = fisherRealRate(calculations.requiredReturnDecimal, inflation);
+  
+  let cumulativeTotal = 0;
+  const cashFlows = calculations.cashFlows.map(cf => {
+    const dividend = deflate(cf.dividend, cf.time);
+    const buyback = cf.buyback === undefined ? undefined : deflate(cf.buyback, cf.time);
+    const totalCashFlow = cf.investment + dividend + (buyback || 0);
+    cumulativeTotal += totalCashFlow;
+    
+    const row = {
+      ...cf,
+      dividend,
+      ...(buyback !== undefined ? { buyback } : {}),
+      nominalDividend: cf.dividend,
+      growthRate: cf.growthRate === null ? null : fisherRealRate(cf.growthRate / 100, inflation) * 100,
+      totalCashFlow,
+      cumulativeCashFlow: cumulativeTotal
+    };
+    if (cf.discountFactor !== undefined) {
+      // 1 / (1 + r_real)^t = (1 + π)^t / (1 + r)^t
+      row.discountFactor = cf.discountFactor * Math.pow(1 + inflation, cf.time);
+    }
+    return row;
+  });
+  
+  const { horizonValue } = calculations;
+  return {
+    ...calculations,
+    requiredReturn: realReturn * 100,
+    requiredReturnDecimal: realReturn,
+    growthRateDecimal: fisherRealRate(calculations.growthRateDecimal, inflation),
+    cashFlows,
+    horizonValue: horizonValue && {
+      ...horizonValue,
+      terminalValue: deflate(horizonValue.terminalValue, horizonValue.date ? horizonValue.time : horizonValue.year)
+    },
+    inflationRate
+  };
+}
+
+/**
+ * Split r into dividend yield and capital gain, before and after tax
+ * r = D₁ / P₀ + capital gain, where the capital gain is g for the Gordon model
+ * and r − D₁ / P₀ for the multi-stage models. Each part is taxed at its own rate:
+ * r_after-tax = D₁ / P₀ × (1 − t_D) + capital gain × (1 − t_CG)
+ * A capital loss is reduced the same way, as if it offsets other gains.
+ * 
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {Object} rates - Tax rates
+ * @param {number} rates.dividendTaxRate - Tax on dividends t_D (as percentage)
+ * @param {number} rates.capitalGainsTaxRate - Tax on capital gains t_CG (as percentage)
+ * @returns {Object} { dividendTaxRate, capitalGainsTaxRate, preTax, afterTax, taxDrag } with
+ *   preTax and afterTax as { dividendYield, capitalGain, requiredReturn } (percentages)
+ */
+export function calculateAfterTaxReturn(calculations, { dividendTaxRate, capitalGainsTaxRate }) {
+  const dividendYield = calculations.dividendYield;
+  const capitalGain = calculations.requiredReturn - dividendYield;
+  const afterTaxYield = dividendYield * (1 - dividendTaxRate / 100);
+  const afterTaxGain = capitalGain * (1 - capitalGainsTaxRate / 100);
+  
+  return {
+    dividendTaxRate,
+    capitalGainsTaxRate,
+    preTax: { dividendYield, capitalGain, requiredReturn: calculations.requiredReturn },
+    afterTax: { dividendYield: afterTaxYield, capitalGain: afterTaxGain, requiredReturn: afterTaxYield + afterTaxGain },
+    taxDrag: calculations.requiredReturn - afterTaxYield - afterTaxGain
+  };
+}
+
+/**
+ * Add the dividend net of tax to each cash flow row
+ * @param {Array} cashFlows - Output of generateCashFlows
+ * @param {number} dividendTaxRate - Tax on dividends t_D (as percentage)
+ * @returns {Array} Rows with afterTaxDividend = D × (1 − t_D)
+ */
+export function addAfterTaxDividends(cashFlows, dividendTaxRate) {
+  return cashFlows.map(cf => ({ ...cf, afterTaxDividend: cf.dividend * (1 - dividendTaxRate / 100) }));
+}
+
 /**
  * Calculate stock price using Gordon Growth Model (for reference)
  * P₀ = D₁ / (r - g)
@@ -130,4 +728,72 @@ export function calculateGordonPrice(d1, r, g) {
     throw new Error('Growth rate must be less than required return');
   }
   return d1 / (r - g);
-}
\ No newline at end of file
+}
+
+/**
+ * Calculate current dividend implied by price, required return and growth
+ * D₀ = P₀ × (r - g) / (1 + g)
+ * 
+ * @param {number} p0 - Market price
+ * @param {number} r - Required return (decimal)
+ * @param {number} g - Growth rate (decimal)
+ * @returns {number} Implied current dividend
+ */
+export function calculateGordonDividend(p0, r, g) {
+  if (g >= r) {
+    throw new Error('Growth rate must be less than required return');
+  }
+  return p0 * (r - g) / (1 + g);
+}
+
+/**
+ * Calculate growth rate implied by price, current dividend and required return
+ * P₀ × (r - g) = D₀ × (1 + g)  ⇒  g = (P₀ × r - D₀) / (P₀ + D₀)
+ * 
+ * @param {number} p0 - Market price
+ * @param {number} d0 - Current dividend
+ * @param {number} r - Required return (decimal)
+ * @returns {number} Implied growth rate (decimal)
+ */
+export function calculateImpliedGrowth(p0, d0, r) {
+  return (p0 * r - d0) / (p0 + d0);
+}
+
+/**
+ * Solve the Gordon Growth Model for whichever input is unknown
+ * 
+ * @param {Object} params - Model parameters (percentages for rates)
+ * @param {string} params.solveFor - 'marketPrice', 'currentDividend' or 'growthRate'
+ * @param {number} params.marketPrice - Market price (P₀)
+ * @param {number} params.currentDividend - Current dividend (D₀)
+ * @param {number} params.growthRate - Growth rate (g, as percentage)
+ * @param {number} params.targetReturn - Required return (r, as percentage)
+ * @returns {Object} Complete inputs { marketPrice, currentDividend, growthRate }
+ */
+export function solveGordonUnknown({ solveFor, marketPrice, currentDividend, growthRate, targetReturn }) {
+  const r = targetReturn / 100;
+  const g = growthRate / 100;
+  
+  switch (solveFor) {
+    case 'marketPrice':
+      return {
+        marketPrice: calculateGordonPrice(currentDividend * (1 + g), r, g),
+        currentDividend,
+        growthRate
+      };
+    case 'currentDividend':
+      return {
+        marketPrice,
+        currentDividend: calculateGordonDividend(marketPrice, r, g),
+        growthRate
+      };
+    case 'growthRate':
+      return {
+        marketPrice,
+        currentDividend,
+        growthRate: calculateImpliedGrowth(marketPrice, currentDividend, r) * 100
+      };
+    default:
+      throw new Error(`Unknown solve-for variable: ${solveFor}`);
+  }
+}
@@ -0,0 +1,374 @@
+/**
+ * Calculator Element Module
+ * <required-return-calculator> custom element for embedding the calculator
+ * in other pages. Each instance keeps its own inputs and renders into its own
+ * shadow root, so several calculators can share a page without ID clashes.
+ *
+ * Usage:
+ *   <script type="module" src="return-modules/calculator-element.js"></script>
+ *   <required-return-calculator price="54.56" dividend="5.10" growth="4.8"></required-return-calculator>
+ *
+ * Attributes (initial values; later changes are applied too):
+ *   price, dividend, growth, years, model, high-growth, high-growth-years
+ *     Inputs, named as for the command-line interface
+ *   payout     Dividend payments: annual, semiAnnual or quarterly
+ *   currency   Key from CURRENCIES (default USD)
+ *   locale     Key from LOCALES (default en-US)
+ *   view       chart or table (default chart)
+ *
+ * Events (bubble out of the shadow root):
+ *   calculate         detail: { returnCalculations, inputs, warnings } after each successful calculation;
+ *                     warnings lists assumptions worth checking (they never block the result)
+ *   validationchange  detail: { errors, isValid, returnCalculations } when the errors change;
+ *                     returnCalculations is null while the inputs are invalid
+ */
+
+import { MODELS, PAYOUT_FREQUENCIES } from './calculations.js';
+import { BATCH_FIELDS, parseBatchValues, screenStock } from './batch.js';
+import { CURRENCIES, LOCALES, debounce, withNumberFormat } from './utils.js';
+import { renderResults, annotateResultWarnings } from './results.js';
+import { renderDynamicEquation } from './equation.js';
+import { renderTable } from './table.js';
+import { buildChartSVG } from './chart-export.js';
+
+const TAG_NAME = 'required-return-calculator';
+
+const VIEWS = ['chart', 'table'];
+
+const GROWTH_LABEL = 'Growth rate <span style="color: var(--color-green-data);">(g)</span>';
+
+const STABLE_GROWTH_LABEL = 'Stable growth rate <span style="color: var(--color-green-data);">(g<sub>L</sub>)</span>';
+
+/**
+ * Input controls: attribute name, label, unit and input limits
+ */
+const INPUTS = [
+  { name: 'price', label: 'Market price <span style="color: var(--color-return-negative);">(P₀)</span>', currency: true, min: 1, max: 500 },
+  { name: 'dividend', label: 'Current dividend <span style="color: var(--color-return-dividend);">(D₀)</span>', currency: true, min: 0, max: 50 },
+  { name: 'growth', label: GROWTH_LABEL, suffix: '%', min: -20, max: 25 },
+  { name: 'high-growth', label: 'High growth rate <span style="color: var(--color-green-data);">(g<sub>S</sub>)</span>', suffix: '%', min: -20, max: 50, multiStage: true },
+  { name: 'high-growth-years', label: 'High-growth period <span style="color: var(--color-green-data);">(N)</span>', suffix: 'years', min: 1, max: 30, step: 1, multiStage: true }
+];
+
+const DEFAULT_INPUTS = {
+  marketPrice: 54.56,
+  currentDividend: 5.10,
+  growthRate: 4.80,
+  model: 'constant',
+  highGrowthRate: 12.00,
+  highGrowthYears: 5,
+  projectionYears: 10,
+  payoutFrequency: 'annual'
+};
+
+const STYLESHEETS = ['../cfa-base.css', '../required-return-specific.css'];
+
+let sharedStyles = null;
+
+/**
+ * Load the calculator stylesheets once for all instances
+ * Custom properties declared on :root are moved to :host so they apply
+ * inside the shadow root.
+ * @returns {Promise<string>} Stylesheet text (empty if unavailable)
+ */
+function loadStyles() {
+  if (!sharedStyles) {
+    sharedStyles = Promise.all(STYLESHEETS.map(path =>
+      fetch(new URL(path, import.meta.url)).then(response => {
+        if (!response.ok) throw new Error(`${path}: HTTP ${response.status}`);
+        return response.text();
+      })
+    ))
+      .then(texts => texts.join('\n').replace(/:root\b/g, ':host'))
+      .catch(error => {
+        console.warn('Calculator styles could not be loaded:', error);
+        return '';
+      });
+  }
+  return sharedStyles;
+}
+
+const HOST_STYLES = `
+  :host {
+    display: block;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+    color: var(--color-gray-800);
+    line-height: 1.5;
+  }
+  .embed-chart svg {
+    display: block;
+    width: 100%;
+    height: auto;
+  }
+  .embed-output {
+    margin-top: 1rem;
+  }
+`;
+
+function inputMarkup({ name, label, currency, suffix, min, max, step = 0.01, multiStage }) {
+  return `
+    <div class="input-inline"${multiStage ? ' data-multi-stage hidden' : ''}>
+      <label for="${name}" class="input-label-inline">${label}:</label>
+      <div class="input-with-suffix-inline">${currency ? `
+        <span class="input-prefix-inline" data-currency-code></span>` : ''}
+        <input type="number" id="${name}" class="input-field-inline" min="${min}" max="${max}" step="${step}">${suffix ? `
+        <span class="input-suffix-inline">${suffix}</span>` : ''}
+      </div>
+    </div>`;
+}
+
+const TEMPLATE = `
+  <style>${HOST_STYLES}</style>
+  <section class="card" aria-label="Required return calculator">
+    <div class="card-content">
+      <div class="input-section">
+        <div class="model-selector">
+          <span class="model-selector-label" id="model-selector-label">Dividend model:</span>
+          <div class="button-group" role="group" aria-labelledby="model-selector-label">
+            ${Object.entries(MODELS).map(([key, label]) => `
+            <button type="button" class="model-btn" data-model="${key}" aria-pressed="false">${label}</button>`).join('')}
+          </div>
+        </div>
+        <div class="input-group-inline">${INPUTS.map(inputMarkup).join('')}
+        </div>
+        <div class="validation-summary" role="alert" hidden>
+          <div class="validation-title">Please correct the following:</div>
+          <ul></ul>
+        </div>
+      </div>
+      <div class="equation-container" role="region" aria-label="Required return calculation with your values" aria-live="polite">
+        <div class="embed-equation"></div>
+      </div>
+      <div class="embed-results"></div>
+      <div class="embed-output">
+        <div class="button-group" role="group" aria-label="View mode - switch between chart and table">
+          <button type="button" class="toggle-btn" data-view="chart" aria-pressed="false">Chart</button>
+          <button type="button" class="toggle-btn" data-view="table" aria-pressed="false">Table</button>
+        </div>
+        <div class="embed-chart" role="region" aria-label="Required return and dividend projection chart"></div>
+        <div class="table-wrapper embed-table" role="region" aria-label="Required return projection table" hidden>
+          <table class="data-table" tabindex="0"></table>
+        </div>
+      </div>
+    </div>
+  </section>
+`;
+
+export class RequiredReturnCalculatorElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...Object.keys(BATCH_FIELDS), 'payout', 'currency', 'locale', 'view'];
+  }
+  
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.innerHTML = TEMPLATE;
+    
+    this._inputs = { ...DEFAULT_INPUTS };
+    this._errors = {};
+    this._returnCalculations = null;
+    this._connected = false;
+    this._scheduleUpdate = debounce(() => this._update(), 300);
+    
+    INPUTS.forEach(({ name }) => {
+      this._$(`#${name}`).value = this._inputs[BATCH_FIELDS[name].field];
+    });
+    this._setupControls();
+    this._syncView();
+    
+    loadStyles().then(css => {
+      const style = document.createElement('style');
+      style.textContent = css;
+      this.shadowRoot.prepend(style);
+    });
+  }
+  
+  connectedCallback() {
+    this._connected = true;
+    this._update();
+  }
+  
+  disconnectedCallback() {
+    this._connected = false;
+  }
+  
+  attributeChangedCallback(name, oldValue, value) {
+    if (name === 'view') {
+      this._syncView();
+      return;
+    }
+    
+    if (BATCH_FIELDS[name] && value !== null) {
+      const inputs = parseBatchValues({ [name]: value });
+      Object.assign(this._inputs, inputs);
+      const input = this._$(`#${name}`);
+      if (input) input.value = value;
+    } else if (name === 'payout' && PAYOUT_FREQUENCIES[value]) {
+      this._inputs.payoutFrequency = value;
+    }
+    
+    if (this._connected) this._update();
+  }
+  
+  /**
+   * Latest successful calculation (null while the inputs are invalid)
+   * @returns {Object|null} Output of calculateRequiredReturnMetrics
+   */
+  get returnCalculations() {
+    return this._returnCalculations;
+  }
+  
+  /**
+   * Current validation errors keyed by field
+   * @returns {Object} Error object
+   */
+  get errors() {
+    return { ...this._errors };
+  }
+  
+  get _numberFormat() {
+    const currency = this.getAttribute('currency');
+    const locale = this.getAttribute('locale');
+    return {
+      currency: CURRENCIES[currency] ? currency : 'USD',
+      locale: LOCALES[locale] ? locale : 'en-US'
+    };
+  }
+  
+  _$(selector) {
+    return this.shadowRoot.querySelector(selector);
+  }
+  
+  _setupControls() {
+    INPUTS.forEach(({ name }) => {
+      const input = this._$(`#${name}`);
+      input.addEventListener('input', () => {
+        Object.assign(this._inputs, parseBatchValues({ [name]: input.value }));
+        this._scheduleUpdate();
+      });
+    });
+    
+    this.shadowRoot.querySelectorAll('[data-model]').forEach(button => {
+      button.addEventListener('click', () => this.setAttribute('model', button.dataset.model));
+    });
+    
+    this.shadowRoot.querySelectorAll('[data-view]').forEach(button => {
+      button.addEventListener('click', () => this.setAttribute('view', button.dataset.view));
+    });
+  }
+  
+  _syncView() {
+    const requested = this.getAttribute('view');
+    const view = VIEWS.includes(requested) ? requested : 'chart';
+    
+    this.shadowRoot.querySelectorAll('[data-view]').forEach(button => {
+      const active = button.dataset.view === view;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+    this._$('.embed-chart').hidden = view !== 'chart';
+    this._$('.embed-table').hidden = view !== 'table';
+  }
+  
+  _syncControls({ model }) {
+    const isMultiStage = model !== 'constant';
+    this.shadowRoot.querySelectorAll('[data-multi-stage]').forEach(group => {
+      group.hidden = !isMultiStage;
+    });
+    this._$('label[for="growth"]').innerHTML = `${isMultiStage ? STABLE_GROWTH_LABEL : GROWTH_LABEL}:`;
+    
+    this.shadowRoot.querySelectorAll('[data-model]').forEach(button => {
+      const active = button.dataset.model === model;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+    });
+    
+    const { currency } = this._numberFormat;
+    this.shadowRoot.querySelectorAll('[data-currency-code]').forEach(span => {
+      span.textContent = currency;
+    });
+  }
+  
+  _showErrors(errors, warnings) {
+    INPUTS.forEach(({ name }) => {
+      const input = this._$(`#${name}`);
+      if (errors[BATCH_FIELDS[name].field]) {
+        input.setAttribute('aria-invalid', 'true');
+        input.classList.add('error');
+      } else {
+        input.removeAttribute('aria-invalid');
+        input.classList.remove('error');
+      }
+    });
+    
+    const summary = this._$('.validation-summary');
+    const isError = Object.keys(errors).length > 0;
+    const messages = isError ? Object.values(errors) : warnings.map(warning => warning.message);
+    summary.querySelector('ul').innerHTML = messages.map(message => `<li>${message}</li>`).join('');
+    summary.classList.toggle('warning', !isError);
+    summary.setAttribute('role', isError ? 'alert' : 'status');
+    summary.querySelector('.validation-title').textContent = isError
+      ? 'Please correct the following:'
+      : 'Check these assumptions:';
+    summary.hidden = messages.length === 0;
+  }
+  
+  _render(calculations, inputs, warnings) {
+    const params = {
+      ...calculations.inputs,
+      model: inputs.model,
+      highGrowthRate: inputs.highGrowthRate,
+      highGrowthYears: inputs.highGrowthYears
+    };
+    
+    renderDynamicEquation(calculations, params, this._$('.embed-equation'));
+    renderResults(calculations, params, [], [], this._$('.embed-results'));
+    annotateResultWarnings(warnings, this._$('.embed-results'));
+    this._$('.embed-chart').innerHTML = buildChartSVG(calculations, { settings: params });
+    renderTable(
+      calculations.cashFlows,
+      calculations.requiredReturn,
+      calculations.model,
+      calculations.periodsPerYear,
+      calculations.horizonValue,
+      this._$('.embed-table table')
+    );
+  }
+  
+  /**
+   * Validate and calculate the current inputs, render, and notify the host page
+   * Outputs keep showing the last valid calculation while the inputs are invalid.
+   */
+  _update() {
+    const { inputs, errors, warnings, calculations } = withNumberFormat(this._numberFormat, () => {
+      const result = screenStock(this._inputs);
+      this._syncControls(result.inputs);
+      this._showErrors(result.errors, result.warnings);
+      if (result.calculations) this._render(result.calculations, result.inputs, result.warnings);
+      return result;
+    });
+    
+    const errorsChanged = JSON.stringify(errors) !== JSON.stringify(this._errors);
+    this._errors = errors;
+    this._returnCalculations = calculations;
+    
+    if (calculations) {
+      this._dispatch('calculate', { returnCalculations: calculations, inputs, warnings });
+    }
+    if (errorsChanged) {
+      this._dispatch('validationchange', {
+        errors: { ...errors },
+        isValid: calculations !== null,
+        returnCalculations: calculations
+      });
+    }
+  }
+  
+  _dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+}
+
+if (!customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, RequiredReturnCalculatorElement);
+}
@@ -0,0 +1,292 @@
+/**
+ * Chart Export Module
+ * Standalone SVG drawing of the cash flow chart (legend, axes and caption
+ * included) and PNG rasterization for slide decks
+ */
+
+import { MODELS } from './calculations.js';
+import { formatCurrency, formatPercentage, formatNumber, formatPeriod, formatDate, getNumberFormat, escapeXML } from './utils.js';
+
+const COLORS = {
+  dividend: '#15803d',    // Green - matches --color-return-dividend
+  negative: '#b95b1d',    // Orange - matches --color-return-negative
+  required: '#3c6ae5',    // Blue - matches --color-return-required
+  growth: '#15803d',      // Green - matches --color-return-growth
+  capm: '#733599',        // Eggplant - matches --color-return-capm
+  bondYield: '#0079a6',   // Teal - matches --color-return-bond-yield
+  buyback: '#0f766e',     // Dark teal - matches --color-return-buyback
+  darkText: '#06005a',
+  axis: '#1f2937',
+  grid: 'rgba(0, 0, 0, 0.05)'
+};
+
+const FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif";
+
+/**
+ * Default export size in CSS pixels (PNG scales multiply this)
+ */
+export const CHART_EXPORT_SIZE = { width: 960, height: 600 };
+
+const MARGIN = { top: 96, right: 80, bottom: 120, left: 88 };
+
+/**
+ * Round a raw tick step up to 1, 2 or 5 times a power of ten
+ * @param {number} raw - Unrounded step
+ * @returns {number} Nice step
+ */
+function niceStep(raw) {
+  if (!(raw > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+  const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
+
+function text(x, y, content, { size = 12, weight = 500, color = COLORS.axis, anchor = 'start', baseline = 'middle', rotate = null } = {}) {
+  const px = Number(x.toFixed(1));
+  const py = Number(y.toFixed(1));
+  const transform = rotate === null ? '' : ` transform="rotate(${rotate} ${px} ${py})"`;
+  return `<text x="${px}" y="${py}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}" dominant-baseline="${baseline}"${transform}>${escapeXML(content)}</text>`;
+}
+
+function polyline(points, { color, width = 2, dash = null }) {
+  const dashAttr = dash ? ` stroke-dasharray="${dash}"` : '';
+  return `<polyline points="${points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ')}" fill="none" stroke="${color}" stroke-width="${width}"${dashAttr}/>`;
+}
+
+/**
+ * Build the caption lines listing the inputs and results
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {Object} settings - Model settings (highGrowthRate, highGrowthYears)
+ * @returns {Array<string>} Caption lines
+ */
+export function buildChartCaption(calculations, { highGrowthRate, highGrowthYears } = {}) {
+  const { inputs, model, cashFlows, periodsPerYear = 1 } = calculations;
+  const years = cashFlows[cashFlows.length - 1].year;
+  const frequency = { 1: 'annual', 2: 'semi-annual', 4: 'quarterly' }[periodsPerYear];
+  const growthParts = model === 'constant'
+    ? [`g = ${formatPercentage(inputs.growthRate)}`]
+    : [`gS = ${formatPercentage(highGrowthRate)} for ${highGrowthYears} years`, `gL = ${formatPercentage(inputs.growthRate)}`];
+  
+  return [
+    [
+      MODELS[model],
+      `P₀ = ${formatCurrency(inputs.marketPrice)}`,
+      `D₀ = ${formatCurrency(inputs.currentDividend)}`,
+      ...(calculations.totalPayout ? [`B₀ = ${formatCurrency(inputs.netBuyback)}`] : []),
+      ...growthParts
+    ].join('  ·  '),
+    [
+      calculations.inflationRate !== undefined
+        ? `Real required return r = ${formatPercentage(calculations.requiredReturn)} at ${formatPercentage(calculations.inflationRate)} inflation`
+        : `Required return r = ${formatPercentage(calculations.requiredReturn)}`,
+      `D₁ = ${formatCurrency(calculations.d1)}`,
+      calculations.totalPayout
+        ? `Total shareholder yield = ${formatPercentage(calculations.totalPayout.totalYield)}`
+        : `Dividend yield = ${formatPercentage(calculations.dividendYield)}`,
+      calculations.dated
+        ? `Payments from ${formatDate(cashFlows[1].date)} to ${formatDate(cashFlows[cashFlows.length - 1].date)}, ${frequency}`
+        : `${years}-year horizon, ${frequency} payments`
+    ].join('  ·  ')
+  ];
+}
+
+/**
+ * Draw the cash flow chart as a standalone SVG document
+ * Mirrors renderChart: stacked investment, dividend and any buyback bars on the left axis,
+ * the required return (plus the growth schedule for multi-stage models and any
+ * cost of equity cross-checks) on the right.
+ *
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {Object} options - Export options
+ * @param {Object} options.settings - Model settings (highGrowthRate, highGrowthYears)
+ * @param {Array} options.comparisons - Saved scenarios whose dividend streams are overlaid
+ * @param {Array} options.crossChecks - Cost of equity estimates drawn as reference lines
+ * @param {number} options.width - Width in pixels
+ * @param {number} options.height - Height in pixels
+ * @returns {string} SVG markup
+ */
+export function buildChartSVG(calculations, {
+  settings = {},
+  comparisons = [],
+  crossChecks = [],
+  width = CHART_EXPORT_SIZE.width,
+  height = CHART_EXPORT_SIZE.height
+} = {}) {
+  const { cashFlows, requiredReturn, model, periodsPerYear = 1 } = calculations;
+  const showGrowth = model !== 'constant';
+  const overlays = comparisons.filter(comparison => comparison.calculations);
+  
+  const plot = {
+    left: MARGIN.left,
+    right: width - MARGIN.right,
+    top: MARGIN.top,
+    bottom: height - MARGIN.bottom
+  };
+  const plotWidth = plot.right - plot.left;
+  const plotHeight = plot.bottom - plot.top;
+  
+  // Left axis: cash flows
+  const cashValues = [
+    0,
+    ...cashFlows.map(cf => cf.investment),
+    ...cashFlows.map(cf => cf.dividend + Math.max(cf.buyback || 0, 0)),
+    ...cashFlows.map(cf => Math.min(cf.buyback || 0, 0)),
+    ...overlays.flatMap(({ calculations: other }) => other.cashFlows.slice(1, cashFlows.length).map(cf => cf.dividend))
+  ];
+  const step = niceStep((Math.max(...cashValues) - Math.min(...cashValues)) / 6);
+  const yMin = Math.floor(Math.min(...cashValues) / step) * step;
+  const yMax = Math.ceil(Math.max(...cashValues) * 1.1 / step) * step || step;
+  const y = value => plot.bottom - (value - yMin) / (yMax - yMin) * plotHeight;
+  
+  // Right axis: rates, matching the on-screen y2 range
+  const plottedRates = showGrowth ? cashFlows.map(cf => cf.growthRate).filter(g => g !== null) : [];
+  const maxRate = Math.max(requiredReturn || 0, ...plottedRates, ...crossChecks.map(({ value }) => value));
+  const minRate = Math.min(0, requiredReturn || 0, ...plottedRates);
+  const y2Min = minRate < 0 ? minRate * 1.3 : 0;
+  const y2Max = maxRate ? Math.max(15, maxRate * 1.3) : 15;
+  const y2 = value => plot.bottom - (value - y2Min) / (y2Max - y2Min) * plotHeight;
+  
+  const band = plotWidth / cashFlows.length;
+  const barWidth = band * 0.72;
+  const x = index => plot.left + band * (index + 0.5);
+  const showValueLabels = cashFlows.length <= 21;
+  const tickEvery = Math.ceil(cashFlows.length / (periodsPerYear === 1 ? 21 : 12));
+  
+  const parts = [];
+  
+  // Gridlines and left axis ticks
+  for (let value = yMin; value <= yMax + step / 2; value += step) {
+    parts.push(`<line x1="${plot.left}" y1="${y(value).toFixed(1)}" x2="${plot.right}" y2="${y(value).toFixed(1)}" stroke="${COLORS.grid}"/>`);
+    parts.push(text(plot.left - 8, y(value), formatCurrency(value, false, { code: false, decimals: 0 }), { anchor: 'end' }));
+  }
+  
+  // Right axis ticks
+  for (let i = 0; i <= 5; i++) {
+    const value = y2Min + (y2Max - y2Min) * i / 5;
+    parts.push(text(plot.right + 8, y2(value), formatNumber(value, 1), { color: COLORS.required }));
+  }
+  
+  // Bars (positive buybacks stack on the dividend, net issuance hangs below zero)
+  cashFlows.forEach((cf, index) => {
+    const buyback = cf.buyback || 0;
+    [
+      { value: cf.investment, base: 0, color: COLORS.negative },
+      { value: cf.dividend, base: 0, color: COLORS.dividend },
+      { value: buyback, base: buyback > 0 ? cf.dividend : 0, color: COLORS.buyback }
+    ].forEach(({ value, base, color }) => {
+      if (value === 0) return;
+      const top = Math.min(y(base + value), y(base));
+      parts.push(`<rect x="${(x(index) - barWidth / 2).toFixed(1)}" y="${top.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.abs(y(value) - y(0)).toFixed(1)}" fill="${color}"/>`);
+    });
+    
+    if (showValueLabels && Math.abs(cf.totalCashFlow) >= 0.01) {
+      const labelY = cf.totalCashFlow < 0 ? y(0) - 5 : y(Math.max(cf.dividend, cf.totalCashFlow)) - 5;
+      parts.push(text(x(index), labelY, formatCurrency(cf.totalCashFlow), { size: 11, weight: 700, color: COLORS.darkText, anchor: 'middle', baseline: 'auto' }));
+    }
+    
+    if (index % tickEvery === 0) {
+      parts.push(text(x(index), plot.bottom + 16, formatPeriod(cf, periodsPerYear), { anchor: 'middle' }));
+    }
+  });
+  
+  // Scenario overlays
+  overlays.forEach(({ color, calculations: other }) => {
+    const points = cashFlows
+      .map((cf, index) => index > 0 && other.cashFlows[index] ? [x(index), y(other.cashFlows[index].dividend)] : null)
+      .filter(Boolean);
+    parts.push(polyline(points, { color }));
+    points.forEach(([px, py]) => parts.push(`<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="3" fill="${color}"/>`));
+  });
+  
+  // Growth schedule and required return lines
+  if (showGrowth) {
+    const points = cashFlows
+      .map((cf, index) => cf.growthRate === null ? null : [x(index), y2(cf.growthRate)])
+      .filter(Boolean);
+    parts.push(polyline(points, { color: COLORS.growth }));
+  }
+  
+  crossChecks.forEach(({ key, value }) => {
+    parts.push(polyline([[x(0), y2(value)], [x(cashFlows.length - 1), y2(value)]], { color: COLORS[key], dash: '2 3' }));
+  });
+  
+  if (requiredReturn !== null) {
+    parts.push(polyline([[x(0), y2(requiredReturn)], [x(cashFlows.length - 1), y2(requiredReturn)]], { color: COLORS.required, width: 3, dash: '5 5' }));
+  }
+  
+  // Axes and titles
+  parts.push(`<line x1="${plot.left}" y1="${plot.top}" x2="${plot.left}" y2="${plot.bottom}" stroke="${COLORS.axis}" stroke-width="2"/>`);
+  parts.push(`<line x1="${plot.left}" y1="${plot.bottom}" x2="${plot.right}" y2="${plot.bottom}" stroke="${COLORS.axis}" stroke-width="2"/>`);
+  parts.push(`<line x1="${plot.right}" y1="${plot.top}" x2="${plot.right}" y2="${plot.bottom}" stroke="${COLORS.required}" stroke-width="2"/>`);
+  parts.push(text((plot.left + plot.right) / 2, plot.bottom + 38, periodsPerYear === 1 ? 'Years' : 'Payment dates (year and period)', { weight: 600, anchor: 'middle' }));
+  // Real cash flows (from toRealTerms) are labelled as such
+  const real = calculations.inflationRate !== undefined ? 'Real ' : '';
+  parts.push(text(24, (plot.top + plot.bottom) / 2, `${real}Cash Flows (${getNumberFormat().currency})`, { weight: 600, anchor: 'middle', rotate: -90 }));
+  parts.push(text(width - 24, (plot.top + plot.bottom) / 2, real + (showGrowth ? 'Required Return / Growth (%)' : 'Required Return (%)'), { weight: 600, color: COLORS.required, anchor: 'middle', rotate: 90 }));
+  
+  // Title and legend
+  parts.push(text(plot.left, 28, 'Required Return Analysis', { size: 18, weight: 700, color: COLORS.darkText }));
+  
+  const legendItems = [
+    { label: 'Initial investment (P₀)', color: COLORS.negative, swatch: 'box' },
+    { label: 'Dividend cash flow (D)', color: COLORS.dividend, swatch: 'box' },
+    ...(cashFlows[0].buyback !== undefined ? [{ label: 'Net buybacks (B)', color: COLORS.buyback, swatch: 'box' }] : []),
+    ...(showGrowth ? [{ label: 'Growth rate (g)', color: COLORS.growth, swatch: 'line' }] : []),
+    { label: 'Required return (r)', color: COLORS.required, swatch: 'dash' },
+    ...crossChecks.map(({ key, label }) => ({ label: `${label} (r)`, color: COLORS[key], swatch: 'dot' })),
+    ...overlays.map(({ name, color }) => ({ label: `Scenario: ${name}`, color, swatch: 'line' }))
+  ];
+  let legendX = plot.left;
+  let legendY = 60;
+  legendItems.forEach(({ label, color, swatch }) => {
+    const itemWidth = 32 + label.length * 7;
+    if (legendX + itemWidth > plot.right && legendX > plot.left) {
+      legendX = plot.left;
+      legendY += 20;
+    }
+    parts.push(swatch === 'box'
+      ? `<rect x="${legendX}" y="${legendY - 6}" width="12" height="12" fill="${color}"/>`
+      : `<line x1="${legendX - 4}" y1="${legendY}" x2="${legendX + 16}" y2="${legendY}" stroke="${color}" stroke-width="2"${{ dash: ' stroke-dasharray="5 3"', dot: ' stroke-dasharray="2 3"' }[swatch] || ''}/>`);
+    parts.push(text(legendX + 22, legendY, label));
+    legendX += itemWidth;
+  });
+  
+  // Caption
+  buildChartCaption(calculations, settings).forEach((line, index) => {
+    parts.push(text(plot.left, plot.bottom + 70 + index * 20, line, { size: 13, color: COLORS.darkText }));
+  });
+  
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXML(FONT)}" role="img">`,
+    `<title>Required return and dividend projection over ${cashFlows[cashFlows.length - 1].year} years</title>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...parts,
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Rasterize an SVG document to a PNG
+ * @param {string} svg - SVG markup
+ * @param {number} scale - Resolution multiplier
+ * @param {Object} size - SVG size in pixels ({ width, height })
+ * @returns {Promise<Blob>} PNG image
+ */
+export function svgToPNG(svg, scale = 2, { width, height } = CHART_EXPORT_SIZE) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(image, 0, 0, width, height);
+      canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Chart image could not be loaded'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
@@ -3,17 +3,24 @@
  * Chart rendering using Chart.js with keyboard accessibility
  */
 
-import { formatCurrency, formatPercentage } from './utils.js';
+import { formatCurrency, formatPercentage, formatNumber, formatPeriod, formatDate, getNumberFormat, escapeHTML } from './utils.js';
 
 // Required Return Colors
 const COLORS = {
   dividend: '#15803d',    // Green - matches --color-return-dividend
   negative: '#b95b1d',    // Orange - matches --color-return-negative
   required: '#3c6ae5',    // Blue - matches --color-return-required
+  growth: '#15803d',      // Green - matches --color-return-growth
+  capm: '#733599',        // Eggplant - matches --color-return-capm
+  bondYield: '#0079a6',   // Teal - matches --color-return-bond-yield
+  buyback: '#0f766e',     // Dark teal - matches --color-return-buyback
+  history: '#4b5563',     // Gray - matches --color-gray-600
   darkText: '#06005a'
 };
 
 let chartInstance = null;
+// Inputs of the latest render, read by the plugins and keyboard handlers
+let chartData = null;
 let currentFocusIndex = 0;
 let isKeyboardMode = false;
 
@@ -22,8 +29,15 @@ let isKeyboardMode = false;
  * @param {Array} cashFlows - Array of cash flow objects
  * @param {boolean} showLabels - Whether to show value labels
  * @param {number} requiredReturn - Required return percentage
+ * @param {string} model - Model key; multi-stage models also plot the growth schedule
+ * @param {Array} comparisons - Saved scenarios whose dividend streams are overlaid
+ * @param {number} periodsPerYear - Dividend payments per year
+ * @param {Array} crossChecks - Cost of equity estimates drawn as reference lines
+ * @param {Object} history - Dividend history plotted before year 0, or null:
+ *   { annual, fitted, label, growthRate } with annual and fitted as { year, dividend }
+ *   (fitted, label and growthRate are null until an estimate is chosen)
  */
-export function renderChart(cashFlows, showLabels = true, requiredReturn = null) {
+export function renderChart(cashFlows, showLabels = true, requiredReturn = null, model = 'constant', comparisons = [], periodsPerYear = 1, crossChecks = [], history = null) {
   const canvas = document.getElementById('return-chart');
   
   if (!canvas) {
@@ -34,236 +48,365 @@ export function renderChart(cashFlows, showLabels = true, requiredReturn = null)
   canvas.setAttribute('tabindex', '0');
   canvas.setAttribute('role', 'img');
   canvas.setAttribute('aria-roledescription', 'interactive chart');
+  const horizon = describeHorizon(cashFlows, periodsPerYear);
+  // Real cash flows (from toRealTerms) keep the nominal dividend alongside
+  const isReal = cashFlows[0].nominalDividend !== undefined;
+  // Total payout cash flows split each payment into dividend and net buybacks
+  const hasBuybacks = cashFlows[0].buyback !== undefined;
   canvas.setAttribute(
     'aria-label',
-    'Interactive required return chart showing initial investment and projected dividend payments over 10 years with calculated required return.'
+    `Interactive required return chart showing initial investment and projected ${isReal ? 'real (inflation-adjusted) ' : ''}dividend${hasBuybacks ? ' and net buyback' : ''} payments over ${horizon} with calculated ${isReal ? 'real ' : ''}required return.` +
+    crossChecks.map(({ label, value }) => ` ${label} reference line at ${formatPercentage(value)}.`).join('') +
+    (history ? ` Dividend history for ${history.annual.length} years before year 0` +
+      (history.fitted ? `, with fitted growth of ${formatPercentage(history.growthRate)} (${history.label}).` : '.') : '')
   );
-
+  const horizonText = document.getElementById('chart-horizon-desc');
+  if (horizonText) horizonText.textContent = horizon;
+  
   const ctx = canvas.getContext('2d');
   
-  const labels = cashFlows.map(cf => cf.year.toString());
-  const dividendData = cashFlows.map(cf => cf.dividend);
-  const investmentData = cashFlows.map(cf => cf.investment);
-  const totalData = cashFlows.map(cf => cf.totalCashFlow);
+  // Historical years come before year 0, the latest full year at −1
+  const historyYears = history ? history.annual.map(({ year }) => year) : [];
+  const offset = historyYears.length;
+  const historyLabels = historyYears.map(year => String(year - historyYears[offset - 1] - 1));
+  const afterHistory = data => [...historyYears.map(() => null), ...data];
   
-  if (chartInstance) {
-    chartInstance.destroy();
-  }
+  const labels = cashFlows.map(cf => formatPeriod(cf, periodsPerYear));
+  const dividendData = afterHistory(cashFlows.map(cf => cf.dividend));
+  const investmentData = afterHistory(cashFlows.map(cf => cf.investment));
+  const totalData = afterHistory(cashFlows.map(cf => cf.totalCashFlow));
+  const showGrowth = model !== 'constant';
+  const growthData = cashFlows.map(cf => cf.growthRate);
+  const plottedRates = showGrowth ? growthData.filter(g => g !== null) : [];
+  const maxRate = Math.max(requiredReturn || 0, ...plottedRates, ...crossChecks.map(({ value }) => value));
+  // Negative growth (or a negative r) extends the rate axis below zero
+  const minRate = Math.min(0, requiredReturn || 0, ...plottedRates);
+  // Value labels overlap once there are more than about 20 bars
+  const showValueLabels = showLabels && cashFlows.length <= 21;
   
-  currentFocusIndex = 0;
+  const datasets = [
+    {
+      label: 'Initial investment',
+      data: investmentData,
+      backgroundColor: COLORS.negative,
+      borderWidth: 0,
+      stack: 'cashflow',
+      yAxisID: 'y',
+      order: 1
+    },
+    {
+      label: 'Dividend cash flow',
+      data: dividendData,
+      backgroundColor: COLORS.dividend,
+      borderWidth: 0,
+      stack: 'cashflow',
+      yAxisID: 'y',
+      order: 1
+    },
+    ...(hasBuybacks ? [{
+      label: 'Buyback cash flow',
+      data: afterHistory(cashFlows.map(cf => cf.buyback)),
+      backgroundColor: COLORS.buyback,
+      borderWidth: 0,
+      stack: 'cashflow',
+      yAxisID: 'y',
+      order: 1
+    }] : []),
+    ...(requiredReturn !== null ? [{
+      label: 'Required return (r)',
+      data: afterHistory(labels.map(() => requiredReturn)),
+      type: 'line',
+      borderColor: COLORS.required,
+      borderWidth: 3,
+      borderDash: [5, 5],
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      fill: false,
+      yAxisID: 'y2',
+      order: 0
+    }] : []),
+    ...crossChecks.map(({ key, label, value }) => ({
+      label: `${label} (r)`,
+      data: afterHistory(labels.map(() => value)),
+      type: 'line',
+      borderColor: COLORS[key],
+      borderWidth: 2,
+      borderDash: [2, 3],
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      fill: false,
+      yAxisID: 'y2',
+      order: 0
+    })),
+    ...comparisons
+      .filter(comparison => comparison.calculations)
+      .map(({ name, color, calculations }) => ({
+        label: `Scenario: ${name}`,
+        data: afterHistory(labels.map((label, index) => {
+          const cashFlow = calculations.cashFlows[index];
+          return cashFlow && index > 0 ? cashFlow.dividend : null;
+        })),
+        type: 'line',
+        borderColor: color,
+        backgroundColor: color,
+        borderWidth: 2,
+        pointRadius: 3,
+        pointHoverRadius: 5,
+        fill: false,
+        yAxisID: 'y',
+        order: 0
+      })),
+    ...(showGrowth ? [{
+      label: 'Growth rate (g)',
+      data: afterHistory(growthData),
+      type: 'line',
+      borderColor: COLORS.growth,
+      borderWidth: 2,
+      pointRadius: 2,
+      pointBackgroundColor: COLORS.growth,
+      pointHoverRadius: 4,
+      fill: false,
+      spanGaps: false,
+      yAxisID: 'y2',
+      order: 0
+    }] : []),
+    ...(history ? [{
+      label: 'Dividend history',
+      data: [...history.annual.map(({ dividend }) => dividend), ...labels.map(() => null)],
+      type: 'line',
+      showLine: false,
+      borderColor: COLORS.history,
+      backgroundColor: COLORS.history,
+      pointRadius: 4,
+      pointHoverRadius: 6,
+      yAxisID: 'y',
+      order: 0
+    }] : []),
+    ...(history && history.fitted ? [{
+      label: `Fitted growth (${history.label})`,
+      data: [...history.fitted.map(({ dividend }) => dividend), ...labels.map(() => null)],
+      type: 'line',
+      borderColor: COLORS.history,
+      borderWidth: 2,
+      borderDash: [4, 4],
+      pointRadius: 0,
+      pointHoverRadius: 0,
+      fill: false,
+      yAxisID: 'y',
+      order: 0
+    }] : [])
+  ];
   
-  chartInstance = new Chart(ctx, {
-    type: 'bar',
-    data: {
-      labels: labels,
-      datasets: [
-        {
-          label: 'Initial investment',
-          data: investmentData,
-          backgroundColor: COLORS.negative,
-          borderWidth: 0,
-          stack: 'cashflow',
-          yAxisID: 'y',
-          order: 1
-        },
-        {
-          label: 'Dividend cash flow',
-          data: dividendData,
-          backgroundColor: COLORS.dividend,
-          borderWidth: 0,
-          stack: 'cashflow',
-          yAxisID: 'y',
-          order: 1
-        },
-        ...(requiredReturn !== null ? [{
-          label: 'Required return (r)',
-          data: labels.map(() => requiredReturn),
-          type: 'line',
-          borderColor: COLORS.required,
-          borderWidth: 3,
-          borderDash: [5, 5],
-          pointRadius: 0,
-          pointHoverRadius: 0,
-          fill: false,
-          yAxisID: 'y2',
-          order: 0
-        }] : [])
-      ]
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: {
+      mode: 'index',
+      intersect: false
     },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      interaction: {
-        mode: 'index',
-        intersect: false
-      },
-      onHover: (event, activeElements) => {
-        if (isKeyboardMode && document.activeElement === canvas) return;
-        if (activeElements.length > 0) {
-          const index = activeElements[0].index;
-          announceDataPoint(cashFlows[index], totalData[index], requiredReturn);
-        }
-      },
-      plugins: {
-        title: { display: false },
-        legend: { display: false },
-        tooltip: {
-          usePointStyle: true,
-          callbacks: {
-            title: (context) => {
-              const index = context[0].dataIndex;
-              return `Year: ${cashFlows[index].year}`;
-            },
-            label: (context) => {
-              const value = context.parsed.y;
-              const index = context.dataIndex;
-              const isInitialYear = index === 0;
-              
-              if (context.dataset.label === 'Required return (r)') {
-                return `Required return (r): ${formatPercentage(value)}`;
-              }
-              
-              if (isInitialYear && context.dataset.label === 'Initial investment') {
-                return `Initial investment (P₀): ${formatCurrency(value, true)}`;
-              }
-              
-              if (context.dataset.label === 'Dividend cash flow') {
-                return `Dividend (D): ${formatCurrency(value, true)}`;
-              }
-              
-              return `${context.dataset.label}: ${formatCurrency(value, true)}`;
-            },
-            footer: (context) => {
-              const index = context[0].dataIndex;
-              const total = totalData[index];
-              if (context[0].dataset.label !== 'Required return (r)') {
-                return `Total: ${formatCurrency(total, true)}`;
-              }
-              return '';
-            }
-          }
-        }
-      },
-      scales: {
-        x: {
-          title: { 
-            display: true, 
-            text: 'Years',
-            color: '#1f2937',
-            font: {
-              weight: 600
+    onHover: (event, activeElements) => {
+      if (isKeyboardMode && document.activeElement === canvas) return;
+      if (activeElements.length > 0 && activeElements[0].index >= offset) {
+        const index = activeElements[0].index;
+        announceDataPoint(cashFlows[index - offset], totalData[index], requiredReturn, showGrowth, periodsPerYear);
+      }
+    },
+    plugins: {
+      title: { display: false },
+      legend: { display: false },
+      tooltip: {
+        usePointStyle: true,
+        // Projection datasets have no values in the historical years, and vice versa
+        filter: (item) => item.parsed.y !== null,
+        callbacks: {
+          title: (context) => {
+            const index = context[0].dataIndex;
+            if (index < offset) {
+              return `Year: ${historyLabels[index]} (${historyYears[index]})`;
             }
+            return periodsPerYear === 1 && !cashFlows[0].date
+              ? `Year: ${cashFlows[index - offset].year}`
+              : formatPeriod(cashFlows[index - offset], periodsPerYear, true);
           },
-          grid: { display: false },
-          ticks: {
-            color: '#1f2937',
-            font: {
-              weight: 500
+          label: (context) => {
+            const value = context.parsed.y;
+            const index = context.dataIndex;
+            const isInitialYear = index === offset;
+            
+            if (context.dataset.label === 'Required return (r)') {
+              return `${isReal ? 'Real required' : 'Required'} return (r): ${formatPercentage(value)}`;
             }
-          },
-          border: {
-            color: '#1f2937',
-            width: 2
-          }
-        },
-        y: {
-          title: { 
-            display: true, 
-            text: 'Cash Flows (USD)',
-            color: '#1f2937',
-            font: {
-              weight: 600
+            
+            if (context.dataset.label === 'Growth rate (g)') {
+              return `${isReal ? 'Real growth' : 'Growth'} rate (g): ${formatPercentage(value)}`;
             }
-          },
-          position: 'left',
-          ticks: {
-            callback: function(value) { 
-              // Format without USD prefix since it's in the axis label
-              const absValue = Math.abs(value);
-              const formatted = absValue.toLocaleString('en-US', {
-                minimumFractionDigits: 0,
-                maximumFractionDigits: 0
-              });
-              return value < 0 ? `(${formatted})` : formatted;
-            },
-            autoSkip: true,
-            maxRotation: 0,
-            minRotation: 0,
-            color: '#1f2937',
-            font: {
-              weight: 500
+            
+            if (context.dataset.yAxisID === 'y2') {
+              return `${context.dataset.label}: ${formatPercentage(value)}`;
             }
-          },
-          grid: { color: 'rgba(0, 0, 0, 0.05)' },
-          border: {
-            color: '#1f2937',
-            width: 2
-          }
-        },
-        y2: {
-          title: { 
-            display: true,
-            text: 'Required Return (%)',
-            color: COLORS.required,
-            font: {
-              weight: 600
+            
+            if (isInitialYear && context.dataset.label === 'Initial investment') {
+              return `Initial investment (P₀): ${formatCurrency(value, true)}`;
+            }
+            
+            if (context.dataset.label === 'Dividend cash flow') {
+              return isReal
+                ? `Real dividend (D): ${formatCurrency(value, true)} (nominal ${formatCurrency(cashFlows[index - offset].nominalDividend, true)})`
+                : `Dividend (D): ${formatCurrency(value, true)}`;
+            }
+            
+            if (context.dataset.label === 'Buyback cash flow') {
+              return `${isReal ? 'Real net' : 'Net'} buybacks (B): ${formatCurrency(value, true)}`;
             }
+            
+            return `${context.dataset.label}: ${formatCurrency(value, true)}`;
           },
-          position: 'right',
-          min: 0,
-          max: requiredReturn ? Math.max(15, requiredReturn * 1.3) : 15,
-          ticks: {
-            callback: function(value) { 
-              // Format without % sign
-              return value.toFixed(1);
-            },
-            color: COLORS.required,
-            autoSkip: true,
-            maxRotation: 0,
-            minRotation: 0,
-            font: {
-              weight: 500
+          footer: (context) => {
+            const index = context[0].dataIndex;
+            const total = totalData[index];
+            if (total !== null && context[0].dataset.yAxisID !== 'y2') {
+              return `Total: ${formatCurrency(total, true)}`;
             }
+            return '';
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: { 
+          display: true, 
+          text: (cashFlows[0].date ? 'Payment dates' : periodsPerYear === 1 ? 'Years' : 'Payment dates (year and period)') + (history ? ', history before year 0' : ''),
+          color: '#1f2937',
+          font: {
+            weight: 600
+          }
+        },
+        grid: { display: false },
+        ticks: {
+          color: '#1f2937',
+          font: {
+            weight: 500
+          }
+        },
+        border: {
+          color: '#1f2937',
+          width: 2
+        }
+      },
+      y: {
+        title: { 
+          display: true, 
+          text: `${isReal ? 'Real ' : ''}Cash Flows (${getNumberFormat().currency})`,
+          color: '#1f2937',
+          font: {
+            weight: 600
+          }
+        },
+        position: 'left',
+        ticks: {
+          callback: function(value) { 
+            // Format without the currency code since it's in the axis label
+            return formatCurrency(value, false, { code: false, decimals: 0 });
           },
-          grid: { display: false },
-          border: {
-            color: COLORS.required,
-            width: 2
+          autoSkip: true,
+          maxRotation: 0,
+          minRotation: 0,
+          color: '#1f2937',
+          font: {
+            weight: 500
           }
+        },
+        grid: { color: 'rgba(0, 0, 0, 0.05)' },
+        border: {
+          color: '#1f2937',
+          width: 2
         }
       },
-      layout: {
-        padding: { left: 10, right: 10, top: showLabels ? 25 : 10, bottom: 10 }
+      y2: {
+        title: { 
+          display: true,
+          text: (isReal ? 'Real ' : '') + (showGrowth ? 'Required Return / Growth (%)' : 'Required Return (%)'),
+          color: COLORS.required,
+          font: {
+            weight: 600
+          }
+        },
+        position: 'right',
+        min: minRate < 0 ? minRate * 1.3 : 0,
+        max: maxRate ? Math.max(15, maxRate * 1.3) : 15,
+        ticks: {
+          callback: function(value) { 
+            // Format without % sign
+            return formatNumber(value, 1);
+          },
+          color: COLORS.required,
+          autoSkip: true,
+          maxRotation: 0,
+          minRotation: 0,
+          font: {
+            weight: 500
+          }
+        },
+        grid: { display: false },
+        border: {
+          color: COLORS.required,
+          width: 2
+        }
       }
     },
+    layout: {
+      padding: { left: 10, right: 10, top: showValueLabels ? 25 : 10, bottom: 10 }
+    }
+  };
+  
+  chartData = { cashFlows, totalData, requiredReturn, showGrowth, periodsPerYear, showValueLabels, offset };
+  currentFocusIndex = Math.min(currentFocusIndex, cashFlows.length - 1);
+  
+  // Update the existing chart in place so typing doesn't rebuild it
+  if (chartInstance && chartInstance.canvas === canvas) {
+    chartInstance.data.labels = [...historyLabels, ...labels];
+    chartInstance.data.datasets = datasets;
+    chartInstance.options = options;
+    chartInstance.update();
+    return;
+  }
+  
+  if (chartInstance) {
+    chartInstance.destroy();
+  }
+  
+  chartInstance = new Chart(ctx, {
+    type: 'bar',
+    data: { labels: [...historyLabels, ...labels], datasets },
+    options,
     plugins: [{
       id: 'stackedBarLabels',
       afterDatasetsDraw: (chart) => {
-        if (!showLabels) return;
+        const { showValueLabels, totalData } = chartData;
+        if (!showValueLabels) return;
         const ctx = chart.ctx;
         ctx.save();
         ctx.font = 'bold 11px sans-serif';
         ctx.fillStyle = COLORS.darkText;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'bottom';
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
         let maxPositiveY = chart.scales.y.top;
         chart.data.labels.forEach((label, index) => {
           const total = totalData[index];
-          if (total > 0 && meta0.data[index] && meta1.data[index]) {
-            const topY = Math.min(meta0.data[index].y, meta1.data[index].y);
+          const bars = getCashFlowBars(chart, index);
+          if (total > 0 && bars) {
+            const topY = Math.min(...bars.map(bar => bar.y));
             maxPositiveY = Math.max(maxPositiveY, topY);
           }
         });
         chart.data.labels.forEach((label, index) => {
           const total = totalData[index];
           if (Math.abs(total) < 0.01) return;
-          if (!meta0.data[index] || !meta1.data[index]) return;
-          const bar0 = meta0.data[index];
-          const bar1 = meta1.data[index];
-          const x = bar1.x;
-          let y = total < 0 ? maxPositiveY - 5 : Math.min(bar0.y, bar1.y) - 5;
+          const bars = getCashFlowBars(chart, index);
+          if (!bars) return;
+          const x = bars[1].x;
+          let y = total < 0 ? maxPositiveY - 5 : Math.min(...bars.map(bar => bar.y)) - 5;
           ctx.fillText(formatCurrency(total, false), x, y);
         });
         ctx.restore();
@@ -274,12 +417,10 @@ export function renderChart(cashFlows, showLabels = true, requiredReturn = null)
       afterDatasetsDraw: (chart) => {
         if (document.activeElement !== canvas) return;
         const ctx = chart.ctx;
-        const meta0 = chart.getDatasetMeta(0);
-        const meta1 = chart.getDatasetMeta(1);
-        if (!meta0.data[currentFocusIndex] || !meta1.data[currentFocusIndex]) return;
-        const bar0 = meta0.data[currentFocusIndex];
-        const bar1 = meta1.data[currentFocusIndex];
-        const allYValues = [bar0.y, bar0.base, bar1.y, bar1.base];
+        const bars = getCashFlowBars(chart, currentFocusIndex + chartData.offset);
+        if (!bars) return;
+        const bar1 = bars[1];
+        const allYValues = bars.flatMap(bar => [bar.y, bar.base]);
         const topY = Math.min(...allYValues);
         const bottomY = Math.max(...allYValues);
         ctx.save();
@@ -296,15 +437,51 @@ export function renderChart(cashFlows, showLabels = true, requiredReturn = null)
     }]
   });
   
-  setupKeyboardNavigation(canvas, cashFlows, totalData, requiredReturn);
+  setupKeyboardNavigation(canvas);
+}
+
+/**
+ * Bars of the stacked cash flow datasets (investment, dividend and any buybacks) at one index
+ * @param {Object} chart - Chart.js instance
+ * @param {number} index - Label index
+ * @returns {Array|null} Bar elements in dataset order, or null before the chart has laid them out
+ */
+function getCashFlowBars(chart, index) {
+  const bars = chart.data.datasets
+    .map((dataset, datasetIndex) => dataset.stack === 'cashflow' ? chart.getDatasetMeta(datasetIndex).data[index] : null)
+    .filter(bar => bar !== null);
+  return bars.length > 1 && bars.every(Boolean) ? bars : null;
 }
 
-function setupKeyboardNavigation(canvas, cashFlows, totalData, requiredReturn) {
-  const oldListener = canvas._keydownListener;
-  if (oldListener) canvas.removeEventListener('keydown', oldListener);
+/**
+ * Describe the projection length for screen readers, e.g. "10 years of quarterly payments",
+ * or "the 40 payments from December 15, 2026 to September 15, 2036" for dated cash flows
+ * @param {Array} cashFlows - Array of cash flow objects
+ * @param {number} periodsPerYear - Dividend payments per year
+ * @returns {string} Description
+ */
+function describeHorizon(cashFlows, periodsPerYear) {
+  if (cashFlows[0].date) {
+    const payments = cashFlows.length - 1;
+    const first = formatDate(cashFlows[1].date, true);
+    return payments === 1
+      ? `the payment on ${first}`
+      : `the ${payments} payments from ${first} to ${formatDate(cashFlows[payments].date, true)}`;
+  }
+  const years = cashFlows[cashFlows.length - 1].year;
+  const yearText = `${years} ${years === 1 ? 'year' : 'years'}`;
+  if (periodsPerYear === 1) return yearText;
+  return `${yearText} of ${periodsPerYear === 2 ? 'semi-annual' : 'quarterly'} payments`;
+}
+
+function setupKeyboardNavigation(canvas) {
+  ['keydown', 'focus', 'blur', 'mousemove'].forEach(type => {
+    const oldListener = canvas[`_${type}Listener`];
+    if (oldListener) canvas.removeEventListener(type, oldListener);
+  });
   
   const keydownListener = (e) => {
-    const maxIndex = cashFlows.length - 1;
+    const maxIndex = chartData.cashFlows.length - 1;
     let newIndex = currentFocusIndex;
     isKeyboardMode = true;
     
@@ -334,7 +511,7 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, requiredReturn) {
     if (newIndex !== currentFocusIndex) {
       currentFocusIndex = newIndex;
       chartInstance.update('none');
-      announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], requiredReturn);
+      announceFocusedPoint();
       showTooltipAtIndex(currentFocusIndex);
     }
   };
@@ -345,7 +522,7 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, requiredReturn) {
   const focusListener = () => {
     isKeyboardMode = true;
     showTooltipAtIndex(currentFocusIndex);
-    announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex], requiredReturn);
+    announceFocusedPoint();
   };
   
   const blurListener = () => {
@@ -359,23 +536,29 @@ function setupKeyboardNavigation(canvas, cashFlows, totalData, requiredReturn) {
   canvas.addEventListener('blur', blurListener);
   
   const mouseMoveListener = () => { isKeyboardMode = false; };
-  canvas._mouseMoveListener = mouseMoveListener;
+  canvas._mousemoveListener = mouseMoveListener;
   canvas.addEventListener('mousemove', mouseMoveListener);
 }
 
-function showTooltipAtIndex(index) {
+function announceFocusedPoint() {
+  const { cashFlows, totalData, requiredReturn, showGrowth, periodsPerYear, offset } = chartData;
+  announceDataPoint(cashFlows[currentFocusIndex], totalData[currentFocusIndex + offset], requiredReturn, showGrowth, periodsPerYear);
+}
+
+function showTooltipAtIndex(focusIndex) {
   if (!chartInstance) return;
-  const meta0 = chartInstance.getDatasetMeta(0);
-  const meta1 = chartInstance.getDatasetMeta(1);
-  if (!meta0.data[index] || !meta1.data[index]) return;
-  chartInstance.tooltip.setActiveElements([
-    {datasetIndex: 0, index: index},
-    {datasetIndex: 1, index: index}
-  ], { x: meta1.data[index].x, y: meta1.data[index].y });
+  // Keyboard focus moves over the projection; historical years come first in the chart
+  const index = focusIndex + chartData.offset;
+  const bars = getCashFlowBars(chartInstance, index);
+  if (!bars) return;
+  chartInstance.tooltip.setActiveElements(
+    bars.map((bar, datasetIndex) => ({datasetIndex, index: index})),
+    { x: bars[1].x, y: bars[1].y }
+  );
   chartInstance.update('none');
 }
 
-function announceDataPoint(cashFlow, total, requiredReturn) {
+function announceDataPoint(cashFlow, total, requiredReturn, showGrowth = false, periodsPerYear = 1) {
   let liveRegion = document.getElementById('chart-live-region');
   if (!liveRegion) {
     liveRegion = document.createElement('div');
@@ -389,15 +572,52 @@ function announceDataPoint(cashFlow, total, requiredReturn) {
   const isInitialYear = cashFlow.year === 0;
   const investmentLabel = isInitialYear ? 'Initial investment (P₀)' : 'No investment';
   
-  const announcement = `Year ${cashFlow.year}. ` +
-    `Required return (r): ${requiredReturn ? formatPercentage(requiredReturn) : '0%'}. ` +
+  const growthText = showGrowth && cashFlow.growthRate !== null
+    ? `Growth rate (g): ${formatPercentage(cashFlow.growthRate)}. `
+    : '';
+  
+  const isReal = cashFlow.nominalDividend !== undefined;
+  const dividendText = isReal
+    ? `Real dividend (D): ${formatCurrency(cashFlow.dividend, true)}, nominal ${formatCurrency(cashFlow.nominalDividend, true)}. `
+    : `Dividend (D): ${formatCurrency(cashFlow.dividend, true)}. `;
+  const buybackText = cashFlow.buyback !== undefined
+    ? `${isReal ? 'Real net' : 'Net'} buybacks (B): ${formatCurrency(cashFlow.buyback, true)}. `
+    : '';
+  
+  const announcement = `${formatPeriod(cashFlow, periodsPerYear, true)}. ` +
+    `${isReal ? 'Real required' : 'Required'} return (r): ${requiredReturn ? formatPercentage(requiredReturn) : '0%'}. ` +
+    growthText +
     `${investmentLabel}: ${formatCurrency(cashFlow.investment, true)}. ` +
-    `Dividend (D): ${formatCurrency(cashFlow.dividend, true)}. ` +
+    dividendText +
+    buybackText +
     `Total: ${formatCurrency(total, true)}.`;
   
   liveRegion.textContent = announcement;
 }
 
+/**
+ * Show a legend entry for each overlaid scenario
+ * @param {Array} comparisons - Scenarios from buildScenarioComparisons
+ */
+export function renderScenarioLegend(comparisons) {
+  const legend = document.getElementById('chart-legend');
+  if (!legend) return;
+  
+  legend.querySelectorAll('[data-scenario-legend]').forEach(item => item.remove());
+  
+  comparisons
+    .filter(comparison => comparison.calculations)
+    .forEach(({ name, color }) => {
+      const item = document.createElement('span');
+      item.className = 'legend-item';
+      item.setAttribute('role', 'listitem');
+      item.setAttribute('data-scenario-legend', '');
+      item.innerHTML = `<span class="legend-color" style="border-bottom: 2px solid ${color}; background: none; width: 1.5rem; height: 0; border-left: none; border-right: none; border-top: none;"></span>
+                Scenario: ${escapeHTML(name)}`;
+      legend.appendChild(item);
+    });
+}
+
 export function shouldShowLabels() {
   return window.innerWidth > 860;
 }
@@ -0,0 +1,219 @@
+/**
+ * Dividend History Module
+ * Estimate the growth rate g from historical dividends per share
+ */
+
+import { parseCSV } from './batch.js';
+
+/**
+ * Ways of estimating g from annual dividends
+ */
+export const GROWTH_ESTIMATORS = {
+  cagr: 'Compound annual growth (CAGR)',
+  logLinear: 'Log-linear regression',
+  arithmeticMean: 'Mean of year-over-year changes'
+};
+
+/**
+ * Header names accepted for the dividend column
+ */
+const DIVIDEND_COLUMNS = ['dividend', 'dividends', 'dps', 'amount'];
+
+/**
+ * Payment frequencies a history can be recognized as (payments per year)
+ */
+const FREQUENCIES = [1, 2, 4, 12];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a payment date: YYYY-MM-DD, YYYY-MM or YYYY
+ * Partial dates fall on the first of the month or year.
+ * @param {string} text - Date text
+ * @returns {Object|null} { year, time } (time in ms since the epoch), or null if unrecognized
+ */
+function parseDate(text) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(text.trim());
+  if (!match) return null;
+  
+  const [, year, month = '1', day = '1'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+  
+  return { year: Number(year), time: date.getTime() };
+}
+
+/**
+ * Read dividend payments from CSV text
+ * Two columns, date and dividend per share, with an optional header row
+ * naming them (date, and dividend, dividends, dps or amount).
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} { date, year, time, dividend } per payment, oldest first
+ */
+export function parseDividendHistory(text) {
+  const rows = parseCSV(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    throw new Error('Dividend history is empty');
+  }
+  
+  let dateColumn = 0;
+  let dividendColumn = 1;
+  let dataRows = rows;
+  
+  // A header row starts with a name rather than a year
+  if (!/^\d/.test((rows[0][0] || '').trim())) {
+    const names = rows[0].map(name => name.trim().toLowerCase());
+    dateColumn = names.indexOf('date');
+    dividendColumn = names.findIndex(name => DIVIDEND_COLUMNS.includes(name));
+    if (dateColumn === -1 || dividendColumn === -1) {
+      throw new Error('Dividend history needs a date column and a dividend column');
+    }
+    dataRows = rows.slice(1);
+  }
+  
+  const payments = dataRows.map((fields, index) => {
+    const dateText = (fields[dateColumn] || '').trim();
+    const dividendText = (fields[dividendColumn] || '').trim();
+    const date = parseDate(dateText);
+    const dividend = dividendText === '' ? NaN : Number(dividendText);
+    
+    if (!date) {
+      throw new Error(`Row ${index + 1}: date '${dateText}' is not in YYYY-MM-DD form`);
+    }
+    if (!Number.isFinite(dividend) || dividend < 0) {
+      throw new Error(`Row ${index + 1}: dividend must be a number of zero or more`);
+    }
+    return { date: dateText, ...date, dividend };
+  });
+  
+  if (payments.length === 0) {
+    throw new Error('Dividend history is empty');
+  }
+  
+  return payments.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Recognize how often dividends are paid from the median gap between payments
+ * @param {Array<Object>} payments - Output of parseDividendHistory
+ * @returns {number} Payments per year (1, 2, 4 or 12)
+ */
+export function estimatePaymentsPerYear(payments) {
+  const gaps = payments
+    .slice(1)
+    .map((payment, index) => (payment.time - payments[index].time) / DAY_MS)
+    .filter(gap => gap > 0)
+    .sort((a, b) => a - b);
+  if (gaps.length === 0) return 1;
+  
+  const median = gaps[Math.floor(gaps.length / 2)];
+  const perYear = 365.25 / median;
+  return FREQUENCIES.reduce((best, frequency) =>
+    Math.abs(Math.log(frequency / perYear)) < Math.abs(Math.log(best / perYear)) ? frequency : best
+  );
+}
+
+/**
+ * Total the payments in each calendar year
+ * The first and last years are left out when they hold fewer payments than a
+ * full year at the recognized frequency, so partial years do not look like cuts.
+ *
+ * @param {Array<Object>} payments - Output of parseDividendHistory
+ * @param {number} periodsPerYear - Payments per year
+ * @returns {Array<Object>} { year, dividend } per full year, oldest first
+ */
+export function annualizeDividends(payments, periodsPerYear) {
+  const years = [];
+  payments.forEach(({ year, dividend }) => {
+    const last = years[years.length - 1];
+    if (last && last.year === year) {
+      last.dividend += dividend;
+      last.payments++;
+    } else {
+      years.push({ year, dividend, payments: 1 });
+    }
+  });
+  
+  if (years.length > 1 && years[years.length - 1].payments < periodsPerYear) years.pop();
+  if (years.length > 1 && years[0].payments < periodsPerYear) years.shift();
+  
+  return years.map(({ year, dividend }) => ({ year, dividend }));
+}
+
+/**
+ * Estimate g from annual dividends with each GROWTH_ESTIMATORS method
+ * - cagr: (D_last / D_first)^(1 / years) − 1
+ * - logLinear: e^b − 1, with b the slope of ln D on the year
+ * - arithmeticMean: average of the yearly changes D_t / D_(t−1) − 1
+ * Each estimate carries the dividends it implies for the historical years.
+ *
+ * @param {Array<Object>} annual - Output of annualizeDividends
+ * @returns {Array<Object>} { key, label, growthRate, fitted } (growthRate as percentage,
+ *   fitted as { year, dividend } per year)
+ */
+export function estimateGrowth(annual) {
+  if (annual.length < 2) {
+    throw new Error('At least two full years of dividends are needed to estimate growth');
+  }
+  if (annual.some(({ dividend }) => dividend <= 0)) {
+    throw new Error('Every year needs a dividend above zero to estimate growth');
+  }
+  
+  const first = annual[0];
+  const last = annual[annual.length - 1];
+  const compound = g => annual.map(({ year }) => ({ year, dividend: first.dividend * Math.pow(1 + g, year - first.year) }));
+  
+  const cagr = Math.pow(last.dividend / first.dividend, 1 / (last.year - first.year)) - 1;
+  
+  // Least squares fit of ln D = a + b × year
+  const meanYear = annual.reduce((sum, { year }) => sum + year, 0) / annual.length;
+  const meanLog = annual.reduce((sum, { dividend }) => sum + Math.log(dividend), 0) / annual.length;
+  let covariance = 0;
+  let variance = 0;
+  annual.forEach(({ year, dividend }) => {
+    covariance += (year - meanYear) * (Math.log(dividend) - meanLog);
+    variance += (year - meanYear) * (year - meanYear);
+  });
+  const slope = covariance / variance;
+  const intercept = meanLog - slope * meanYear;
+  
+  // Changes across a missing year are spread evenly over the gap
+  const changes = annual.slice(1).map(({ year, dividend }, index) =>
+    Math.pow(dividend / annual[index].dividend, 1 / (year - annual[index].year)) - 1
+  );
+  const arithmeticMean = changes.reduce((sum, change) => sum + change, 0) / changes.length;
+  
+  return [
+    { key: 'cagr', growthRate: cagr * 100, fitted: compound(cagr) },
+    {
+      key: 'logLinear',
+      growthRate: (Math.exp(slope) - 1) * 100,
+      fitted: annual.map(({ year }) => ({ year, dividend: Math.exp(intercept + slope * year) }))
+    },
+    { key: 'arithmeticMean', growthRate: arithmeticMean * 100, fitted: compound(arithmeticMean) }
+  ].map(estimate => ({ ...estimate, label: GROWTH_ESTIMATORS[estimate.key] }));
+}
+
+/**
+ * Parse a dividend history and estimate g from it
+ * D₀ is the latest payment annualized at the recognized frequency.
+ *
+ * @param {string} text - CSV text of dates and dividends per share
+ * @returns {Object} { payments, periodsPerYear, annual, latestDate, latestDividend, estimates }
+ */
+export function analyzeDividendHistory(text) {
+  const payments = parseDividendHistory(text);
+  const periodsPerYear = estimatePaymentsPerYear(payments);
+  const annual = annualizeDividends(payments, periodsPerYear);
+  const latest = payments[payments.length - 1];
+  
+  return {
+    payments,
+    periodsPerYear,
+    annual,
+    latestDate: latest.date,
+    latestDividend: latest.dividend * periodsPerYear,
+    estimates: estimateGrowth(annual)
+  };
+}
@@ -1,20 +1,62 @@
-import { formatCurrency, formatPercentage } from './utils.js';
+import { formatCurrency, formatPercentage, formatDate } from './utils.js';
 
-export function renderDynamicEquation(calculations, params) {
-  const container = document.getElementById('dynamic-mathml-equation');
+export function renderDynamicEquation(calculations, params, container = document.getElementById('dynamic-mathml-equation')) {
   if (!container) {
     console.error('Dynamic equation container not found');
     return;
   }
   
-  const { requiredReturn, d1, dividendYield } = calculations;
+  // The model equation shows r for annual year-end payments; dated payments re-solve it below
+  const modelCalculations = calculations.dated
+    ? { ...calculations, requiredReturn: calculations.dated.annualReturn }
+    : calculations;
+  
+  if (calculations.model !== 'constant') {
+    renderMultiStageEquation(container, modelCalculations, params);
+  } else if (calculations.solveFor && calculations.solveFor !== 'requiredReturn') {
+    renderSolvedEquation(container, calculations, params);
+  } else {
+    renderGordonEquation(container, modelCalculations, params);
+  }
+  
+  if (calculations.totalPayout && calculations.model !== 'constant') {
+    renderTotalPayoutNote(container, calculations);
+  }
+  
+  if (calculations.sustainableGrowth) {
+    renderSustainableGrowthStep(container, calculations.sustainableGrowth, calculations.model);
+  }
+  
+  if (calculations.dated) {
+    renderDatedReturnStep(container, calculations);
+  }
+  
+  if (params.realReturn) {
+    renderFisherStep(container, params.realReturn);
+  }
+}
+
+function renderGordonEquation(container, calculations, params) {
+  const { requiredReturn, d1, dividendYield, totalPayout } = calculations;
   const { marketPrice, growthRate } = params;
   
   const rFormatted = formatPercentage(requiredReturn);
   const d1Formatted = formatCurrency(d1);
   const p0Formatted = formatCurrency(marketPrice);
   const gFormatted = formatPercentage(growthRate);
-  const yieldFormatted = formatPercentage(dividendYield);
+  const yieldFormatted = formatPercentage(totalPayout ? totalPayout.totalYield : dividendYield);
+  
+  // Total payout adds next year's net buybacks B₁ to the numerator
+  const b1Formatted = totalPayout ? formatCurrency(totalPayout.b1) : '';
+  const numerator = totalPayout
+    ? `<mrow>${MI.d1}<mo>+</mo>${MI.b1}</mrow>`
+    : MI.d1;
+  const numeratorValue = totalPayout
+    ? `<mrow><mtext mathvariant="bold" mathcolor="#15803d">${d1Formatted}</mtext><mo>+</mo><mtext mathvariant="bold" mathcolor="#15803d">${b1Formatted}</mtext></mrow>`
+    : `<mtext mathvariant="bold" mathcolor="#15803d">${d1Formatted}</mtext>`;
+  const yieldLabel = totalPayout
+    ? `Total shareholder yield: ${yieldFormatted} (dividends ${formatPercentage(dividendYield)} + net buybacks ${formatPercentage(totalPayout.buybackYield)})`
+    : `Dividend yield: ${yieldFormatted}`;
   
   const mathML = `
     <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">
@@ -25,47 +67,405 @@ export function renderDynamicEquation(calculations, params) {
         </msub>
         <mo>=</mo>
         <mfrac linethickness="1.2px">
-          <msub>
-            <mi mathvariant="bold" mathcolor="#15803d">D</mi>
-            <mn mathcolor="#15803d">1</mn>
-          </msub>
-          <msub>
-            <mi mathvariant="bold" mathcolor="#b95b1d">P</mi>
-            <mn mathcolor="#b95b1d">0</mn>
-          </msub>
+          ${numerator}
+          ${MI.p0}
         </mfrac>
         <mo>+</mo>
         <mi mathcolor="#15803d">g</mi>
         <mo>=</mo>
         <mfrac linethickness="1.2px">
-          <mtext mathvariant="bold" mathcolor="#15803d">${d1Formatted}</mtext>
+          ${numeratorValue}
           <mtext mathvariant="bold" mathcolor="#b95b1d">${p0Formatted}</mtext>
         </mfrac>
         <mo>+</mo>
-        <mtext mathcolor="#15803d">${gFormatted}</mtext>
+        ${growthTerm(growthRate)}
         <mo>=</mo>
         <mtext mathcolor="#3c6ae5" mathvariant="bold">${rFormatted}</mtext>
       </mrow>
     </math>
     <div style="text-align: center; margin-top: 0.5rem; font-size: 0.875rem; color: #374151;">
-      <div>Dividend yield: ${yieldFormatted} + Growth rate: ${gFormatted} = Required return: ${rFormatted}</div>
+      <div>${yieldLabel} ${growthRate < 0 ? `− Dividend decline: ${formatPercentage(-growthRate)}` : `+ Growth rate: ${gFormatted}`} = Required return: ${rFormatted}</div>
     </div>
   `;
   
   container.innerHTML = mathML;
   
   const announcement = `Required return equals ${rFormatted}. ` +
-    `Calculated as: next year's dividend ${d1Formatted} divided by current market price ${p0Formatted}, ` +
-    `plus growth rate ${gFormatted}.`;
+    `Calculated as: next year's dividend ${d1Formatted}${totalPayout ? ` plus net buybacks ${b1Formatted}` : ''} divided by current market price ${p0Formatted}, ` +
+    `${growthRate < 0 ? `minus the dividend decline rate ${formatPercentage(-growthRate)}` : `plus growth rate ${gFormatted}`}.`;
+  
+  announceEquation(container, announcement);
+}
+
+/**
+ * Growth rate as a MathML term, bracketed when negative so "+ g" and "r − g" still read correctly
+ * @param {number} growthRate - Growth rate (as percentage)
+ * @returns {string} MathML
+ */
+function growthTerm(growthRate) {
+  const text = formatPercentage(growthRate);
+  return `<mtext mathcolor="#15803d">${growthRate < 0 ? `(${text})` : text}</mtext>`;
+}
+
+/**
+ * Spoken "minus g" for the r − g denominator, as a plus when dividends decline
+ * @param {number} growthRate - Growth rate (as percentage)
+ * @returns {string} Announcement text
+ */
+function spokenMinusGrowth(growthRate) {
+  return growthRate < 0
+    ? `plus the dividend decline rate ${formatPercentage(-growthRate)}`
+    : `minus growth rate ${formatPercentage(growthRate)}`;
+}
+
+/**
+ * Check line for a solved equation: the dividend yield plus growth (or less the
+ * dividend decline) adds up to the required return the equation used
+ * @param {number} dividendYield - D₁ / P₀ (as percentage)
+ * @param {number} growthRate - Growth rate (as percentage)
+ * @param {number} requiredReturn - Required return shown in the equation (as percentage)
+ * @returns {string} Check text
+ */
+function describeSolvedCheck(dividendYield, growthRate, requiredReturn) {
+  const growthText = growthRate < 0
+    ? `− dividend decline ${formatPercentage(-growthRate)}`
+    : `+ growth rate ${formatPercentage(growthRate)}`;
+  return `Check: dividend yield ${formatPercentage(dividendYield)} ${growthText} = required return ${formatPercentage(requiredReturn)}`;
+}
+
+const MI = {
+  p0: '<msub><mi mathvariant="bold" mathcolor="#b95b1d">P</mi><mn mathcolor="#b95b1d">0</mn></msub>',
+  d0: '<msub><mi mathvariant="bold" mathcolor="#15803d">D</mi><mn mathcolor="#15803d">0</mn></msub>',
+  d1: '<msub><mi mathvariant="bold" mathcolor="#15803d">D</mi><mn mathcolor="#15803d">1</mn></msub>',
+  b1: '<msub><mi mathvariant="bold" mathcolor="#15803d">B</mi><mn mathcolor="#15803d">1</mn></msub>',
+  g: '<mi mathcolor="#15803d">g</mi>',
+  r: '<mi mathcolor="#3c6ae5">r</mi>'
+};
+
+function renderSolvedEquation(container, calculations, params) {
+  const { solveFor, d1, dividendYield, inputs } = calculations;
+  const { targetReturn } = params;
+  
+  const p0 = `<mtext mathvariant="bold" mathcolor="#b95b1d">${formatCurrency(inputs.marketPrice)}</mtext>`;
+  const d0 = `<mtext mathvariant="bold" mathcolor="#15803d">${formatCurrency(inputs.currentDividend)}</mtext>`;
+  const d1Value = `<mtext mathvariant="bold" mathcolor="#15803d">${formatCurrency(d1)}</mtext>`;
+  const g = growthTerm(inputs.growthRate);
+  const r = `<mtext mathcolor="#3c6ae5">${formatPercentage(targetReturn)}</mtext>`;
+  
+  let symbolic;
+  let substituted;
+  let result;
+  let announcement;
+  
+  switch (solveFor) {
+    case 'marketPrice':
+      result = formatCurrency(inputs.marketPrice);
+      symbolic = `${MI.p0}<mo>=</mo><mfrac linethickness="1.2px">${MI.d1}<mrow>${MI.r}<mo>−</mo>${MI.g}</mrow></mfrac>`;
+      substituted = `<mfrac linethickness="1.2px">${d1Value}<mrow>${r}<mo>−</mo>${g}</mrow></mfrac>`;
+      announcement = `Implied market price equals ${result}. ` +
+        `Calculated as: next year's dividend ${formatCurrency(d1)} divided by required return ${formatPercentage(targetReturn)} ` +
+        `${spokenMinusGrowth(inputs.growthRate)}.`;
+      break;
+    case 'currentDividend':
+      result = formatCurrency(inputs.currentDividend);
+      symbolic = `${MI.d0}<mo>=</mo>${MI.p0}<mo>×</mo><mfrac linethickness="1.2px"><mrow>${MI.r}<mo>−</mo>${MI.g}</mrow><mrow><mn>1</mn><mo>+</mo>${MI.g}</mrow></mfrac>`;
+      substituted = `${p0}<mo>×</mo><mfrac linethickness="1.2px"><mrow>${r}<mo>−</mo>${g}</mrow><mrow><mn>1</mn><mo>+</mo>${g}</mrow></mfrac>`;
+      announcement = `Implied current dividend equals ${result}. ` +
+        `Calculated as: market price ${formatCurrency(inputs.marketPrice)} times required return ${formatPercentage(targetReturn)} ` +
+        `${spokenMinusGrowth(inputs.growthRate)}, divided by one plus the growth rate.`;
+      break;
+    default:
+      result = formatPercentage(inputs.growthRate);
+      symbolic = `${MI.g}<mo>=</mo><mfrac linethickness="1.2px"><mrow>${MI.p0}<mo>×</mo>${MI.r}<mo>−</mo>${MI.d0}</mrow><mrow>${MI.p0}<mo>+</mo>${MI.d0}</mrow></mfrac>`;
+      substituted = `<mfrac linethickness="1.2px"><mrow>${p0}<mo>×</mo>${r}<mo>−</mo>${d0}</mrow><mrow>${p0}<mo>+</mo>${d0}</mrow></mfrac>`;
+      announcement = `Implied growth rate equals ${result}. ` +
+        `Calculated as: market price ${formatCurrency(inputs.marketPrice)} times required return ${formatPercentage(targetReturn)} ` +
+        `minus current dividend ${formatCurrency(inputs.currentDividend)}, divided by market price plus current dividend.`;
+  }
+  
+  const resultColor = solveFor === 'marketPrice' ? '#b95b1d' : '#15803d';
+  
+  container.innerHTML = `
+    <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">
+      <mrow>
+        ${symbolic}
+        <mo>=</mo>
+        ${substituted}
+        <mo>=</mo>
+        <mtext mathcolor="${resultColor}" mathvariant="bold">${result}</mtext>
+      </mrow>
+    </math>
+    <div style="text-align: center; margin-top: 0.5rem; font-size: 0.875rem; color: #374151;">
+      <div>${describeSolvedCheck(dividendYield, inputs.growthRate, targetReturn)}</div>
+    </div>
+  `;
   
-  let liveRegion = document.getElementById('equation-live-region');
+  announceEquation(container, announcement);
+}
+
+function renderMultiStageEquation(container, calculations, params) {
+  const { requiredReturn, highGrowthPV, terminalValuePV, model } = calculations;
+  const { marketPrice, growthRate, highGrowthRate, highGrowthYears } = params;
+  
+  const rFormatted = formatPercentage(requiredReturn);
+  const p0Formatted = formatCurrency(marketPrice);
+  const gSFormatted = formatPercentage(highGrowthRate);
+  const gLFormatted = formatPercentage(growthRate);
+  const dividendsPVFormatted = formatCurrency(highGrowthPV);
+  const terminalPVFormatted = formatCurrency(terminalValuePV);
+  const scheduleText = model === 'hModel'
+    ? `Growth ${highGrowthRate < growthRate ? 'rises' : 'declines'} linearly from ${gSFormatted} to ${gLFormatted} over ${highGrowthYears} years`
+    : `Growth of ${gSFormatted} for ${highGrowthYears} years, then ${gLFormatted}`;
+  
+  const mathML = `
+    <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">
+      <mrow>
+        <msub>
+          <mi mathvariant="bold" mathcolor="#b95b1d">P</mi>
+          <mn mathcolor="#b95b1d">0</mn>
+        </msub>
+        <mo>=</mo>
+        <munderover>
+          <mo>∑</mo>
+          <mrow><mi>t</mi><mo>=</mo><mn>1</mn></mrow>
+          <mi>N</mi>
+        </munderover>
+        <mfrac linethickness="1.2px">
+          <msub>
+            <mi mathvariant="bold" mathcolor="#15803d">D</mi>
+            <mi mathcolor="#15803d">t</mi>
+          </msub>
+          <msup>
+            <mrow><mo>(</mo><mn>1</mn><mo>+</mo><mi mathcolor="#3c6ae5">r</mi><mo>)</mo></mrow>
+            <mi>t</mi>
+          </msup>
+        </mfrac>
+        <mo>+</mo>
+        <mfrac linethickness="1.2px">
+          <mfrac linethickness="1.2px">
+            <msub>
+              <mi mathvariant="bold" mathcolor="#15803d">D</mi>
+              <mrow><mi mathcolor="#15803d">N</mi><mo>+</mo><mn mathcolor="#15803d">1</mn></mrow>
+            </msub>
+            <mrow>
+              <mi mathcolor="#3c6ae5">r</mi>
+              <mo>−</mo>
+              <msub><mi mathcolor="#15803d">g</mi><mi mathcolor="#15803d">L</mi></msub>
+            </mrow>
+          </mfrac>
+          <msup>
+            <mrow><mo>(</mo><mn>1</mn><mo>+</mo><mi mathcolor="#3c6ae5">r</mi><mo>)</mo></mrow>
+            <mi>N</mi>
+          </msup>
+        </mfrac>
+      </mrow>
+    </math>
+    <math xmlns="http://www.w3.org/1998/Math/MathML" display="block">
+      <mrow>
+        <mtext mathvariant="bold" mathcolor="#b95b1d">${p0Formatted}</mtext>
+        <mo>=</mo>
+        <mtext mathcolor="#15803d">${dividendsPVFormatted}</mtext>
+        <mo>+</mo>
+        <mtext mathcolor="#15803d">${terminalPVFormatted}</mtext>
+        <mo>⇒</mo>
+        <mi mathcolor="#3c6ae5">r</mi>
+        <mo>=</mo>
+        <mtext mathcolor="#3c6ae5" mathvariant="bold">${rFormatted}</mtext>
+      </mrow>
+    </math>
+    <div style="text-align: center; margin-top: 0.5rem; font-size: 0.875rem; color: #374151;">
+      <div>${scheduleText}. PV of high-growth dividends: ${dividendsPVFormatted} + PV of terminal value: ${terminalPVFormatted} = Market price: ${p0Formatted}</div>
+    </div>
+  `;
+  
+  container.innerHTML = mathML;
+  
+  const announcement = `Required return equals ${rFormatted}, ` +
+    `the discount rate at which the present value of the dividends equals the market price of ${p0Formatted}. ` +
+    `${scheduleText}. ` +
+    `Present value of high-growth dividends ${dividendsPVFormatted}, plus present value of terminal value ${terminalPVFormatted}.`;
+  
+  announceEquation(container, announcement);
+}
+
+/**
+ * Prepend the g = b × ROE derivation to the rendered equation
+ * @param {Element} container - Equation container
+ * @param {Object} sustainableGrowth - Output of calculateSustainableGrowth
+ * @param {string} model - Model key (g is the stable g_L for multi-stage models)
+ */
+function renderSustainableGrowthStep(container, sustainableGrowth, model) {
+  const { roe, retentionBasis, retentionRatio, payoutRatio, eps, growthRate } = sustainableGrowth;
+  const g = model === 'constant'
+    ? MI.g
+    : '<msub><mi mathcolor="#15803d">g</mi><mi mathcolor="#15803d">L</mi></msub>';
+  const b = '<mi mathcolor="#15803d">b</mi>';
+  const roeSymbol = '<mtext mathcolor="#15803d">ROE</mtext>';
+  const value = (text) => `<mtext mathcolor="#15803d">${text}</mtext>`;
+  
+  // Show how b was obtained when it was not entered directly
+  let retentionStep = '';
+  let retentionText = '';
+  if (retentionBasis === 'payout') {
+    retentionStep = `<mo>=</mo><mrow><mo>(</mo><mn>1</mn><mo>−</mo>${value(formatPercentage(payoutRatio))}<mo>)</mo></mrow><mo>×</mo>${value(formatPercentage(roe))}`;
+    retentionText = `, where the retention ratio is one minus the payout ratio of ${formatPercentage(payoutRatio)}`;
+  } else if (retentionBasis === 'earnings') {
+    const dps = formatCurrency(eps * payoutRatio / 100);
+    retentionStep = `<mo>=</mo><mrow><mo>(</mo><mn>1</mn><mo>−</mo><mfrac linethickness="1.2px">${value(dps)}${value(formatCurrency(eps))}</mfrac><mo>)</mo></mrow><mo>×</mo>${value(formatPercentage(roe))}`;
+    retentionText = `, where the retention ratio is one minus dividends per share ${dps} divided by earnings per share ${formatCurrency(eps)}`;
+  }
+  
+  container.insertAdjacentHTML('afterbegin', `
+    <math xmlns="http://www.w3.org/1998/Math/MathML" display="block" class="sustainable-growth-step">
+      <mrow>
+        ${g}
+        <mo>=</mo>
+        ${b}
+        <mo>×</mo>
+        ${roeSymbol}
+        ${retentionStep}
+        <mo>=</mo>
+        ${value(formatPercentage(retentionRatio))}
+        <mo>×</mo>
+        ${value(formatPercentage(roe))}
+        <mo>=</mo>
+        <mtext mathcolor="#15803d" mathvariant="bold">${formatPercentage(growthRate)}</mtext>
+      </mrow>
+    </math>
+  `);
+  
+  const liveRegion = findLiveRegion(container);
+  const announcement = `Sustainable growth rate equals retention ratio ${formatPercentage(retentionRatio)} ` +
+    `times return on equity ${formatPercentage(roe)}, which is ${formatPercentage(growthRate)}${retentionText}. `;
+  announceEquation(container, announcement + (liveRegion ? liveRegion.textContent : ''));
+}
+
+/**
+ * Re-solve r from the dated payments, after the model equation
+ * P₀ = Σ Dᵢ / (1 + r)^tᵢ + TV / (1 + r)^tₙ with t in days / 365
+ * @param {Element} container - Equation container
+ * @param {Object} calculations - Output of calculateDatedReturnMetrics
+ */
+function renderDatedReturnStep(container, calculations) {
+  const { requiredReturn, cashFlows, horizonValue, dated } = calculations;
+  const subscript = (symbol, index, color) => `<msub><mi mathcolor="${color}">${symbol}</mi><mi mathcolor="${color}">${index}</mi></msub>`;
+  const discount = (time) => `<msup><mrow><mo>(</mo><mn>1</mn><mo>+</mo>${MI.r}<mo>)</mo></mrow>${time}</msup>`;
+  const rFormatted = formatPercentage(requiredReturn);
+  
+  container.insertAdjacentHTML('beforeend', `
+    <math xmlns="http://www.w3.org/1998/Math/MathML" display="block" class="dated-return-step">
+      <mrow>
+        ${MI.p0}
+        <mo>=</mo>
+        <munder><mo>∑</mo><mi>i</mi></munder>
+        <mfrac linethickness="1.2px">
+          ${subscript('D', 'i', '#15803d')}
+          ${discount(subscript('t', 'i', '#374151'))}
+        </mfrac>
+        <mo>+</mo>
+        <mfrac linethickness="1.2px">
+          <mi mathcolor="#15803d">TV</mi>
+          ${discount(subscript('t', 'n', '#374151'))}
+        </mfrac>
+        <mo>⇒</mo>
+        ${MI.r}
+        <mo>=</mo>
+        <mtext mathcolor="#3c6ae5" mathvariant="bold">${rFormatted}</mtext>
+      </mrow>
+    </math>
+    <div class="dated-return-note" style="text-align: center; margin-top: 0.5rem; font-size: 0.875rem; color: #374151;">
+      ${dated.payments} dated payments to ${formatDate(horizonValue.date)}, each discounted over t = days since ${formatDate(dated.purchaseDate)} / 365 (r with annual year-end payments: ${formatPercentage(dated.annualReturn)})
+    </div>
+  `);
+  
+  const liveRegion = findLiveRegion(container);
+  const announcement = `Solved from ${dated.payments} dated payments from ${formatDate(cashFlows[1].date, true)} to ${formatDate(horizonValue.date, true)}, ` +
+    `each discounted over days since purchase divided by 365: required return ${rFormatted}, compared with ${formatPercentage(dated.annualReturn)} for annual year-end payments.`;
+  announceEquation(container, (liveRegion ? liveRegion.textContent + ' ' : '') + announcement);
+}
+
+/**
+ * Note that the multi-stage payouts include net buybacks, after the model equation
+ * @param {Element} container - Equation container
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics with totalPayout
+ */
+function renderTotalPayoutNote(container, calculations) {
+  const { inputs, totalPayout } = calculations;
+  const payout = `D₀ + B₀ = ${formatCurrency(inputs.currentDividend)} + ${formatCurrency(inputs.netBuyback)} = ${formatCurrency(inputs.currentDividend + inputs.netBuyback)}`;
+  
+  container.insertAdjacentHTML('beforeend', `
+    <div class="total-payout-note" style="text-align: center; margin-top: 0.5rem; font-size: 0.875rem; color: #374151;">
+      Payouts include net buybacks: ${payout}, growing at the same rates. Total shareholder yield (D₁ + B₁) / P₀ = ${formatPercentage(totalPayout.totalYield)}
+    </div>
+  `);
+  
+  const liveRegion = findLiveRegion(container);
+  announceEquation(container, (liveRegion ? liveRegion.textContent + ' ' : '') +
+    `Payouts include net buybacks of ${formatCurrency(inputs.netBuyback)} per share, for a total shareholder yield of ${formatPercentage(totalPayout.totalYield)}.`);
+}
+
+/**
+ * Convert the nominal r to a real r with the Fisher relationship, after the model equation
+ * r_real = (1 + r) / (1 + π) − 1
+ * @param {Element} container - Equation container
+ * @param {Object} realReturn - Output of calculateRealReturn
+ */
+function renderFisherStep(container, realReturn) {
+  const { inflationRate, nominalReturn, realReturn: realR, nominalGrowth, realGrowth } = realReturn;
+  const pi = '<mi mathcolor="#b95b1d">π</mi>';
+  const rReal = '<msub><mi mathcolor="#3c6ae5">r</mi><mtext mathcolor="#3c6ae5">real</mtext></msub>';
+  const onePlus = (term) => `<mrow><mn>1</mn><mo>+</mo>${term}</mrow>`;
+  
+  container.insertAdjacentHTML('beforeend', `
+    <math xmlns="http://www.w3.org/1998/Math/MathML" display="block" class="fisher-step">
+      <mrow>
+        ${rReal}
+        <mo>=</mo>
+        <mfrac linethickness="1.2px">${onePlus(MI.r)}${onePlus(pi)}</mfrac>
+        <mo>−</mo>
+        <mn>1</mn>
+        <mo>=</mo>
+        <mfrac linethickness="1.2px">
+          ${onePlus(`<mtext mathcolor="#3c6ae5">${formatPercentage(nominalReturn)}</mtext>`)}
+          ${onePlus(`<mtext mathcolor="#b95b1d">${formatPercentage(inflationRate)}</mtext>`)}
+        </mfrac>
+        <mo>−</mo>
+        <mn>1</mn>
+        <mo>=</mo>
+        <mtext mathcolor="#3c6ae5" mathvariant="bold">${formatPercentage(realR)}</mtext>
+      </mrow>
+    </math>
+    <div class="fisher-note" style="text-align: center; margin-top: 0.5rem; font-size: 0.875rem; color: #374151;">
+      Fisher: (1 + r) = (1 + r<sub>real</sub>) × (1 + π). Real growth: (1 + ${formatPercentage(nominalGrowth)}) / (1 + ${formatPercentage(inflationRate)}) − 1 = ${formatPercentage(realGrowth)}
+    </div>
+  `);
+  
+  const liveRegion = findLiveRegion(container);
+  const announcement = `With expected inflation of ${formatPercentage(inflationRate)}, the real required return is ` +
+    `1 plus ${formatPercentage(nominalReturn)}, divided by 1 plus ${formatPercentage(inflationRate)}, minus 1, which is ${formatPercentage(realR)}. ` +
+    `Real growth is ${formatPercentage(realGrowth)}.`;
+  announceEquation(container, (liveRegion ? liveRegion.textContent + ' ' : '') + announcement);
+}
+
+/**
+ * Find the equation live region in the container's document or shadow root
+ * @param {Element} container - Equation container
+ * @returns {Element|null} Live region
+ */
+function findLiveRegion(container) {
+  return container.getRootNode().getElementById('equation-live-region');
+}
+
+function announceEquation(container, announcement) {
+  let liveRegion = findLiveRegion(container);
   if (!liveRegion) {
+    const root = container.getRootNode();
     liveRegion = document.createElement('div');
     liveRegion.id = 'equation-live-region';
     liveRegion.className = 'sr-only';
     liveRegion.setAttribute('aria-live', 'polite');
     liveRegion.setAttribute('aria-atomic', 'true');
-    document.body.appendChild(liveRegion);
+    (root === document ? document.body : root).appendChild(liveRegion);
   }
   liveRegion.textContent = announcement;
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Export Module
+ * CSV and SpreadsheetML (Excel 2003 XML) export of the cash flow projection
+ */
+
+import { MODELS, PAYOUT_FREQUENCIES } from './calculations.js';
+import { escapeXML, formatPeriod, getNumberFormat } from './utils.js';
+
+const SOLVE_FOR_LABELS = {
+  requiredReturn: 'Required return (r)',
+  marketPrice: 'Market price (P0)',
+  currentDividend: 'Current dividend (D0)',
+  growthRate: 'Growth rate (g)'
+};
+
+/**
+ * Build the rows of an export sheet
+ * The summary block holds the inputs and key results; the projection holds
+ * one row per payment. All values are raw numbers, never display strings.
+ *
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {Object} settings - Model settings
+ * @param {number} settings.highGrowthRate - High-growth rate (multi-stage models)
+ * @param {number} settings.highGrowthYears - High-growth years (multi-stage models)
+ * @returns {Object} { summary: Array<[label, value]>, columns: Array<string>, rows: Array<Array> }
+ */
+export function buildExportSheet(calculations, { highGrowthRate, highGrowthYears } = {}) {
+  const { inputs, model, solveFor, periodsPerYear = 1 } = calculations;
+  const frequency = Object.values(PAYOUT_FREQUENCIES).find(item => item.periodsPerYear === periodsPerYear);
+  const isMultiStage = model !== 'constant';
+  const { totalPayout } = calculations;
+  
+  const summary = [
+    ['Model', MODELS[model]],
+    ['Solved for', SOLVE_FOR_LABELS[solveFor] || SOLVE_FOR_LABELS.requiredReturn],
+    ['Currency', getNumberFormat().currency],
+    ['Market price (P0)', inputs.marketPrice],
+    ['Current dividend (D0)', inputs.currentDividend],
+    ...(totalPayout ? [['Net buybacks per share (B0)', inputs.netBuyback]] : []),
+    [isMultiStage ? 'Long-run growth rate (gL) (%)' : 'Growth rate (g) (%)', inputs.growthRate]
+  ];
+  
+  if (isMultiStage) {
+    summary.push(
+      ['High-growth rate (gS) (%)', highGrowthRate],
+      ['High-growth years (N)', highGrowthYears]
+    );
+  }
+  
+  summary.push(
+    ['Projection horizon (years)', calculations.cashFlows[calculations.cashFlows.length - 1].year],
+    ['Dividend payments', frequency ? frequency.label : PAYOUT_FREQUENCIES.annual.label],
+    ['Required return (r) (%)', calculations.requiredReturn],
+    ...(calculations.dated ? [
+      ['Purchase date', calculations.dated.purchaseDate],
+      ['Required return with annual year-end payments (%)', calculations.dated.annualReturn]
+    ] : []),
+    ['Next dividend (D1)', calculations.d1],
+    ['Dividend yield (D1/P0) (%)', calculations.dividendYield],
+    ...(totalPayout ? [
+      ['Net buyback yield (B1/P0) (%)', totalPayout.buybackYield],
+      ['Total shareholder yield ((D1+B1)/P0) (%)', totalPayout.totalYield]
+    ] : []),
+    ['Terminal value at horizon (TV)', calculations.horizonValue.terminalValue],
+    ['PV of terminal value', calculations.horizonValue.presentValue],
+    ['Sum of present values', calculations.totalPresentValue]
+  );
+  
+  // Total payout rows split each payment into dividend and net buybacks
+  const hasBuybacks = calculations.cashFlows[0].buyback !== undefined;
+  const columns = ['Payment', 'Year', 'Time (years)', 'Required return (%)', 'Growth rate (%)', 'Dividend', ...(hasBuybacks ? ['Net buybacks'] : []), 'Investment', 'Total cash flow', 'Cumulative cash flow', 'Discount factor', hasBuybacks ? 'PV of payout' : 'PV of dividend', 'Cumulative PV'];
+  const rows = calculations.cashFlows.map(cf => [
+    // Dated payments keep the ISO date so spreadsheets read it as a date
+    cf.date || formatPeriod(cf, periodsPerYear),
+    cf.year,
+    cf.time,
+    calculations.requiredReturn,
+    cf.growthRate,
+    cf.dividend,
+    ...(hasBuybacks ? [cf.buyback] : []),
+    cf.investment,
+    cf.totalCashFlow,
+    cf.cumulativeCashFlow,
+    cf.discountFactor,
+    cf.presentValue,
+    cf.cumulativePresentValue
+  ]);
+  
+  return { summary, columns, rows };
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize an export sheet as CSV (RFC 4180, CRLF line endings)
+ * The summary block is omitted when empty, leaving a plain table.
+ * @param {Object} sheet - Output of buildExportSheet
+ * @returns {string} CSV text
+ */
+export function toCSV({ summary = [], columns, rows }) {
+  const lines = [
+    ...(summary.length > 0 ? [...summary, []] : []),
+    columns,
+    ...rows
+  ];
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function xmlCell(value, styleId = null) {
+  const style = styleId ? ` ss:StyleID="${styleId}"` : '';
+  if (value === null || value === undefined) {
+    return `<Cell${style}/>`;
+  }
+  const type = typeof value === 'number' && Number.isFinite(value) ? 'Number' : 'String';
+  return `<Cell${style}><Data ss:Type="${type}">${escapeXML(value)}</Data></Cell>`;
+}
+
+function xmlRow(values, styleId = null) {
+  return `   <Row>${values.map(value => xmlCell(value, styleId)).join('')}</Row>`;
+}
+
+/**
+ * Serialize an export sheet as a SpreadsheetML 2003 workbook
+ * Opens directly in Excel, LibreOffice and Numbers with numeric cells intact.
+ *
+ * @param {Object} sheet - Output of buildExportSheet
+ * @returns {string} XML text
+ */
+export function toSpreadsheetML({ summary, columns, rows }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"',
+    ' xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    ' <Styles>',
+    '  <Style ss:ID="header"><Font ss:Bold="1"/></Style>',
+    ' </Styles>',
+    ' <Worksheet ss:Name="Required Return">',
+    '  <Table>',
+    ...summary.map(([label, value]) => `   <Row>${xmlCell(label, 'header')}${xmlCell(value)}</Row>`),
+    '   <Row/>',
+    xmlRow(columns, 'header'),
+    ...rows.map(row => xmlRow(row)),
+    '  </Table>',
+    ' </Worksheet>',
+    '</Workbook>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Offer content to the user as a file download
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (ignored for Blob content)
+ */
+export function downloadFile(content, filename, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,55 @@
+/**
+ * Growth Estimates Module
+ * Growth rates estimated from a dividend history, each with a button to use it
+ */
+
+import { $, formatCurrency, formatPercentage } from './utils.js';
+
+const FREQUENCY_NAMES = { 1: 'once', 2: 'twice', 4: 'four times', 12: 'twelve times' };
+
+/**
+ * Render the estimates table and the D₀ the history implies
+ * @param {Object|null} analysis - Output of analyzeDividendHistory (null clears the table)
+ * @param {string|null} method - Key of the estimate in use
+ */
+export function renderGrowthEstimates(analysis, method = null) {
+  const container = $('#growth-estimates');
+  if (!container) return;
+  
+  if (!analysis) {
+    container.innerHTML = '';
+    return;
+  }
+  
+  const { annual, periodsPerYear, latestDate, latestDividend, estimates } = analysis;
+  const latestPayment = latestDividend / periodsPerYear;
+  const firstYear = annual[0].year;
+  const lastYear = annual[annual.length - 1].year;
+  
+  container.innerHTML = `
+    <table class="data-table growth-estimates-table">
+      <caption class="sr-only">Growth rate estimated from ${annual.length} full years of dividends, ${firstYear} to ${lastYear}</caption>
+      <thead>
+        <tr>
+          <th scope="col" class="text-left">Method</th>
+          <th scope="col" class="text-right">Growth <span style="color: #15803d;">(g)</span></th>
+          <th scope="col"><span class="sr-only">Action</span></th>
+        </tr>
+      </thead>
+      <tbody>${estimates.map(({ key, label, growthRate }) => `
+        <tr${key === method ? ' class="growth-estimate-selected"' : ''}>
+          <th scope="row" class="text-left">${label}</th>
+          <td class="text-right" style="color: #15803d;">${formatPercentage(growthRate)}</td>
+          <td class="text-right">
+            <button type="button" class="model-btn${key === method ? ' active' : ''}" data-growth-estimate="${key}" aria-pressed="${key === method}"
+              aria-label="Use ${label} growth of ${formatPercentage(growthRate)} and D₀ of ${formatCurrency(latestDividend)}">Use</button>
+          </td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+    <p class="table-note">
+      Based on full years ${firstYear}–${lastYear}. The latest dividend of ${formatCurrency(latestPayment)} (${latestDate}),
+      paid ${FREQUENCY_NAMES[periodsPerYear]} a year, annualizes to D₀ = ${formatCurrency(latestDividend)}.
+    </p>
+  `;
+}
@@ -0,0 +1,182 @@
+/**
+ * Histogram Module
+ * Monte Carlo results: percentile summary, histogram chart and accessible table
+ */
+
+import { $, formatPercentage, formatNumber } from './utils.js';
+
+const COLORS = {
+  bar: '#3c6ae5',         // Blue - matches --color-return-required
+  percentile: '#b95b1d',  // Orange - matches --color-return-negative
+  median: '#06005a'
+};
+
+let histogramInstance = null;
+
+/**
+ * Render the simulation summary, histogram and data table
+ * @param {Object} result - Output of runMonteCarlo, with stale set once the inputs change
+ */
+export function renderSimulation(result) {
+  renderSummary(result);
+  renderHistogramChart(result);
+  renderHistogramTable(result);
+}
+
+function renderSummary(result) {
+  const container = $('#simulation-summary');
+  if (!container) return;
+  
+  const items = [
+    { label: 'P5', value: formatPercentage(result.p5) },
+    { label: 'Median (P50)', value: formatPercentage(result.p50) },
+    { label: 'P95', value: formatPercentage(result.p95) },
+    { label: 'Mean', value: formatPercentage(result.mean) },
+    { label: 'Draws', value: `${formatNumber(result.completed, 0)} of ${formatNumber(result.draws, 0)}` },
+    { label: 'Seed', value: result.seed }
+  ];
+  
+  container.innerHTML = `
+    <ul class="model-info-list">
+      ${items.map(item => `<li><strong>${item.label}:</strong> ${item.value}</li>`).join('')}
+    </ul>
+    ${result.discarded > 0 ? `<p class="table-note">${formatNumber(result.discarded, 0)} draws with a non-positive price or negative dividend were discarded.</p>` : ''}
+    ${result.stale ? '<p class="table-note">The calculator inputs have changed since this run; run the simulation again to update it.</p>' : ''}
+  `;
+}
+
+function renderHistogramChart(result) {
+  const canvas = document.getElementById('simulation-chart');
+  if (!canvas) {
+    console.error('Simulation chart canvas not found');
+    return;
+  }
+  
+  canvas.setAttribute(
+    'aria-label',
+    `Histogram of ${result.completed} simulated required returns. ` +
+    `5th percentile ${formatPercentage(result.p5)}, median ${formatPercentage(result.p50)}, ` +
+    `95th percentile ${formatPercentage(result.p95)}.`
+  );
+  
+  const { histogram } = result;
+  const binWidth = histogram.length > 0 ? histogram[0].end - histogram[0].start : 1;
+  
+  if (histogramInstance) {
+    histogramInstance.destroy();
+  }
+  
+  histogramInstance = new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: histogram.map(bin => formatNumber((bin.start + bin.end) / 2)),
+      datasets: [{
+        label: 'Draws',
+        data: histogram.map(bin => bin.count),
+        backgroundColor: COLORS.bar,
+        borderWidth: 0,
+        barPercentage: 1,
+        categoryPercentage: 1
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (context) => {
+              const bin = histogram[context[0].dataIndex];
+              return `r from ${formatPercentage(bin.start)} to ${formatPercentage(bin.end)}`;
+            },
+            label: (context) => `Draws: ${context.parsed.y}`
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Required Return (%)',
+            color: '#1f2937',
+            font: { weight: 600 }
+          },
+          grid: { display: false },
+          ticks: { color: '#1f2937', maxRotation: 0, autoSkip: true }
+        },
+        y: {
+          title: {
+            display: true,
+            text: 'Number of Draws',
+            color: '#1f2937',
+            font: { weight: 600 }
+          },
+          beginAtZero: true,
+          ticks: { color: '#1f2937', precision: 0 },
+          grid: { color: 'rgba(0, 0, 0, 0.05)' }
+        }
+      }
+    },
+    plugins: [{
+      id: 'percentileLines',
+      afterDatasetsDraw: (chart) => {
+        if (histogram.length < 2) return;
+        const xScale = chart.scales.x;
+        const firstCentre = xScale.getPixelForValue(0);
+        const spacing = xScale.getPixelForValue(1) - firstCentre;
+        const ctx = chart.ctx;
+        
+        [
+          { value: result.p5, label: 'P5', color: COLORS.percentile },
+          { value: result.p50, label: 'P50', color: COLORS.median },
+          { value: result.p95, label: 'P95', color: COLORS.percentile }
+        ].forEach(({ value, label, color }) => {
+          const x = firstCentre + ((value - histogram[0].start) / binWidth - 0.5) * spacing;
+          ctx.save();
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 2;
+          ctx.setLineDash([5, 5]);
+          ctx.beginPath();
+          ctx.moveTo(x, chart.chartArea.top);
+          ctx.lineTo(x, chart.chartArea.bottom);
+          ctx.stroke();
+          ctx.font = 'bold 11px sans-serif';
+          ctx.fillStyle = color;
+          ctx.textAlign = 'center';
+          ctx.textBaseline = 'bottom';
+          ctx.fillText(label, x, chart.chartArea.top);
+          ctx.restore();
+        });
+      }
+    }]
+  });
+}
+
+function renderHistogramTable(result) {
+  const table = $('#simulation-table');
+  if (!table) return;
+  
+  table.innerHTML = `
+    <caption>Distribution of simulated required returns</caption>
+    <thead>
+      <tr>
+        <th scope="col">Required return range</th>
+        <th scope="col">Number of draws</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${result.histogram.map(bin => `
+      <tr>
+        <td>${formatPercentage(bin.start)} to ${formatPercentage(bin.end)}</td>
+        <td>${bin.count}</td>
+      </tr>`).join('')}
+    </tbody>`;
+}
+
+export function destroyHistogram() {
+  if (histogramInstance) {
+    histogramInstance.destroy();
+    histogramInstance = null;
+  }
+}
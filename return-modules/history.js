@@ -0,0 +1,158 @@
+/**
+ * History Module
+ * Undo/redo stack of calculator inputs and settings
+ */
+
+import { SCENARIO_FIELDS } from './scenarios.js';
+
+/**
+ * State fields recorded in each history step: the scenario inputs plus the
+ * display, cross-check, sensitivity grid and simulation settings
+ */
+export const HISTORY_FIELDS = [...SCENARIO_FIELDS, 'currency', 'locale', 'crossCheck', 'sensitivity', 'simulation'];
+
+/**
+ * Maximum number of steps kept for undo
+ */
+const HISTORY_LIMIT = 100;
+
+/**
+ * Repeated edits to the same field within this window (ms) form one step,
+ * so a value typed across several debounced updates is undone at once
+ */
+const MERGE_WINDOW = 1500;
+
+const history = {
+  past: [],
+  present: null,
+  future: [],
+  lastField: null,
+  lastTime: 0
+};
+
+/**
+ * Copy the recorded fields out of a state-like object
+ * @param {Object} source - Object holding the values
+ * @returns {Object} Snapshot (nested settings are copied)
+ */
+export function captureSnapshot(source) {
+  const snapshot = {};
+  HISTORY_FIELDS.forEach(field => {
+    const value = source[field];
+    snapshot[field] = value && typeof value === 'object' ? { ...value } : value;
+  });
+  return snapshot;
+}
+
+/**
+ * Paths that differ between two values, comparing nested objects key by key
+ * @param {*} a - Earlier value
+ * @param {*} b - Later value
+ * @param {string} path - Path of the value, e.g. 'simulation.growth'
+ * @returns {Array<string>} Changed paths
+ */
+function diffPaths(a, b, path) {
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    return Object.keys({ ...a, ...b }).flatMap(key => diffPaths(a[key], b[key], `${path}.${key}`));
+  }
+  return Object.is(a, b) ? [] : [path];
+}
+
+/**
+ * Fields that differ between two snapshots
+ * Nested settings are compared key by key and reported as e.g. 'tax.enabled'
+ * or 'simulation.growth.stdDev', so re-entering the same settings is no change.
+ * @param {Object} before - Earlier snapshot
+ * @param {Object} after - Later snapshot
+ * @returns {Array<string>} Changed field names
+ */
+export function getChangedFields(before, after) {
+  return HISTORY_FIELDS.flatMap(field => diffPaths(before[field], after[field], field));
+}
+
+/**
+ * Start a fresh history from the current values
+ * @param {Object} source - State-like object
+ */
+export function resetHistory(source) {
+  history.past = [];
+  history.future = [];
+  history.present = captureSnapshot(source);
+  history.lastField = null;
+  history.lastTime = 0;
+}
+
+/**
+ * Record the current values as a new step if anything changed
+ * A further edit to the field changed by the previous step, made within
+ * MERGE_WINDOW, replaces that step instead of adding one.
+ *
+ * @param {Object} source - State-like object
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the history changed
+ */
+export function recordHistory(source, now = Date.now()) {
+  const snapshot = captureSnapshot(source);
+  if (!history.present) {
+    history.present = snapshot;
+    return false;
+  }
+  
+  const changed = getChangedFields(history.present, snapshot);
+  if (changed.length === 0) return false;
+  
+  const field = changed.length === 1 ? changed[0] : null;
+  const merge = field !== null &&
+    field === history.lastField &&
+    now - history.lastTime < MERGE_WINDOW &&
+    history.past.length > 0;
+  
+  if (!merge) {
+    history.past.push(history.present);
+    if (history.past.length > HISTORY_LIMIT) history.past.shift();
+  }
+  
+  history.present = snapshot;
+  history.future = [];
+  history.lastField = field;
+  history.lastTime = now;
+  return true;
+}
+
+/**
+ * Step back one change
+ * @returns {Object|null} Snapshot to restore, or null if there is nothing to undo
+ */
+export function undo() {
+  if (history.past.length === 0) return null;
+  history.future.push(history.present);
+  history.present = history.past.pop();
+  history.lastField = null;
+  return history.present;
+}
+
+/**
+ * Step forward one undone change
+ * @returns {Object|null} Snapshot to restore, or null if there is nothing to redo
+ */
+export function redo() {
+  if (history.future.length === 0) return null;
+  history.past.push(history.present);
+  history.present = history.future.pop();
+  history.lastField = null;
+  return history.present;
+}
+
+/**
+ * @returns {boolean} True if a change can be undone
+ */
+export function canUndo() {
+  return history.past.length > 0;
+}
+
+/**
+ * @returns {boolean} True if an undone change can be redone
+ */
+export function canRedo() {
+  return history.future.length > 0;
+}
@@ -0,0 +1,333 @@
+/**
+ * Payment Schedule Module
+ * Dated cash flows: a real purchase date and dividend payment dates in place of
+ * whole years, with the required return solved XIRR-style on an actual/365 day count
+ */
+
+import { getGrowthSchedule, presentValueOfDividends, solveDiscountRate, calculateRequiredReturnMetrics, splitTotalPayout } from './calculations.js';
+
+/**
+ * Ways of entering the payment dates
+ */
+export const SCHEDULE_ENTRIES = {
+  frequency: 'Frequency and first payment',
+  dates: 'Payment dates'
+};
+
+/**
+ * Longest span of payment dates after the purchase (matches the projection horizon limit)
+ */
+export const MAX_SCHEDULE_YEARS = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a calendar date in YYYY-MM-DD form
+ * @param {string} text - Date text
+ * @returns {number|null} Milliseconds since the epoch at UTC midnight, or null if not a valid date
+ */
+export function parseISODate(text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text).trim());
+  if (!match) return null;
+  
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  
+  return date.getTime();
+}
+
+/**
+ * Format the local calendar day of a date in YYYY-MM-DD form
+ * (toISOString would give the UTC day, which is tomorrow in the evening west of UTC)
+ * @param {Date} date - Date, e.g. new Date() for today
+ * @returns {string} Date in YYYY-MM-DD form
+ */
+export function toLocalISODate(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Move a date by whole months, keeping the day of the month where it exists
+ * (31 January plus one month is the last day of February)
+ * @param {string} isoDate - Date in YYYY-MM-DD form
+ * @param {number} months - Months to add
+ * @returns {string} Date in YYYY-MM-DD form
+ */
+export function addMonths(isoDate, months) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+}
+
+/**
+ * Years between two dates on an actual/365 day count, as spreadsheet XIRR uses
+ * @param {string} fromDate - Start date (YYYY-MM-DD)
+ * @param {string} toDate - End date (YYYY-MM-DD)
+ * @returns {number} Years
+ */
+export function yearFraction(fromDate, toDate) {
+  return (parseISODate(toDate) - parseISODate(fromDate)) / DAY_MS / 365;
+}
+
+/**
+ * Split a list of payment dates typed one per line or separated by commas
+ * @param {string} text - Dates text
+ * @returns {Array<string>} Date entries as typed, blanks removed
+ */
+export function splitPaymentDates(text) {
+  return String(text).split(/[\s,;]+/).filter(entry => entry !== '');
+}
+
+/**
+ * Payment dates at a fixed frequency from the first payment to the end of the horizon
+ * @param {Object} params - Schedule parameters
+ * @param {string} params.purchaseDate - Purchase date (YYYY-MM-DD)
+ * @param {string} params.firstPaymentDate - First payment date (YYYY-MM-DD)
+ * @param {number} params.periodsPerYear - Payments per year
+ * @param {number} params.years - Years after the purchase to schedule
+ * @returns {Array<string>} Payment dates, oldest first
+ */
+export function buildPaymentDates({ purchaseDate, firstPaymentDate, periodsPerYear, years }) {
+  const end = parseISODate(addMonths(purchaseDate, 12 * years));
+  const step = 12 / periodsPerYear;
+  const dates = [];
+  
+  // Step from the first payment each time so month-end dates do not drift
+  for (let index = 0; ; index++) {
+    const date = addMonths(firstPaymentDate, index * step);
+    if (parseISODate(date) > end) break;
+    dates.push(date);
+  }
+  
+  return dates;
+}
+
+/**
+ * Resolve the payment dates a schedule describes
+ * @param {Object} schedule - Schedule settings (purchaseDate, entry, firstPaymentDate, paymentDates)
+ * @param {number} periodsPerYear - Payments per year
+ * @param {number} years - Projection horizon in years (frequency entry)
+ * @returns {Array<string>} Payment dates after the purchase date, oldest first
+ */
+export function resolvePaymentDates(schedule, periodsPerYear, years) {
+  if (schedule.entry === 'dates') {
+    return [...new Set(splitPaymentDates(schedule.paymentDates))].sort();
+  }
+  return buildPaymentDates({ ...schedule, periodsPerYear, years });
+}
+
+/**
+ * Count the years of holding a payment date falls in: year k runs from the
+ * (k − 1)th anniversary of the purchase, exclusive, to the kth, inclusive
+ * @param {string} purchaseDate - Purchase date (YYYY-MM-DD)
+ * @param {string} date - Payment date (YYYY-MM-DD)
+ * @returns {number} Year of holding (1 for the first year)
+ */
+function holdingYear(purchaseDate, date) {
+  const time = parseISODate(date);
+  let year = 1;
+  while (time > parseISODate(addMonths(purchaseDate, 12 * year))) year++;
+  return year;
+}
+
+/**
+ * Present value of dated payments and the value left at the last payment
+ * P₀ = Σ Dᵢ / (1 + r)^tᵢ + TV / (1 + r)^tₙ
+ *
+ * @param {Array<Object>} payments - { time, dividend } per payment
+ * @param {Function} terminalValue - Value at the last payment for a discount rate r
+ * @param {number} r - Discount rate (decimal)
+ * @returns {number} Present value
+ */
+function presentValueOfPayments(payments, terminalValue, r) {
+  const last = payments[payments.length - 1];
+  return payments.reduce((sum, { time, dividend }) => sum + dividend / Math.pow(1 + r, time), 0) +
+    terminalValue(r) / Math.pow(1 + r, last.time);
+}
+
+/**
+ * Solve for the discount rate that equates dated payments to P₀
+ * @param {number} marketPrice - Current market price (P₀)
+ * @param {Array<Object>} payments - { time, dividend } per payment
+ * @param {Function} terminalValue - Value at the last payment for a discount rate r
+ * @param {number} gL - Stable growth rate (decimal)
+ * @returns {number} Required return (decimal)
+ */
+export function solveDatedReturn(marketPrice, payments, terminalValue, gL) {
+  return solveDiscountRate(marketPrice, r => presentValueOfPayments(payments, terminalValue, r), gL);
+}
+
+/**
+ * Generate dated dividend cash flows
+ * Each payment is one periodsPerYear-th of the dividend for its year of holding,
+ * so a year with the usual number of payments sums to D_t.
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.marketPrice - Initial investment
+ * @param {Array<number>} params.annualDividends - Dividends for years of holding 1, 2, …
+ * @param {Array<number>} params.growthSchedule - Growth rates (as decimals) for the same years
+ * @param {string} params.purchaseDate - Purchase date (YYYY-MM-DD)
+ * @param {Array<string>} params.paymentDates - Payment dates after the purchase, oldest first
+ * @param {number} params.periodsPerYear - Payments per year
+ * @param {number} params.requiredReturnDecimal - Optional discount rate; adds discount
+ *   factors and present values to each row
+ * @returns {Array} Cash flow objects as from generateCashFlows, each with a date
+ */
+export function generateDatedCashFlows({ marketPrice, annualDividends, growthSchedule, purchaseDate, paymentDates, periodsPerYear, requiredReturnDecimal = null }) {
+  const discount = requiredReturnDecimal !== null;
+  const cashFlows = [{
+    period: 0,
+    year: 0,
+    periodInYear: 0,
+    time: 0,
+    date: purchaseDate,
+    dividend: 0,
+    investment: -marketPrice,
+    growthRate: null,
+    totalCashFlow: -marketPrice,
+    cumulativeCashFlow: -marketPrice,
+    ...(discount ? { discountFactor: 1, presentValue: 0, cumulativePresentValue: 0 } : {})
+  }];
+  
+  let cumulativeTotal = -marketPrice;
+  let cumulativePV = 0;
+  let periodInYear = 0;
+  
+  paymentDates.forEach((date, index) => {
+    const year = holdingYear(purchaseDate, date);
+    periodInYear = year === cashFlows[index].year ? periodInYear + 1 : 1;
+    const payment = annualDividends[year - 1] / periodsPerYear;
+    const time = yearFraction(purchaseDate, date);
+    cumulativeTotal += payment;
+    
+    const row = {
+      period: index + 1,
+      year,
+      periodInYear,
+      time,
+      date,
+      dividend: payment,
+      growthRate: growthSchedule[year - 1] * 100,
+      investment: 0,
+      totalCashFlow: payment,
+      cumulativeCashFlow: cumulativeTotal
+    };
+    
+    if (discount) {
+      // PV = D × 1 / (1 + r)^t, t = days / 365
+      row.discountFactor = 1 / Math.pow(1 + requiredReturnDecimal, time);
+      row.presentValue = payment * row.discountFactor;
+      cumulativePV += row.presentValue;
+      row.cumulativePresentValue = cumulativePV;
+    }
+    
+    cashFlows.push(row);
+  });
+  
+  return cashFlows;
+}
+
+/**
+ * Calculate the required return from dated payments
+ * The model, growth and frequency inputs are as for calculateRequiredReturnMetrics,
+ * which is run first for the inputs and the annual-model r. Dividends beyond the last
+ * payment are valued as of that date: any instalments left in its year of holding,
+ * the rest of any high-growth period, then a Gordon terminal value.
+ *
+ * @param {Object} params - Input parameters from state (solveFor must be 'requiredReturn')
+ * @param {Object} schedule - Schedule settings
+ * @param {string} schedule.purchaseDate - Purchase date (YYYY-MM-DD)
+ * @param {string} schedule.entry - Key from SCHEDULE_ENTRIES
+ * @param {string} schedule.firstPaymentDate - First payment date (frequency entry)
+ * @param {string} schedule.paymentDates - Payment dates text (dates entry)
+ * @returns {Object} Calculations as from calculateRequiredReturnMetrics, with r, cash
+ *   flows and horizon value replaced and dated: { purchaseDate, annualReturn, payments }
+ */
+export function calculateDatedReturnMetrics(params, schedule) {
+  const annual = calculateRequiredReturnMetrics(params);
+  const { inputs, model, periodsPerYear, growthRateDecimal: gL } = annual;
+  const { highGrowthRate, highGrowthYears } = params;
+  const { purchaseDate } = schedule;
+  
+  const paymentDates = resolvePaymentDates(schedule, periodsPerYear, annual.years);
+  const lastDate = paymentDates[paymentDates.length - 1];
+  const years = holdingYear(purchaseDate, lastDate);
+  
+  // Dividends for every year of holding up to the first year of stable growth
+  const scheduleYears = Math.max(years, model === 'constant' ? 0 : highGrowthYears) + 1;
+  const growthSchedule = getGrowthSchedule({ model, growthRate: inputs.growthRate, highGrowthRate, highGrowthYears }, scheduleYears);
+  // With buybacks the payments are the total payout D + B
+  const currentPayout = inputs.currentDividend + (inputs.netBuyback || 0);
+  const annualDividends = [];
+  let dividend = currentPayout;
+  growthSchedule.forEach(rate => {
+    dividend *= 1 + rate;
+    annualDividends.push(dividend);
+  });
+  
+  // Instalments of the last year of holding that fall after the last listed date
+  const paidInLastYear = paymentDates.filter(date => holdingYear(purchaseDate, date) === years).length;
+  const unpaidInLastYear = Math.max(periodsPerYear - paidInLastYear, 0) / periodsPerYear * annualDividends[years - 1];
+  
+  // Value at the last payment of those instalments, the remaining high-growth
+  // dividends and the stable tail
+  const remaining = annualDividends.slice(years, -1);
+  const tailDividend = annualDividends[annualDividends.length - 1];
+  const terminalValue = r => (currentPayout === 0 ? 0 : unpaidInLastYear + presentValueOfDividends(remaining, tailDividend, r, gL));
+  
+  const unpriced = generateDatedCashFlows({
+    marketPrice: inputs.marketPrice,
+    annualDividends,
+    growthSchedule,
+    purchaseDate,
+    paymentDates,
+    periodsPerYear
+  });
+  const payments = unpriced.slice(1);
+  
+  // No dividends to discount: as in the annual model, r = g_L
+  const r = currentPayout === 0
+    ? gL
+    : solveDatedReturn(inputs.marketPrice, payments, terminalValue, gL);
+  
+  const projection = generateDatedCashFlows({
+    marketPrice: inputs.marketPrice,
+    annualDividends,
+    growthSchedule,
+    purchaseDate,
+    paymentDates,
+    periodsPerYear,
+    requiredReturnDecimal: r
+  });
+  const cashFlows = annual.totalPayout
+    ? splitTotalPayout(projection, inputs.currentDividend, inputs.netBuyback)
+    : projection;
+  const last = cashFlows[cashFlows.length - 1];
+  const horizonValue = {
+    year: years,
+    date: lastDate,
+    time: last.time,
+    terminalValue: terminalValue(r),
+    presentValue: terminalValue(r) / Math.pow(1 + r, last.time)
+  };
+  
+  return {
+    ...annual,
+    requiredReturn: r * 100,
+    requiredReturnDecimal: r,
+    isValid: r > 0 && gL < r,
+    years,
+    cashFlows,
+    horizonValue,
+    totalPresentValue: last.cumulativePresentValue + horizonValue.presentValue,
+    dated: {
+      purchaseDate,
+      annualReturn: annual.requiredReturn,
+      payments: payments.length
+    }
+  };
+}
@@ -0,0 +1,224 @@
+/**
+ * Permalink Module
+ * Encode calculator inputs, model settings and view mode in the URL query
+ */
+
+import { CURRENCIES, LOCALES } from './utils.js';
+
+/**
+ * URL parameter name for each state field
+ */
+const URL_PARAMS = {
+  marketPrice: { param: 'price', type: 'number' },
+  currentDividend: { param: 'dividend', type: 'number' },
+  growthRate: { param: 'growth', type: 'number' },
+  growthInput: { param: 'growthInput', type: 'enum', values: ['direct', 'sustainable'] },
+  roe: { param: 'roe', type: 'number' },
+  retentionBasis: { param: 'basis', type: 'enum', values: ['retention', 'payout', 'earnings'] },
+  retentionRatio: { param: 'retention', type: 'number' },
+  payoutRatio: { param: 'payoutRatio', type: 'number' },
+  eps: { param: 'eps', type: 'number' },
+  model: { param: 'model', type: 'enum', values: ['constant', 'twoStage', 'hModel'] },
+  highGrowthRate: { param: 'highGrowth', type: 'number' },
+  highGrowthYears: { param: 'highGrowthYears', type: 'number' },
+  solveFor: { param: 'solve', type: 'enum', values: ['requiredReturn', 'marketPrice', 'currentDividend', 'growthRate'] },
+  targetReturn: { param: 'return', type: 'number' },
+  projectionYears: { param: 'horizon', type: 'number' },
+  payoutFrequency: { param: 'payout', type: 'enum', values: ['annual', 'semiAnnual', 'quarterly'] },
+  currency: { param: 'currency', type: 'enum', values: Object.keys(CURRENCIES) },
+  locale: { param: 'locale', type: 'enum', values: Object.keys(LOCALES) },
+  viewMode: { param: 'view', type: 'enum', values: ['chart', 'table', 'sensitivity', 'simulation'] }
+};
+
+/**
+ * URL parameter name for each key of the nested settings objects
+ * Flags are linked only when on, and keys with `when` only while that flag is on.
+ */
+const SETTINGS_PARAMS = {
+  totalPayout: {
+    enabled: { param: 'totalPayout', type: 'flag' },
+    basis: { param: 'buybackBasis', type: 'enum', values: ['perShare', 'yield'], when: 'enabled' },
+    buybacks: { param: 'buybacks', type: 'number', when: 'enabled' },
+    issuance: { param: 'issuance', type: 'number', when: 'enabled' }
+  },
+  paymentSchedule: {
+    dated: { param: 'dated', type: 'flag' },
+    purchaseDate: { param: 'purchased', type: 'text', when: 'dated' },
+    entry: { param: 'dateEntry', type: 'enum', values: ['frequency', 'dates'], when: 'dated' },
+    firstPaymentDate: { param: 'firstPayment', type: 'text', when: 'dated' },
+    paymentDates: { param: 'paymentDates', type: 'text', when: 'dated' }
+  },
+  inflation: {
+    enabled: { param: 'inflation', type: 'flag' },
+    rate: { param: 'inflationRate', type: 'number', when: 'enabled' },
+    view: { param: 'cashFlows', type: 'enum', values: ['nominal', 'real'], when: 'enabled' }
+  },
+  tax: {
+    enabled: { param: 'tax', type: 'flag' },
+    dividendTaxRate: { param: 'dividendTax', type: 'number', when: 'enabled' },
+    capitalGainsTaxRate: { param: 'gainsTax', type: 'number', when: 'enabled' }
+  },
+  crossCheck: {
+    capmEnabled: { param: 'capm', type: 'flag' },
+    riskFreeRate: { param: 'riskFree', type: 'number', when: 'capmEnabled' },
+    beta: { param: 'beta', type: 'number', when: 'capmEnabled' },
+    equityRiskPremium: { param: 'erp', type: 'number', when: 'capmEnabled' },
+    bondYieldEnabled: { param: 'bondYieldCheck', type: 'flag' },
+    bondYield: { param: 'bondYield', type: 'number', when: 'bondYieldEnabled' },
+    bondRiskPremium: { param: 'bondPremium', type: 'number', when: 'bondYieldEnabled' }
+  },
+  sensitivity: {
+    growthSpread: { param: 'gridGrowthSpread', type: 'number' },
+    growthStep: { param: 'gridGrowthStep', type: 'number' },
+    priceSpread: { param: 'gridPriceSpread', type: 'number' },
+    priceStep: { param: 'gridPriceStep', type: 'number' },
+    hurdleRate: { param: 'hurdle', type: 'number' }
+  }
+};
+
+/**
+ * State fields a permalink carries, to subscribe the URL to only those
+ */
+export const PERMALINK_FIELDS = [...Object.keys(URL_PARAMS), ...Object.keys(SETTINGS_PARAMS)];
+
+/**
+ * Write one value to the query, skipping values that cannot be linked
+ * @param {URLSearchParams} params - Query being built
+ * @param {string} param - Parameter name
+ * @param {string} type - 'number', 'enum', 'text' or 'flag'
+ * @param {*} value - Value to write
+ */
+function setParam(params, param, type, value) {
+  if (type === 'number' && !Number.isFinite(value)) return;
+  if (type === 'text' && value === '') return;
+  if (type === 'flag') {
+    if (value === true) params.set(param, '1');
+    return;
+  }
+  if (value === undefined || value === null) return;
+  params.set(param, String(value));
+}
+
+/**
+ * Read one value from the query
+ * @param {string} raw - Parameter value
+ * @param {Object} spec - { type, values } from URL_PARAMS or SETTINGS_PARAMS
+ * @returns {*} Parsed value, or undefined for an unknown enum value
+ */
+function readParam(raw, { type, values }) {
+  if (type === 'number') {
+    return raw.trim() === '' ? NaN : Number(raw);
+  }
+  if (type === 'flag') {
+    return raw === '1';
+  }
+  if (type === 'text') {
+    return raw;
+  }
+  return values.includes(raw) ? raw : undefined;
+}
+
+/**
+ * Serialize the linkable state fields to a query string
+ * @param {Object} source - State-like object
+ * @returns {string} Query string without the leading '?'
+ */
+export function serializePermalink(source) {
+  const params = new URLSearchParams();
+  
+  Object.entries(URL_PARAMS).forEach(([field, { param, type }]) => {
+    setParam(params, param, type, source[field]);
+  });
+  
+  Object.entries(SETTINGS_PARAMS).forEach(([field, keys]) => {
+    const settings = source[field];
+    if (!settings) return;
+    Object.entries(keys).forEach(([key, { param, type, when }]) => {
+      if (when && !settings[when]) return;
+      setParam(params, param, type, settings[key]);
+    });
+  });
+  
+  return params.toString();
+}
+
+/**
+ * Parse linkable state fields from a query string
+ * Numbers are returned as parsed (range checks are left to validateAllInputs);
+ * unknown enum values are dropped. Nested settings come back as partial
+ * objects (only the keys in the link), to be merged over the current settings.
+ *
+ * @param {string} search - Query string, with or without the leading '?'
+ * @returns {Object} Partial state
+ */
+export function parsePermalink(search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  
+  Object.entries(URL_PARAMS).forEach(([field, spec]) => {
+    if (!params.has(spec.param)) return;
+    const value = readParam(params.get(spec.param), spec);
+    if (value !== undefined) values[field] = value;
+  });
+  
+  Object.entries(SETTINGS_PARAMS).forEach(([field, keys]) => {
+    const settings = {};
+    Object.entries(keys).forEach(([key, spec]) => {
+      if (!params.has(spec.param)) return;
+      const value = readParam(params.get(spec.param), spec);
+      if (value !== undefined) settings[key] = value;
+    });
+    if (Object.keys(settings).length > 0) values[field] = settings;
+  });
+  
+  return values;
+}
+
+/**
+ * Overlay parsed link values on a state-like object
+ * Nested settings are merged key by key, so a link that leaves a key out keeps its value.
+ * @param {Object} source - State-like object
+ * @param {Object} values - Output of parsePermalink
+ * @returns {Object} Merged values
+ */
+export function mergePermalink(source, values) {
+  const merged = { ...source, ...values };
+  Object.keys(SETTINGS_PARAMS).forEach(field => {
+    if (values[field]) merged[field] = { ...source[field], ...values[field] };
+  });
+  return merged;
+}
+
+/**
+ * Read linked state from the current page URL
+ * @returns {Object} Partial state (empty if the URL has no parameters)
+ */
+export function readPermalink() {
+  return parsePermalink(window.location.search);
+}
+
+/**
+ * Build the full shareable URL for a state
+ * @param {Object} source - State-like object
+ * @returns {string} Absolute URL
+ */
+export function buildPermalink(source) {
+  const url = new URL(window.location.href);
+  url.search = serializePermalink(source);
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Replace the current URL's query with the state's (no new history entry)
+ * The hash is kept so skip-link anchors keep working.
+ *
+ * @param {Object} source - State-like object
+ */
+export function writePermalink(source) {
+  const url = new URL(window.location.href);
+  url.search = serializePermalink(source);
+  if (url.toString() !== window.location.href) {
+    window.history.replaceState(null, '', url.toString());
+  }
+}
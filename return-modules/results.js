@@ -1,7 +1,7 @@
-import { formatCurrency, formatPercentage, createElement } from './utils.js';
+import { formatCurrency, formatPercentage, formatNumber, formatDate, createElement, escapeHTML } from './utils.js';
+import { MODELS } from './calculations.js';
 
-export function renderResults(calculations, params) {
-  const container = document.getElementById('results-content');
+export function renderResults(calculations, params, comparisons = [], crossChecks = [], container = document.getElementById('results-content')) {
   if (!container) {
     console.error('Results container not found');
     return;
@@ -13,26 +13,66 @@ export function renderResults(calculations, params) {
   
   const infoBox = createModelInfoBox(calculations, params);
   container.appendChild(infoBox);
+  
+  if (crossChecks.length > 0) {
+    container.appendChild(createCrossCheckBox(crossChecks, calculations));
+  }
+  
+  if (comparisons.length > 0) {
+    container.appendChild(createScenarioComparisonBox(comparisons));
+  }
 }
 
+const SOLVED_VALUE_DISPLAY = {
+  marketPrice: {
+    title: 'Implied Market Price',
+    description: 'The price consistent with r and g',
+    formula: 'Formula: P₀ = D₁ / (r − g)',
+    format: (calculations) => formatCurrency(calculations.inputs.marketPrice)
+  },
+  currentDividend: {
+    title: 'Implied Current Dividend',
+    description: 'The dividend consistent with P₀, r and g',
+    formula: 'Formula: D₀ = P₀ × (r − g) / (1 + g)',
+    format: (calculations) => formatCurrency(calculations.inputs.currentDividend)
+  },
+  growthRate: {
+    title: 'Implied Growth Rate',
+    description: 'The growth the market is pricing in',
+    formula: 'Formula: g = (P₀ × r − D₀) / (P₀ + D₀)',
+    format: (calculations) => formatPercentage(calculations.inputs.growthRate)
+  }
+};
+
 function createRequiredReturnBox(calculations) {
+  const solved = SOLVED_VALUE_DISPLAY[calculations.solveFor];
+  
   const box = createElement('div', { className: 'result-box required-return' });
-  const title = createElement('h5', { className: 'result-title required-return' }, 'Required Return');
+  const title = createElement('h5', { className: 'result-title required-return' }, solved ? solved.title : 'Required Return');
   box.appendChild(title);
   
   const valueContainer = createElement('div', { className: 'result-value' });
   const returnValue = createElement('div', {
     'aria-live': 'polite',
     'aria-atomic': 'true'
-  }, formatPercentage(calculations.requiredReturn));
+  }, solved ? solved.format(calculations) : formatPercentage(calculations.requiredReturn));
   valueContainer.appendChild(returnValue);
   box.appendChild(valueContainer);
   
-  const description = createElement('div', { className: 'result-description' }, 'The return investors demand');
+  const description = createElement('div', { className: 'result-description' }, solved ? solved.description : 'The return investors demand');
   box.appendChild(description);
   
   const info = createElement('div', { className: 'result-secondary', style: 'margin-top: 0.5rem;' });
-  info.innerHTML = `Formula: r = (D₁ / P₀) + g<br><small>Next dividend (D₁): ${formatCurrency(calculations.d1)}</small>`;
+  let formula = calculations.totalPayout ? 'Formula: r = (D₁ + B₁) / P₀ + g' : 'Formula: r = (D₁ / P₀) + g';
+  if (solved) {
+    formula = solved.formula;
+  } else if (calculations.dated) {
+    formula = 'Solved from dated payments: P₀ = Σ D<sub>i</sub> / (1 + r)<sup>t<sub>i</sub></sup> + TV / (1 + r)<sup>t<sub>n</sub></sup>, t = days / 365';
+  } else if (calculations.model !== 'constant') {
+    formula = 'Solved from: P₀ = Σ D<sub>t</sub> / (1 + r)<sup>t</sup> + [D<sub>N+1</sub> / (r − g<sub>L</sub>)] / (1 + r)<sup>N</sup>';
+  }
+  const buyback = calculations.totalPayout ? `, net buybacks (B₁): ${formatCurrency(calculations.totalPayout.b1)}` : '';
+  info.innerHTML = `${formula}<br><small>Next dividend (D₁): ${formatCurrency(calculations.d1)}${buyback}</small>`;
   box.appendChild(info);
   
   return box;
@@ -40,18 +80,51 @@ function createRequiredReturnBox(calculations) {
 
 function createModelInfoBox(calculations, params) {
   const box = createElement('div', { className: 'result-box model-info' });
-  const title = createElement('h5', { className: 'result-title model-info' }, 'Gordon Growth Model');
+  const title = createElement('h5', { className: 'result-title model-info' }, MODELS[calculations.model]);
   box.appendChild(title);
   
   const content = createElement('div', { className: 'analysis-content', 'role': 'region', 'aria-labelledby': 'model-info-heading' });
   title.id = 'model-info-heading';
   
   const list = createElement('ul', { className: 'model-info-list' });
-  const items = [
-    { label: 'Dividend yield', value: formatPercentage(calculations.dividendYield) },
-    { label: 'Growth rate', value: formatPercentage(params.growthRate) },
-    { label: 'Required return', value: formatPercentage(calculations.requiredReturn) }
-  ];
+  const items = calculations.model === 'constant'
+    ? [
+      { label: 'Dividend yield', value: formatPercentage(calculations.dividendYield) },
+      { label: 'Growth rate', value: formatPercentage(params.growthRate) },
+      { label: 'Required return', value: formatPercentage(calculations.requiredReturn) }
+    ]
+    : [
+      { label: 'Dividend yield', value: formatPercentage(calculations.dividendYield) },
+      {
+        label: calculations.model === 'hModel' ? 'Initial growth rate' : 'High growth rate',
+        value: `${formatPercentage(params.highGrowthRate)} ${calculations.model === 'hModel' ? 'declining over' : 'for'} ${params.highGrowthYears} years`
+      },
+      { label: 'Stable growth rate', value: formatPercentage(params.growthRate) },
+      { label: 'Required return', value: formatPercentage(calculations.requiredReturn) }
+    ];
+  
+  const { sustainableGrowth, dated, cashFlows, totalPayout } = calculations;
+  if (totalPayout) {
+    items.splice(1, 0,
+      { label: 'Net buyback yield', value: formatPercentage(totalPayout.buybackYield) },
+      { label: 'Total shareholder yield', value: formatPercentage(totalPayout.totalYield) }
+    );
+  }
+  
+  if (dated) {
+    items.splice(items.length - 1, 0, {
+      label: 'Dated payments',
+      value: `${dated.payments} ${dated.payments === 1 ? 'payment' : 'payments'} from ${formatDate(cashFlows[1].date)} to ${formatDate(cashFlows[cashFlows.length - 1].date)} after buying on ${formatDate(dated.purchaseDate)}. ` +
+        `With annual year-end payments r would be ${formatPercentage(dated.annualReturn)}`
+    });
+  }
+  
+  if (sustainableGrowth) {
+    items.splice(1, 0, {
+      label: 'Sustainable growth',
+      value: `b × ROE = ${formatPercentage(sustainableGrowth.retentionRatio)} × ${formatPercentage(sustainableGrowth.roe)} = ${formatPercentage(sustainableGrowth.growthRate)}`
+    });
+  }
   
   items.forEach(item => {
     const li = createElement('li');
@@ -60,6 +133,240 @@ function createModelInfoBox(calculations, params) {
   });
   
   content.appendChild(list);
+  
+  const negativeGrowth = explainNegativeGrowth(calculations, params);
+  if (negativeGrowth) {
+    const note = createElement('p', { className: 'model-info-note' });
+    note.innerHTML = `<strong>Negative growth:</strong> ${negativeGrowth}`;
+    content.appendChild(note);
+  }
+  
   box.appendChild(content);
   return box;
-}
\ No newline at end of file
+}
+
+/**
+ * Explain what shrinking dividends mean for D₁ and the required return
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @param {Object} params - Model settings (highGrowthYears)
+ * @returns {string|null} Explanation, or null when no growth rate is negative
+ */
+function explainNegativeGrowth(calculations, params) {
+  const { model, inputs, d1, dividendYield, requiredReturn, totalPayout } = calculations;
+  const d0 = formatCurrency(inputs.currentDividend);
+  
+  if (model === 'constant') {
+    if (!(inputs.growthRate < 0)) return null;
+    const decline = formatPercentage(-inputs.growthRate);
+    const yieldName = totalPayout ? 'total shareholder yield' : 'dividend yield';
+    return `Dividends shrink ${decline} a year, so D₁ = D₀ × (1 − ${decline}) = ${formatCurrency(d1)} is below D₀ = ${d0}. ` +
+      `The ${yieldName} has to make up for the decline, so r = ${formatPercentage(totalPayout ? totalPayout.totalYield : dividendYield)} − ${decline} = ${formatPercentage(requiredReturn)} is below the yield.`;
+  }
+  
+  const sentences = [];
+  if (d1 < inputs.currentDividend) {
+    sentences.push(`D₁ = ${formatCurrency(d1)} is below D₀ = ${d0} because growth in the first year is negative.`);
+  }
+  if (inputs.growthRate < 0) {
+    const decline = formatPercentage(-inputs.growthRate);
+    sentences.push(`After year ${params.highGrowthYears} dividends shrink ${decline} a year forever, so the terminal value is ` +
+      `D<sub>N+1</sub> / (r + ${decline}) and in the long run r is the dividend yield less the decline.`);
+  }
+  return sentences.length > 0 ? sentences.join(' ') : null;
+}
+
+function createScenarioComparisonBox(comparisons) {
+  const box = createElement('div', { className: 'result-box scenario-comparison' });
+  const title = createElement('h5', { className: 'result-title scenario-comparison', id: 'scenario-comparison-heading' }, 'Scenario Comparison');
+  box.appendChild(title);
+  
+  const rows = comparisons.map(({ name, color, calculations }) => {
+    const nameCell = `<th scope="row" class="text-left"><span class="legend-color" style="background-color: ${color};"></span> ${escapeHTML(name)}</th>`;
+    if (!calculations) {
+      return `<tr>${nameCell}<td class="text-right" colspan="3">Could not be calculated</td></tr>`;
+    }
+    return `<tr>
+        ${nameCell}
+        <td class="text-right">${formatPercentage(calculations.requiredReturn)}</td>
+        <td class="text-right">${formatCurrency(calculations.d1)}</td>
+        <td class="text-right">${formatPercentage(calculations.dividendYield)}</td>
+      </tr>`;
+  }).join('');
+  
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  wrapper.innerHTML = `
+    <table class="data-table" aria-labelledby="scenario-comparison-heading">
+      <thead>
+        <tr>
+          <th scope="col" class="text-left">Scenario</th>
+          <th scope="col" class="text-right">Required Return <span style="color: #3c6ae5;">(r)</span></th>
+          <th scope="col" class="text-right">Next Dividend <span style="color: #15803d;">(D₁)</span></th>
+          <th scope="col" class="text-right">Dividend Yield</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  box.appendChild(wrapper);
+  
+  return box;
+}
+
+const CROSS_CHECK_FORMULAS = {
+  capm: ({ riskFreeRate, beta, equityRiskPremium }) =>
+    `R<sub>F</sub> + β × ERP = ${formatPercentage(riskFreeRate)} + ${formatNumber(beta)} × ${formatPercentage(equityRiskPremium)}`,
+  bondYield: ({ bondYield, bondRiskPremium }) =>
+    `Bond yield + premium = ${formatPercentage(bondYield)} + ${formatPercentage(bondRiskPremium)}`
+};
+
+function formatSpread(spread) {
+  const rounded = Math.abs(spread) < 0.005 ? 0 : spread;
+  return `${rounded > 0 ? '+' : rounded < 0 ? '−' : ''}${formatNumber(Math.abs(rounded))} pp`;
+}
+
+function createCrossCheckBox(crossChecks, calculations) {
+  const box = createElement('div', { className: 'result-box cross-check' });
+  const title = createElement('h5', { className: 'result-title cross-check', id: 'cross-check-heading-results' }, 'Cost of Equity Cross-Check');
+  box.appendChild(title);
+  
+  const ddmReturn = formatPercentage(calculations.requiredReturn);
+  const rows = crossChecks.map(({ key, label, inputs, value, spread }) => {
+    const comparison = Math.abs(spread) < 0.005 ? 'matches' : spread > 0 ? 'is above' : 'is below';
+    return `<tr>
+        <th scope="row" class="text-left">${label}<br><small>${CROSS_CHECK_FORMULAS[key](inputs)}</small></th>
+        <td class="text-right">${formatPercentage(value)}</td>
+        <td class="text-right">${formatSpread(spread)}<span class="sr-only">, DDM r ${comparison} this estimate</span></td>
+      </tr>`;
+  }).join('');
+  
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  wrapper.innerHTML = `
+    <table class="data-table" aria-labelledby="cross-check-heading-results">
+      <thead>
+        <tr>
+          <th scope="col" class="text-left">Method</th>
+          <th scope="col" class="text-right">Cost of Equity</th>
+          <th scope="col" class="text-right">Spread <span style="color: #3c6ae5;">(DDM r − estimate)</span></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  box.appendChild(wrapper);
+  
+  const note = createElement('div', { className: 'result-secondary', style: 'margin-top: 0.5rem;' });
+  note.innerHTML = `DDM-implied r: ${ddmReturn}. A positive spread means the price implies a higher return than the benchmark requires.`;
+  box.appendChild(note);
+  
+  return box;
+}
+
+/**
+ * Note the economic sanity warnings under the required return
+ * Call after renderResults, which rebuilds the boxes.
+ * @param {Array<Object>} warnings - Output of validateAssumptions
+ * @param {Element} container - Results container (default the page's)
+ */
+export function annotateResultWarnings(warnings, container = document.getElementById('results-content')) {
+  const box = container && container.querySelector('.result-box.required-return');
+  if (!box) return;
+  
+  const existing = box.querySelector('.result-warning');
+  if (existing) existing.remove();
+  if (warnings.length === 0) return;
+  
+  const note = createElement('div', { className: 'result-warning', role: 'note' });
+  note.innerHTML = `<strong>Check:</strong> ${warnings.map(warning => warning.label).join(' · ')}<span class="sr-only">. Details are listed below the calculator inputs.</span>`;
+  box.appendChild(note);
+}
+
+/**
+ * Show the nominal and real required return and growth below the required return
+ * Call after renderResults, which rebuilds the boxes.
+ * @param {Object|null} realReturn - Output of calculateRealReturn (null removes the box)
+ * @param {Element} container - Results container (default the page's)
+ */
+export function annotateRealReturn(realReturn, container = document.getElementById('results-content')) {
+  const box = container && container.querySelector('.result-box.required-return');
+  if (!box) return;
+  
+  const existing = container.querySelector('.result-box.real-return');
+  if (existing) existing.remove();
+  if (!realReturn) return;
+  
+  const { inflationRate, nominalReturn, realReturn: realR, nominalGrowth, realGrowth } = realReturn;
+  const realBox = createElement('div', { className: 'result-box real-return' });
+  realBox.appendChild(createElement('h5', { className: 'result-title real-return', id: 'real-return-heading' }, 'Nominal and Real Return'));
+  
+  const wrapper = createElement('div', { className: 'table-wrapper' });
+  wrapper.innerHTML = `
+    <table class="data-table" aria-labelledby="real-return-heading">
+      <thead>
+        <tr>
+          <th scope="col" class="text-left"><span class="sr-only">Rate</span></th>
+          <th scope="col" class="text-right">Nominal</th>
+          <th scope="col" class="text-right">Real</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <th scope="row" class="text-left">Required return <span style="color: #3c6ae5;">(r)</span></th>
+          <td class="text-right">${formatPercentage(nominalReturn)}</td>
+          <td class="text-right">${formatPercentage(realR)}</td>
+        </tr>
+        <tr>
+          <th scope="row" class="text-left">Growth <span style="color: #15803d;">(g)</span></th>
+          <td class="text-right">${formatPercentage(nominalGrowth)}</td>
+          <td class="text-right">${formatPercentage(realGrowth)}</td>
+        </tr>
+      </tbody>
+    </table>`;
+  realBox.appendChild(wrapper);
+  
+  const note = createElement('div', { className: 'result-secondary', style: 'margin-top: 0.5rem;' });
+  note.innerHTML = `Fisher: (1 + r) = (1 + r<sub>real</sub>) × (1 + π), with expected inflation π = ${formatPercentage(inflationRate)}.`;
+  realBox.appendChild(note);
+  
+  box.after(realBox);
+}
+
+/**
+ * Show pre-tax and after-tax r cards below the required return (and real return)
+ * Call after renderResults, which rebuilds the boxes.
+ * @param {Object|null} afterTaxReturn - Output of calculateAfterTaxReturn (null removes the cards)
+ * @param {Element} container - Results container (default the page's)
+ */
+export function annotateAfterTaxReturn(afterTaxReturn, container = document.getElementById('results-content')) {
+  const box = container && (container.querySelector('.result-box.real-return') || container.querySelector('.result-box.required-return'));
+  if (!box) return;
+  
+  const existing = container.querySelector('.after-tax-results');
+  if (existing) existing.remove();
+  if (!afterTaxReturn) return;
+  
+  const { dividendTaxRate, capitalGainsTaxRate, preTax, afterTax, taxDrag } = afterTaxReturn;
+  const cards = createElement('div', { className: 'after-tax-results' });
+  
+  cards.appendChild(createTaxCard('pre-tax-return', 'Pre-Tax Return', preTax.requiredReturn, 'Before dividend and capital gains taxes',
+    `Dividend yield ${formatPercentage(preTax.dividendYield)} + capital gain ${formatPercentage(preTax.capitalGain)}`));
+  cards.appendChild(createTaxCard('after-tax-return', 'After-Tax Return', afterTax.requiredReturn, 'What the investor keeps after taxes',
+    `${formatPercentage(preTax.dividendYield)} × (1 − ${formatPercentage(dividendTaxRate)}) + ${formatPercentage(preTax.capitalGain)} × (1 − ${formatPercentage(capitalGainsTaxRate)})` +
+    ` = ${formatPercentage(afterTax.dividendYield)} + ${formatPercentage(afterTax.capitalGain)}<br><small>Tax drag: ${formatNumber(taxDrag)} pp</small>`));
+  
+  box.after(cards);
+}
+
+function createTaxCard(className, title, value, description, formula) {
+  const card = createElement('div', { className: `result-box ${className}` });
+  card.appendChild(createElement('h5', { className: `result-title ${className}` }, title));
+  
+  const valueContainer = createElement('div', { className: 'result-value' });
+  valueContainer.appendChild(createElement('div', {}, formatPercentage(value)));
+  card.appendChild(valueContainer);
+  
+  card.appendChild(createElement('div', { className: 'result-description' }, description));
+  
+  const info = createElement('div', { className: 'result-secondary', style: 'margin-top: 0.5rem;' });
+  info.innerHTML = formula;
+  card.appendChild(info);
+  
+  return card;
+}
@@ -0,0 +1,160 @@
+/**
+ * Scenarios Module
+ * Named input scenarios persisted in localStorage
+ */
+
+import { calculateRequiredReturnMetrics } from './calculations.js';
+
+const STORAGE_KEY = 'required-return-scenarios';
+
+/**
+ * State fields that make up a scenario
+ */
+export const SCENARIO_FIELDS = [
+  'marketPrice',
+  'currentDividend',
+  'growthRate',
+  'growthInput',
+  'roe',
+  'retentionBasis',
+  'retentionRatio',
+  'payoutRatio',
+  'eps',
+  'model',
+  'highGrowthRate',
+  'highGrowthYears',
+  'solveFor',
+  'targetReturn',
+  'projectionYears',
+  'payoutFrequency',
+  'paymentSchedule',
+  'inflation',
+  'tax',
+  'totalPayout'
+];
+
+/**
+ * Line colours for overlaid scenarios (cycled)
+ */
+export const SCENARIO_COLORS = ['#7a46ff', '#0079a6', '#b82937', '#50037f', '#047857', '#a84f15'];
+
+/**
+ * Copy the scenario fields out of a state-like object
+ * @param {Object} source - Object holding the input values
+ * @returns {Object} Scenario inputs
+ */
+export function captureScenarioInputs(source) {
+  const inputs = {};
+  SCENARIO_FIELDS.forEach(field => {
+    inputs[field] = source[field];
+  });
+  return inputs;
+}
+
+/**
+ * Make restored inputs agree with the solve-for selector
+ * Only the constant-growth model has the rearranged formulas, and total payout
+ * and dated payments only solve for r (switchModel and updateSolveForAvailability
+ * keep the controls to this). A multi-stage model solves for r; otherwise, solving
+ * for another unknown turns total payout and dated payments off.
+ *
+ * @param {Object} inputs - Scenario inputs (see SCENARIO_FIELDS)
+ * @returns {Object} Consistent scenario inputs
+ */
+export function resolveSolveFor(inputs) {
+  const solveFor = inputs.model === 'constant' ? inputs.solveFor : 'requiredReturn';
+  if (solveFor === 'requiredReturn') return { ...inputs, solveFor };
+  
+  return {
+    ...inputs,
+    totalPayout: { ...inputs.totalPayout, enabled: false },
+    paymentSchedule: { ...inputs.paymentSchedule, dated: false }
+  };
+}
+
+/**
+ * Read saved scenarios from localStorage
+ * @returns {Array<Object>} Scenarios as { name, inputs }
+ */
+export function loadScenarios() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!Array.isArray(saved)) return [];
+    return saved.filter(scenario => scenario && typeof scenario.name === 'string' && scenario.inputs);
+  } catch (error) {
+    console.warn('Could not read saved scenarios:', error);
+    return [];
+  }
+}
+
+/**
+ * Write scenarios to localStorage
+ * @param {Array<Object>} scenarios - Scenarios as { name, inputs }
+ * @returns {boolean} True if saved
+ */
+export function saveScenarios(scenarios) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(scenarios));
+    return true;
+  } catch (error) {
+    console.warn('Could not save scenarios:', error);
+    return false;
+  }
+}
+
+/**
+ * Add a scenario, replacing any existing scenario with the same name
+ * @param {Array<Object>} scenarios - Current scenarios
+ * @param {string} name - Scenario name
+ * @param {Object} inputs - Scenario inputs
+ * @returns {Array<Object>} Updated scenarios
+ */
+export function upsertScenario(scenarios, name, inputs) {
+  const existing = scenarios.findIndex(scenario => scenario.name === name);
+  const scenario = { name, inputs };
+  
+  if (existing === -1) {
+    return [...scenarios, scenario];
+  }
+  return scenarios.map((item, index) => index === existing ? scenario : item);
+}
+
+/**
+ * Remove a scenario by name
+ * @param {Array<Object>} scenarios - Current scenarios
+ * @param {string} name - Scenario name
+ * @returns {Array<Object>} Updated scenarios
+ */
+export function removeScenario(scenarios, name) {
+  return scenarios.filter(scenario => scenario.name !== name);
+}
+
+/**
+ * Calculate every scenario for the comparison view
+ * Scenarios that fail to calculate are returned with calculations set to null.
+ * Overlays are projected on the current timeline so their periods line up.
+ *
+ * @param {Array<Object>} scenarios - Scenarios as { name, inputs }
+ * @param {Object} timeline - Current projectionYears and payoutFrequency
+ * @returns {Array<Object>} { name, color, calculations }
+ */
+export function buildScenarioComparisons(scenarios, { projectionYears, payoutFrequency } = {}) {
+  return scenarios.map((scenario, index) => {
+    let calculations = null;
+    try {
+      calculations = calculateRequiredReturnMetrics({
+        ...scenario.inputs,
+        ...(projectionYears !== undefined ? { projectionYears } : {}),
+        ...(payoutFrequency !== undefined ? { payoutFrequency } : {})
+      });
+    } catch (error) {
+      console.warn(`Scenario "${scenario.name}" could not be calculated:`, error);
+    }
+    
+    return {
+      name: scenario.name,
+      color: SCENARIO_COLORS[index % SCENARIO_COLORS.length],
+      calculations
+    };
+  });
+}
@@ -0,0 +1,80 @@
+/**
+ * Sensitivity Module
+ * Grid of required returns across growth rates and market prices, marked
+ * against a hurdle rate
+ */
+
+import { $, formatCurrency, formatPercentage } from './utils.js';
+
+// Axis label colors
+const COLORS = {
+  growth: '#15803d',      // Green - matches --color-return-growth
+  price: '#b95b1d'        // Orange - matches --color-return-negative
+};
+
+/**
+ * Render the sensitivity grid as a heat map of required returns
+ * Cells at or above the hurdle rate are marked as meeting it; the base case
+ * (current g and P₀) is outlined.
+ *
+ * @param {Object} grid - Output of generateSensitivityGrid
+ *   ({ prices, rows: [{ growthRate, requiredReturns }], baseRow, baseColumn })
+ * @param {number} hurdleRate - Hurdle rate (as percentage)
+ */
+export function renderSensitivityTable(grid, hurdleRate) {
+  const table = $('#sensitivity-table');
+  if (!table) {
+    console.error('Sensitivity table element not found');
+    return;
+  }
+
+  const { prices, rows, baseRow, baseColumn } = grid;
+
+  let html = `
+    <caption class="sr-only">
+      Required return sensitivity. Rows show growth rate, columns show market price, and each cell shows
+      the required return. Cells are marked as meeting or falling below the hurdle rate of ${formatPercentage(hurdleRate)}.
+      The base case is marked.
+    </caption>
+    <thead>
+      <tr>
+        <th scope="col" class="text-left">Growth <span style="color: ${COLORS.growth};">(g)</span> \\ Price <span style="color: ${COLORS.price};">(P₀)</span></th>`;
+
+  prices.forEach((price, column) => {
+    html += `
+        <th scope="col" class="text-right${column === baseColumn ? ' sensitivity-base' : ''}">${formatCurrency(price)}</th>`;
+  });
+
+  html += `
+      </tr>
+    </thead>
+    <tbody>`;
+
+  rows.forEach((row, rowIndex) => {
+    html += `
+      <tr>
+        <th scope="row" class="text-left${rowIndex === baseRow ? ' sensitivity-base' : ''}">${formatPercentage(row.growthRate)}</th>`;
+
+    row.requiredReturns.forEach((requiredReturn, column) => {
+      const meetsHurdle = requiredReturn >= hurdleRate;
+      const isBase = rowIndex === baseRow && column === baseColumn;
+      const classes = [
+        'text-right',
+        meetsHurdle ? 'sensitivity-meets' : 'sensitivity-below',
+        isBase ? 'sensitivity-base-cell' : ''
+      ].filter(Boolean).join(' ');
+      const tooltip = `g = ${formatPercentage(row.growthRate)}, P₀ = ${formatCurrency(prices[column])}` +
+        (isBase ? ' (base case)' : '');
+
+      html += `
+        <td class="${classes}" data-tooltip="${tooltip}" tabindex="0">${formatPercentage(requiredReturn)}<span class="sr-only">, ${meetsHurdle ? 'meets' : 'below'} hurdle${isBase ? ', base case' : ''}</span></td>`;
+    });
+
+    html += `
+      </tr>`;
+  });
+
+  html += `</tbody>`;
+  table.innerHTML = html;
+  table.setAttribute('aria-label', `Required return sensitivity grid against a hurdle rate of ${formatPercentage(hurdleRate)}`);
+}
@@ -0,0 +1,166 @@
+/**
+ * Monte Carlo Simulation Module
+ * Seeded random draws of the model inputs through calculateRequiredReturn
+ */
+
+import { calculateRequiredReturn } from './calculations.js';
+
+/**
+ * Supported input distributions
+ */
+export const DISTRIBUTIONS = {
+  fixed: 'Fixed',
+  normal: 'Normal',
+  triangular: 'Triangular',
+  uniform: 'Uniform'
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence, so runs are reproducible.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw one value from a distribution centred on the base input
+ * - normal: mean = base, standard deviation = stdDev (Box-Muller)
+ * - triangular: min, mode = base, max (inverse CDF)
+ * - uniform: min to max
+ *
+ * @param {Object} spec - Distribution settings
+ * @param {string} spec.distribution - Key from DISTRIBUTIONS
+ * @param {number} spec.stdDev - Standard deviation (normal)
+ * @param {number} spec.min - Lower bound (triangular, uniform)
+ * @param {number} spec.max - Upper bound (triangular, uniform)
+ * @param {number} base - Base (mean or mode) value
+ * @param {Function} random - Uniform generator from createRandom
+ * @returns {number} Sampled value
+ */
+export function sampleDistribution({ distribution, stdDev, min, max }, base, random) {
+  switch (distribution) {
+    case 'normal': {
+      const u1 = 1 - random();
+      const u2 = random();
+      const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      return base + z * stdDev;
+    }
+    case 'triangular': {
+      const u = random();
+      const split = (base - min) / (max - min);
+      return u < split
+        ? min + Math.sqrt(u * (max - min) * (base - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - base));
+    }
+    case 'uniform':
+      return min + random() * (max - min);
+    default:
+      return base;
+  }
+}
+
+/**
+ * Percentile of a sorted array with linear interpolation
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile (0 to 100)
+ * @returns {number} Percentile value
+ */
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  const position = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Group values into equal-width bins
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} binCount - Number of bins
+ * @returns {Array<Object>} Bins with { start, end, count }
+ */
+export function buildHistogram(sorted, binCount = 30) {
+  if (sorted.length === 0) return [];
+  
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    start: min + i * width,
+    end: min + (i + 1) * width,
+    count: 0
+  }));
+  
+  sorted.forEach(value => {
+    const index = Math.min(Math.floor((value - min) / width), binCount - 1);
+    bins[index].count++;
+  });
+  
+  return bins;
+}
+
+/**
+ * Run a seeded Monte Carlo simulation of the required return
+ * Draws with a non-positive price or negative dividend are discarded.
+ *
+ * @param {Object} params - Base case inputs (as for calculateRequiredReturn)
+ * @param {Object} settings - Simulation settings
+ * @param {Object} settings.growth - Distribution for g (percentage points)
+ * @param {Object} settings.dividend - Distribution for D₀
+ * @param {Object} settings.price - Distribution for P₀
+ * @param {number} settings.draws - Number of draws
+ * @param {number} settings.seed - Integer seed
+ * @returns {Object} Simulation summary
+ */
+export function runMonteCarlo(params, { growth, dividend, price, draws, seed }) {
+  const random = createRandom(seed);
+  const returns = [];
+  let discarded = 0;
+  
+  for (let i = 0; i < draws; i++) {
+    const growthRate = sampleDistribution(growth, params.growthRate, random);
+    const currentDividend = sampleDistribution(dividend, params.currentDividend, random);
+    const marketPrice = sampleDistribution(price, params.marketPrice, random);
+    
+    if (marketPrice <= 0 || currentDividend < 0) {
+      discarded++;
+      continue;
+    }
+    
+    const { requiredReturn } = calculateRequiredReturn({
+      ...params,
+      marketPrice,
+      currentDividend,
+      growthRate
+    });
+    returns.push(requiredReturn);
+  }
+  
+  const sorted = returns.sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  
+  return {
+    draws,
+    seed,
+    discarded,
+    completed: sorted.length,
+    mean,
+    p5: percentile(sorted, 5),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    histogram: buildHistogram(sorted)
+  };
+}
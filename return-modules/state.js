@@ -7,14 +7,124 @@ export const state = {
   // Required return parameters
   marketPrice: 54.56,
   currentDividend: 5.10,
-  growthRate: 6.40,
+  growthRate: 4.80,
+  
+  // Growth input: g entered directly, or sustainable g = b × ROE
+  growthInput: 'direct', // 'direct' or 'sustainable'
+  roe: 12.00,
+  retentionBasis: 'retention', // 'retention', 'payout' or 'earnings'
+  retentionRatio: 40.00,
+  payoutRatio: 60.00,
+  eps: 8.50,
+  
+  // Dividend discount model variant
+  model: 'constant', // 'constant', 'twoStage' or 'hModel'
+  highGrowthRate: 12.00,
+  highGrowthYears: 5,
+  
+  // Solve-for mode: the unknown among P₀, D₀, g and r
+  solveFor: 'requiredReturn', // 'requiredReturn', 'marketPrice', 'currentDividend' or 'growthRate'
+  targetReturn: 14.60,
+  
+  // Display currency and number formatting locale
+  currency: 'USD',
+  locale: 'en-US',
+  
+  // Projection horizon and dividend timing
+  projectionYears: 10,
+  payoutFrequency: 'annual', // 'annual', 'semiAnnual' or 'quarterly'
+  
+  // Total shareholder payout: buybacks and share issuance, per share or as a
+  // yield on price, added to the dividend
+  totalPayout: {
+    enabled: false,
+    basis: 'perShare', // 'perShare' or 'yield'
+    buybacks: 1.00,
+    issuance: 0.00
+  },
+  totalPayoutErrors: {},
+  
+  // Dated cash flows: a purchase date and payment dates (generated from the
+  // payout frequency, or listed) in place of whole years
+  paymentSchedule: {
+    dated: false,
+    purchaseDate: '',
+    entry: 'frequency', // 'frequency' or 'dates'
+    firstPaymentDate: '',
+    paymentDates: ''
+  },
+  paymentScheduleErrors: {},
+  
+  // Expected inflation, for real (inflation-adjusted) r and cash flows
+  inflation: {
+    enabled: false,
+    rate: 2.50,
+    view: 'nominal' // 'nominal' or 'real' cash flows in the chart and table
+  },
+  inflationErrors: {},
+  
+  // Tax rates on dividends and capital gains, for the after-tax r
+  tax: {
+    enabled: false,
+    dividendTaxRate: 15.00,
+    capitalGainsTaxRate: 15.00
+  },
+  taxErrors: {},
+  
+  // Cost of equity cross-checks compared against the DDM-implied r
+  crossCheck: {
+    capmEnabled: false,
+    riskFreeRate: 4.50,
+    beta: 1.20,
+    equityRiskPremium: 6.00,
+    bondYieldEnabled: false,
+    bondYield: 7.50,
+    bondRiskPremium: 4.00
+  },
+  crossCheckErrors: {},
+  
+  // Dividend history used to estimate g: analysis from analyzeDividendHistory
+  // and the key of the estimate last used to fill g and D₀
+  dividendHistory: {
+    enabled: false,
+    analysis: null,
+    method: null
+  },
+  dividendHistoryErrors: {},
+  
+  // Saved scenarios ({ name, inputs }) and comparison toggle
+  scenarios: [],
+  compareScenarios: false,
   
   // UI state
-  viewMode: 'chart', // 'chart' or 'table'
+  viewMode: 'chart', // 'chart', 'table', 'sensitivity' or 'simulation'
+  
+  // Sensitivity grid settings
+  sensitivity: {
+    growthSpread: 2.00,
+    growthStep: 0.50,
+    priceSpread: 20,
+    priceStep: 5,
+    hurdleRate: 15.00
+  },
+  sensitivityErrors: {},
+  
+  // Monte Carlo settings (distributions are centred on the current inputs)
+  simulation: {
+    growth: { distribution: 'normal', stdDev: 1.00, min: 2.80, max: 6.80 },
+    dividend: { distribution: 'fixed', stdDev: 0.25, min: 4.60, max: 5.60 },
+    price: { distribution: 'fixed', stdDev: 5.00, min: 49.00, max: 60.00 },
+    draws: 5000,
+    seed: 42
+  },
+  simulationResult: null,
   
   // Validation errors
   errors: {},
   
+  // Economic sanity warnings on the current result (never block calculation)
+  warnings: [],
+  
   // Calculated values
   returnCalculations: null,
   
@@ -23,18 +133,51 @@ export const state = {
 };
 
 /**
- * Update state and notify all subscribers
+ * Compare two selected values, one level deep
+ * Arrays and plain objects match when every entry is identical.
+ * @param {*} a - Previous selection
+ * @param {*} b - Next selection
+ * @returns {boolean} True if unchanged
+ */
+function isShallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.is(a[key], b[key]));
+}
+
+/**
+ * Update state and notify subscribers whose selected slice changed
  * @param {Object} updates - Partial state updates
  */
 export function setState(updates) {
   Object.assign(state, updates);
-  state.listeners.forEach(fn => fn(state));
+  state.listeners.forEach(listener => {
+    if (!listener.selector) {
+      listener.fn(state);
+      return;
+    }
+    
+    const selected = listener.selector(state);
+    if (isShallowEqual(selected, listener.selected)) return;
+    listener.selected = selected;
+    listener.fn(state, selected);
+  });
 }
 
 /**
  * Subscribe to state changes
- * @param {Function} fn - Callback function
+ * With a selector, the callback only runs when the selected slice changes
+ * (compared one level deep), e.g. subscribe(render, s => [s.returnCalculations, s.viewMode]).
+ * @param {Function} fn - Callback function, called with (state, selected)
+ * @param {Function} selector - Optional function picking the slice the callback uses
+ * @returns {Function} Unsubscribe function
  */
-export function subscribe(fn) {
-  state.listeners.push(fn);
-}
\ No newline at end of file
+export function subscribe(fn, selector = null) {
+  const listener = { fn, selector, selected: selector ? selector(state) : undefined };
+  state.listeners.push(listener);
+  return () => {
+    state.listeners = state.listeners.filter(item => item !== listener);
+  };
+}
@@ -1,52 +1,142 @@
-import { $, formatCurrency, formatPercentage, announceToScreenReader } from './utils.js';
+import { $, formatCurrency, formatPercentage, formatNumber, formatPeriod, formatDate, formatGrowthFactor, announceToScreenReader } from './utils.js';
 
-export function renderTable(cashFlows, requiredReturn) {
-  const table = $('#cash-flow-table');
+export function renderTable(cashFlows, requiredReturn, model = 'constant', periodsPerYear = 1, horizonValue = null, table = $('#cash-flow-table')) {
   if (!table) {
     console.error('Table element not found');
     return;
   }
 
+  const showGrowth = model !== 'constant';
+  const isAnnual = periodsPerYear === 1;
+  const isDated = Boolean(cashFlows[0].date);
+  const showPV = cashFlows[0].discountFactor !== undefined;
+  // Real cash flows (from toRealTerms) keep the nominal dividend alongside
+  const isReal = cashFlows[0].nominalDividend !== undefined;
+  const real = isReal ? 'Real ' : '';
+  const showAfterTax = cashFlows[0].afterTaxDividend !== undefined;
+  // Total payout rows split each payment into dividend and net buybacks
+  const showBuyback = cashFlows[0].buyback !== undefined;
+  // Dated cash flows are discounted over actual days
+  const timeNote = isDated ? ' (days / 365)' : '';
+
   let html = `
     <caption class="sr-only">
-      Required return projection schedule showing year, required return, dividend payment,
-      investment, and total cash flows.
+      Required return projection schedule${isReal ? ' in real (inflation-adjusted) terms' : ''} showing ${isAnnual && !isDated ? 'year' : 'payment date'}, required return,${showGrowth ? ' growth rate,' : ''} dividend payment,${isReal ? ' nominal dividend,' : ''}${showAfterTax ? ' after-tax dividend,' : ''}${showBuyback ? ' net buybacks,' : ''}
+      investment, and total cash flows${showPV ? ', with the discount factor, present value and cumulative present value of each dividend. The footer adds the present value of the terminal value and compares the total with the market price' : ''}.
     </caption>
     <thead>
       <tr>
-        <th scope="col" class="text-left">Year</th>
-        <th scope="col" class="text-right">Required Return <span style="color: #3c6ae5;">(r)</span></th>
-        <th scope="col" class="text-right">Dividend <span style="color: #15803d;">(D)</span></th>
+        <th scope="col" class="text-left">${isDated ? 'Date' : isAnnual ? 'Year' : 'Payment'}</th>
+        <th scope="col" class="text-right">${real}Required Return <span style="color: #3c6ae5;">(r)</span></th>${showGrowth ? `
+        <th scope="col" class="text-right">${real}Growth <span style="color: #15803d;">(g)</span></th>` : ''}
+        <th scope="col" class="text-right">${real}Dividend <span style="color: #15803d;">(D)</span></th>${isReal ? `
+        <th scope="col" class="text-right">Nominal Dividend</th>` : ''}${showAfterTax ? `
+        <th scope="col" class="text-right">After-Tax Dividend</th>` : ''}${showBuyback ? `
+        <th scope="col" class="text-right">${real}Net Buybacks <span style="color: #0f766e;">(B)</span></th>` : ''}
         <th scope="col" class="text-right">Investment <span style="color: #b95b1d;">(P₀)</span></th>
         <th scope="col" class="text-right">Total Cash Flow</th>
-        <th scope="col" class="text-right">Cumulative</th>
+        <th scope="col" class="text-right">Cumulative${showPV ? ' (undiscounted)' : ''}</th>${showPV ? `
+        <th scope="col" class="text-right">Discount Factor</th>
+        <th scope="col" class="text-right">${showBuyback ? 'PV of Payout' : 'PV of Dividend'}</th>
+        <th scope="col" class="text-right">Cumulative PV</th>` : ''}
       </tr>
     </thead>
     <tbody>`;
 
   cashFlows.forEach((cf, index) => {
     const isInitial = index === 0;
+    let dividendTooltip = `Dividend = D₀ × (${formatGrowthFactor(cf.growthRate)})^${cf.year}`;
+    if (isInitial) {
+      dividendTooltip = 'No dividend in year 0';
+    } else if (showGrowth) {
+      dividendTooltip = `Dividend = D${cf.year - 1} × (${formatGrowthFactor(cf.growthRate)})`;
+    }
+    if (!isInitial && isDated) {
+      dividendTooltip += `${isAnnual ? '' : ` ÷ ${periodsPerYear}`} (paid in year ${cf.year} after purchase)`;
+    } else if (!isInitial && !isAnnual) {
+      dividendTooltip += ` ÷ ${periodsPerYear} (one of ${periodsPerYear} equal payments in year ${cf.year})`;
+    }
+    const realTooltip = `Nominal dividend ÷ (1 + π)^${formatNumber(cf.time, 2, 0)}${timeNote}`;
     html += `
       <tr>
-        <td class="text-left">${cf.year}</td>
-        <td class="text-right" style="color: #3c6ae5;" data-tooltip="Constant required return" tabindex="0">${formatPercentage(requiredReturn)}</td>
-        <td class="text-right" style="color: #15803d;" data-tooltip="${isInitial ? 'No dividend in year 0' : 'Dividend = D₀ × (1 + g)^' + cf.year}" tabindex="0">${formatCurrency(cf.dividend)}</td>
+        <td class="text-left">${formatPeriod(cf, periodsPerYear)}</td>
+        <td class="text-right" style="color: #3c6ae5;" data-tooltip="Constant required return" tabindex="0">${formatPercentage(requiredReturn)}</td>${showGrowth ? `
+        <td class="text-right" style="color: #15803d;" data-tooltip="${isInitial ? 'No growth in year 0' : (cf.growthRate < 0 ? 'Decline' : 'Growth') + ' applied to year ' + cf.year + ' dividend'}" tabindex="0">${isInitial ? '—' : formatPercentage(cf.growthRate)}</td>` : ''}
+        <td class="text-right" style="color: #15803d;" data-tooltip="${isReal && !isInitial ? realTooltip : dividendTooltip}" tabindex="0">${formatCurrency(cf.dividend)}</td>${isReal ? `
+        <td class="text-right" data-tooltip="${dividendTooltip}" tabindex="0">${formatCurrency(cf.nominalDividend)}</td>` : ''}${showAfterTax ? `
+        <td class="text-right" style="color: #15803d;" data-tooltip="${isInitial ? 'No dividend in year 0' : 'Dividend × (1 − dividend tax rate)'}" tabindex="0">${formatCurrency(cf.afterTaxDividend)}</td>` : ''}${showBuyback ? `
+        <td class="text-right" style="color: #0f766e;" data-tooltip="${isInitial ? 'No buybacks in year 0' : 'Buybacks less issuance, growing with the dividend'}" tabindex="0">${formatCurrency(cf.buyback)}</td>` : ''}
         <td class="text-right" style="color: #b95b1d;" data-tooltip="${isInitial ? 'Initial stock purchase (negative cash flow)' : 'No additional investment'}" tabindex="0">${formatCurrency(cf.investment)}</td>
-        <td class="text-right" tabindex="0" data-tooltip="${isInitial ? 'Investment paid' : 'Dividend received'}"><strong>${formatCurrency(cf.totalCashFlow)}</strong></td>
-        <td class="text-right" tabindex="0" data-tooltip="Running total"><strong>${formatCurrency(cf.cumulativeCashFlow)}</strong></td>
+        <td class="text-right" tabindex="0" data-tooltip="${isInitial ? 'Investment paid' : showBuyback ? 'Dividend plus net buybacks' : 'Dividend received'}"><strong>${formatCurrency(cf.totalCashFlow)}</strong></td>
+        <td class="text-right" tabindex="0" data-tooltip="Running total"><strong>${formatCurrency(cf.cumulativeCashFlow)}</strong></td>${showPV ? `
+        <td class="text-right" tabindex="0" data-tooltip="1 / (1 + ${formatPercentage(requiredReturn)})^${formatNumber(cf.time, 2, 0)}${timeNote}">${formatNumber(cf.discountFactor, 4)}</td>
+        <td class="text-right" style="color: #15803d;" tabindex="0" data-tooltip="${isInitial ? 'No dividend in year 0' : showBuyback ? '(Dividend + net buybacks) × discount factor' : 'Dividend × discount factor'}">${isInitial ? '—' : formatCurrency(cf.presentValue)}</td>
+        <td class="text-right" tabindex="0" data-tooltip="Running total of discounted dividends">${isInitial ? '—' : formatCurrency(cf.cumulativePresentValue)}</td>` : ''}
       </tr>`;
   });
 
   html += `</tbody>`;
+  
+  if (showPV && horizonValue) {
+    html += renderPresentValueFooter(cashFlows, requiredReturn, periodsPerYear, horizonValue, 7 + (showGrowth ? 1 : 0) + (isReal ? 1 : 0) + (showAfterTax ? 1 : 0) + (showBuyback ? 1 : 0));
+  }
+
   table.innerHTML = html;
   table.setAttribute('aria-label', 'Required return projection table. Press Escape to exit table.');
-  announceToScreenReader('Table view loaded with required return projections.');
-  setupTableKeyboardEscape();
+  setupTableKeyboardEscape(table);
+}
+
+function renderPresentValueFooter(cashFlows, requiredReturn, periodsPerYear, horizonValue, labelColumns) {
+  const marketPrice = -cashFlows[0].investment;
+  const totalPV = cashFlows[cashFlows.length - 1].cumulativePresentValue + horizonValue.presentValue;
+  const difference = totalPV - marketPrice;
+
+  let summary = `Sum of present values = ${formatCurrency(totalPV)}, which equals the market price P₀ = ${formatCurrency(marketPrice)}.`;
+  if (Math.abs(difference) >= 0.005) {
+    summary = horizonValue.terminalValue === 0 && totalPV === 0
+      ? `With no dividends to discount, the model cannot value the share (r = g), so the present values do not sum to P₀ = ${formatCurrency(marketPrice)}.`
+      : `Sum of present values = ${formatCurrency(totalPV)}, ${formatCurrency(Math.abs(difference))} ${difference > 0 ? 'above' : 'below'} P₀ = ${formatCurrency(marketPrice)}: ` +
+        explainPresentValueGap(periodsPerYear, horizonValue);
+  }
+
+  // Dated schedules value the later dividends as of the last payment date
+  const terminalLabel = horizonValue.date
+    ? `PV of dividends after the last payment on ${formatDate(horizonValue.date)}: TV = ${formatCurrency(horizonValue.terminalValue)}, discounted at ${formatPercentage(requiredReturn)} over ${formatNumber(horizonValue.time, 2)} years`
+    : `PV of terminal value at year ${horizonValue.year}: TV = D${horizonValue.year} × (1 + g) / (r − g) = ${formatCurrency(horizonValue.terminalValue)}, discounted at ${formatPercentage(requiredReturn)}`;
+  const terminalTime = horizonValue.date ? formatNumber(horizonValue.time, 2, 0) : horizonValue.year;
+
+  return `
+    <tfoot>
+      <tr>
+        <th scope="row" class="text-left" colspan="${labelColumns}">
+          ${terminalLabel}
+        </th>
+        <td class="text-right" style="color: #15803d;" tabindex="0" data-tooltip="TV × 1 / (1 + r)^${terminalTime}">${formatCurrency(horizonValue.presentValue)}</td>
+        <td class="text-right" tabindex="0" data-tooltip="Dividend PVs plus terminal value PV"><strong>${formatCurrency(totalPV)}</strong></td>
+      </tr>
+      <tr>
+        <td class="text-left table-pv-summary" colspan="${labelColumns + 2}">${summary}</td>
+      </tr>
+    </tfoot>`;
+}
+
+/**
+ * Why the present values of the cash flows do not add up to P₀
+ * @param {number} periodsPerYear - Payments per year
+ * @param {Object} horizonValue - Output of calculateHorizonValue (with a date for dated schedules)
+ * @returns {string} Explanation
+ */
+function explainPresentValueGap(periodsPerYear, horizonValue) {
+  if (horizonValue.date) {
+    return 'the payments are discounted over the actual days from the purchase date (actual/365), and r does not solve exactly for these dates.';
+  }
+  if (periodsPerYear === 1) {
+    return 'r does not solve exactly for this dividend path.';
+  }
+  return `the model assumes each year's dividend arrives at year end, but ${periodsPerYear === 2 ? 'semi-annual' : 'quarterly'} instalments arrive earlier and are discounted less.`;
 }
 
-function setupTableKeyboardEscape() {
-  const table = document.getElementById('cash-flow-table');
-  if (!table) return;
+function setupTableKeyboardEscape(table) {
   if (table._escapeListener) {
     table.removeEventListener('keydown', table._escapeListener);
   }
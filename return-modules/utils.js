@@ -38,22 +38,125 @@ export function debounce(fn, wait = 300) {
 }
 
 /**
- * Format number as currency
+ * Display currencies (ISO 4217 codes)
+ */
+export const CURRENCIES = {
+  USD: 'US dollar',
+  EUR: 'Euro',
+  GBP: 'British pound',
+  JPY: 'Japanese yen',
+  CHF: 'Swiss franc',
+  INR: 'Indian rupee',
+  CAD: 'Canadian dollar',
+  AUD: 'Australian dollar',
+  CNY: 'Chinese yuan',
+  HKD: 'Hong Kong dollar',
+  SGD: 'Singapore dollar'
+};
+
+/**
+ * Locales whose grouping, decimal and negative-number rules can be chosen
+ */
+export const LOCALES = {
+  'en-US': 'English (United States)',
+  'en-GB': 'English (United Kingdom)',
+  'en-IN': 'English (India)',
+  'de-DE': 'German (Germany)',
+  'de-CH': 'German (Switzerland)',
+  'fr-FR': 'French (France)',
+  'ja-JP': 'Japanese (Japan)',
+  'zh-CN': 'Chinese (China)'
+};
+
+const numberFormat = { currency: 'USD', locale: 'en-US' };
+const formatters = new Map();
+
+/**
+ * Set the currency and locale used by all formatting helpers
+ * @param {Object} format - Format settings
+ * @param {string} format.currency - Key from CURRENCIES
+ * @param {string} format.locale - Key from LOCALES
+ */
+export function setNumberFormat({ currency = numberFormat.currency, locale = numberFormat.locale } = {}) {
+  numberFormat.currency = currency;
+  numberFormat.locale = locale;
+}
+
+/**
+ * Get the current currency and locale
+ * @returns {Object} { currency, locale }
+ */
+export function getNumberFormat() {
+  return { ...numberFormat };
+}
+
+/**
+ * Run a function with a different currency and locale, then restore the previous ones
+ * Lets several embedded calculators on one page format in their own currency.
+ * @param {Object} format - Format settings (as for setNumberFormat)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function withNumberFormat(format, fn) {
+  const previous = getNumberFormat();
+  setNumberFormat(format);
+  try {
+    return fn();
+  } finally {
+    setNumberFormat(previous);
+  }
+}
+
+/**
+ * Get a cached Intl.NumberFormat for the current locale
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {Intl.NumberFormat} Formatter
+ */
+function getFormatter(options) {
+  const key = `${numberFormat.locale} ${JSON.stringify(options)}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(numberFormat.locale, options));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Fix the number of decimals, or leave the locale/currency default
+ * @param {number} decimals - Decimal places (undefined for the default)
+ * @returns {Object} Intl.NumberFormat digit options
+ */
+function fractionDigits(decimals) {
+  return decimals === undefined ? {} : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+}
+
+/**
+ * Format number as currency in the chosen currency and locale
+ * Negative values use the locale's accounting style (e.g. parentheses in en-US)
+ * unless signed is set. Decimals default to the currency's minor unit.
  * @param {number} value - Numeric value
  * @param {boolean} signed - Include sign for negative values
+ * @param {Object} options - Display options
+ * @param {boolean} options.code - Include the currency code (default true)
+ * @param {number} options.decimals - Decimal places
  * @returns {string} Formatted currency string
  */
-export function formatCurrency(value, signed = false) {
-  const absValue = Math.abs(value);
-  const formatted = absValue.toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
+export function formatCurrency(value, signed = false, { code = true, decimals } = {}) {
+  const formatter = getFormatter({
+    style: 'currency',
+    currency: numberFormat.currency,
+    currencyDisplay: 'code',
+    currencySign: signed ? 'standard' : 'accounting',
+    ...fractionDigits(decimals)
   });
+  const amount = Object.is(value, -0) ? 0 : value;
   
-  if (value < 0) {
-    return signed ? `-USD ${formatted}` : `(USD ${formatted})`;
+  if (code) {
+    return formatter.format(amount);
   }
-  return `USD ${formatted}`;
+  return formatter.formatToParts(amount)
+    .filter(part => part.type !== 'currency' && !(part.type === 'literal' && part.value.trim() === ''))
+    .map(part => part.value)
+    .join('');
 }
 
 /**
@@ -63,7 +166,69 @@ export function formatCurrency(value, signed = false) {
  * @returns {string} Formatted percentage string
  */
 export function formatPercentage(value, decimals = 2) {
-  return `${value.toFixed(decimals)}%`;
+  return getFormatter({ style: 'percent', ...fractionDigits(decimals) }).format(value / 100);
+}
+
+/**
+ * Format a one-period growth factor with the rate's sign as the operator
+ * e.g. "1 + 5.00%", or "1 − 3.00%" for shrinking dividends
+ * @param {number} rate - Growth rate (as percentage)
+ * @returns {string} Formatted growth factor
+ */
+export function formatGrowthFactor(rate) {
+  return `1 ${rate < 0 ? '−' : '+'} ${formatPercentage(Math.abs(rate))}`;
+}
+
+/**
+ * Format a plain number with the locale's grouping and decimal separators
+ * @param {number} value - Numeric value
+ * @param {number} decimals - Number of decimal places
+ * @param {number} minDecimals - Fewest decimal places (trailing zeros dropped below decimals)
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, decimals = 2, minDecimals = decimals) {
+  return getFormatter({ minimumFractionDigits: minDecimals, maximumFractionDigits: decimals }).format(value);
+}
+
+const PERIOD_NAMES = {
+  2: { short: 'H', long: 'half' },
+  4: { short: 'Q', long: 'quarter' }
+};
+
+/**
+ * Format a calendar date in the current locale
+ * @param {string} isoDate - Date in YYYY-MM-DD form
+ * @param {boolean} long - Spell out the month ("15 March 2027" rather than "15 Mar 2027")
+ * @returns {string} Formatted date
+ */
+export function formatDate(isoDate, long = false) {
+  const key = `${numberFormat.locale} date ${long}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat(numberFormat.locale, { dateStyle: long ? 'long' : 'medium', timeZone: 'UTC' }));
+  }
+  return formatters.get(key).format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+/**
+ * Format a cash flow's payment date
+ * Dated cash flows show the date; annual payments show the year alone, and more
+ * frequent payments add the half or quarter.
+ * @param {Object} cashFlow - Cash flow with year and periodInYear (and date when dated)
+ * @param {number} periodsPerYear - Payments per year
+ * @param {boolean} long - Spell out for screen readers ("Year 2, quarter 3")
+ * @returns {string} Formatted period
+ */
+export function formatPeriod({ year, periodInYear, date }, periodsPerYear = 1, long = false) {
+  if (date) {
+    return formatDate(date, long);
+  }
+  const names = PERIOD_NAMES[periodsPerYear];
+  if (!names || year === 0) {
+    return long ? `Year ${year}` : `${year}`;
+  }
+  return long
+    ? `Year ${year}, ${names.long} ${periodInYear}`
+    : `${year} ${names.short}${periodInYear}`;
 }
 
 /**
@@ -91,6 +256,30 @@ export function createElement(tag, attrs = {}, content = '') {
   return element;
 }
 
+/**
+ * Escape text for insertion into an HTML string
+ * @param {string} text - Untrusted text
+ * @returns {string} Escaped HTML
+ */
+export function escapeHTML(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Escape text for XML or SVG markup (no DOM required)
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 /**
  * Set HTML content safely
  * @param {Element} element - Target element
@@ -100,6 +289,39 @@ export function setHTML(element, html) {
   element.innerHTML = html;
 }
 
+/**
+ * Show validation messages in an error list, hiding the list when there are none
+ * Messages are escaped, as some quote typed or pasted text.
+ * @param {string} id - Id of the list element
+ * @param {Object} errors - Messages keyed by field
+ */
+export function updateErrorList(id, errors) {
+  const list = document.getElementById(id);
+  if (!list) return;
+  
+  const messages = Object.values(errors);
+  list.innerHTML = messages.map(message => `<li>${escapeHTML(message)}</li>`).join('');
+  list.hidden = messages.length === 0;
+}
+
+/**
+ * Write settings values into their inputs
+ * Inputs already showing the value are left alone, so the caret stays put in
+ * the one being typed in. Text values, such as dates, are compared as typed.
+ * @param {Array<Object>} fields - Inputs as { id, field }
+ * @param {Object} values - Settings holding the values
+ */
+export function syncNumberFields(fields, values) {
+  fields.forEach(({ id, field }) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    
+    const value = values[field];
+    const shown = typeof value === 'number' ? parseFloat(input.value) : input.value;
+    if (!Object.is(shown, value)) input.value = value;
+  });
+}
+
 /**
  * Focus element after a delay
  * @param {Element} element - Element to focus
@@ -113,6 +335,33 @@ export function focusElement(element, delay = 0) {
   }, delay);
 }
 
+/**
+ * Copy text to the clipboard
+ * Falls back to a temporary textarea where the Clipboard API is unavailable.
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if copied
+ */
+export function copyToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text).then(() => true, () => false);
+  }
+  
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.setAttribute('readonly', '');
+  textarea.className = 'sr-only';
+  document.body.appendChild(textarea);
+  textarea.select();
+  let copied = false;
+  try {
+    copied = document.execCommand('copy');
+  } catch (error) {
+    copied = false;
+  }
+  textarea.remove();
+  return Promise.resolve(copied);
+}
+
 /**
  * Announce message to screen readers
  * @param {string} message - Message to announce
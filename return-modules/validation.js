@@ -3,7 +3,9 @@
  * Input validation and error handling
  */
 
-import { $ } from './utils.js';
+import { $, formatCurrency, formatPercentage } from './utils.js';
+import { calculateSustainableGrowth, calculateNetBuyback } from './calculations.js';
+import { MAX_SCHEDULE_YEARS, parseISODate, addMonths, splitPaymentDates } from './payment-schedule.js';
 
 /**
  * Validation rules for each field
@@ -14,48 +16,367 @@ const VALIDATION_RULES = {
     max: 500,
     required: true,
     label: 'Market price',
-    prefix: 'USD'
+    currency: true
   },
   currentDividend: {
     min: 0,
     max: 50,
     required: true,
     label: 'Current dividend',
-    prefix: 'USD'
+    currency: true
   },
   growthRate: {
-    min: 0,
+    min: -20,
     max: 25,
     required: true,
     label: 'Growth rate',
     unit: '%'
+  },
+  targetReturn: {
+    min: 0.01,
+    max: 50,
+    required: true,
+    label: 'Required return',
+    unit: '%'
+  },
+  highGrowthRate: {
+    min: -20,
+    max: 50,
+    required: true,
+    label: 'High growth rate',
+    unit: '%'
+  },
+  highGrowthYears: {
+    min: 1,
+    max: 30,
+    integer: true,
+    required: true,
+    label: 'High-growth period',
+    unit: ' years'
+  },
+  projectionYears: {
+    min: 1,
+    max: 50,
+    integer: true,
+    required: true,
+    label: 'Projection horizon',
+    unit: ' years'
+  },
+  roe: {
+    min: 0,
+    max: 100,
+    required: true,
+    label: 'Return on equity',
+    unit: '%'
+  },
+  retentionRatio: {
+    min: 0,
+    max: 100,
+    required: true,
+    label: 'Retention ratio',
+    unit: '%'
+  },
+  payoutRatio: {
+    min: 0,
+    max: 100,
+    required: true,
+    label: 'Payout ratio',
+    unit: '%'
+  },
+  eps: {
+    min: 0.01,
+    max: 100,
+    required: true,
+    label: 'Earnings per share',
+    currency: true
+  }
+};
+
+/**
+ * Inputs used by the sustainable growth mode, by retention basis
+ */
+const SUSTAINABLE_FIELDS = {
+  retention: ['roe', 'retentionRatio'],
+  payout: ['roe', 'payoutRatio'],
+  earnings: ['roe', 'eps']
+};
+
+/**
+ * Validation rules for the sensitivity grid settings
+ */
+const SENSITIVITY_RULES = {
+  growthSpread: {
+    min: 0.1,
+    max: 10,
+    required: true,
+    label: 'Growth range',
+    unit: ' pp'
+  },
+  growthStep: {
+    min: 0.05,
+    max: 5,
+    required: true,
+    label: 'Growth step',
+    unit: ' pp'
+  },
+  priceSpread: {
+    min: 1,
+    max: 50,
+    required: true,
+    label: 'Price range',
+    unit: '%'
+  },
+  priceStep: {
+    min: 0.5,
+    max: 25,
+    required: true,
+    label: 'Price step',
+    unit: '%'
+  },
+  hurdleRate: {
+    min: 0,
+    max: 50,
+    required: true,
+    label: 'Hurdle rate',
+    unit: '%'
   }
 };
 
+/**
+ * Validation rules for the cost of equity cross-check inputs
+ */
+const CROSS_CHECK_RULES = {
+  riskFreeRate: {
+    min: 0,
+    max: 20,
+    required: true,
+    label: 'Risk-free rate',
+    unit: '%'
+  },
+  beta: {
+    min: 0,
+    max: 5,
+    required: true,
+    label: 'Beta'
+  },
+  equityRiskPremium: {
+    min: 0,
+    max: 20,
+    required: true,
+    label: 'Equity risk premium',
+    unit: '%'
+  },
+  bondYield: {
+    min: 0,
+    max: 30,
+    required: true,
+    label: 'Bond yield',
+    unit: '%'
+  },
+  bondRiskPremium: {
+    min: 0,
+    max: 15,
+    required: true,
+    label: 'Bond risk premium',
+    unit: '%'
+  }
+};
+
+/**
+ * Validation rules for the expected inflation input
+ */
+const INFLATION_RULES = {
+  rate: {
+    min: -5,
+    max: 25,
+    required: true,
+    label: 'Inflation rate',
+    unit: '%'
+  }
+};
+
+/**
+ * Validation rules for the dividend and capital gains tax rates
+ */
+const TAX_RULES = {
+  dividendTaxRate: {
+    min: 0,
+    max: 60,
+    required: true,
+    label: 'Dividend tax rate',
+    unit: '%'
+  },
+  capitalGainsTaxRate: {
+    min: 0,
+    max: 60,
+    required: true,
+    label: 'Capital gains tax rate',
+    unit: '%'
+  }
+};
+
+/**
+ * Validation rules for buybacks and share issuance, by entry basis
+ */
+const TOTAL_PAYOUT_RULES = {
+  perShare: {
+    buybacks: {
+      min: 0,
+      max: 50,
+      required: true,
+      label: 'Buybacks per share',
+      currency: true
+    },
+    issuance: {
+      min: 0,
+      max: 50,
+      required: true,
+      label: 'Share issuance per share',
+      currency: true
+    }
+  },
+  yield: {
+    buybacks: {
+      min: 0,
+      max: 25,
+      required: true,
+      label: 'Buyback yield',
+      unit: '%'
+    },
+    issuance: {
+      min: 0,
+      max: 25,
+      required: true,
+      label: 'Issuance yield',
+      unit: '%'
+    }
+  }
+};
+
+/**
+ * Inputs used by each cross-check method, keyed by its enabling flag
+ */
+const CROSS_CHECK_FIELDS = {
+  capmEnabled: ['riskFreeRate', 'beta', 'equityRiskPremium'],
+  bondYieldEnabled: ['bondYield', 'bondRiskPremium']
+};
+
+/**
+ * Maximum number of grid steps either side of the base case
+ */
+const MAX_SENSITIVITY_STEPS = 10;
+
+/**
+ * Validation rules for the Monte Carlo settings
+ */
+const SIMULATION_RULES = {
+  draws: {
+    min: 100,
+    max: 50000,
+    integer: true,
+    required: true,
+    label: 'Number of draws'
+  },
+  seed: {
+    min: 0,
+    max: 4294967295,
+    integer: true,
+    required: true,
+    label: 'Seed'
+  }
+};
+
+/**
+ * Labels and standard deviation limits for the simulated inputs
+ */
+const SIMULATED_INPUTS = {
+  growth: { label: 'Growth rate', base: 'growthRate', maxStdDev: 10 },
+  dividend: { label: 'Current dividend', base: 'currentDividend', maxStdDev: 10 },
+  price: { label: 'Market price', base: 'marketPrice', maxStdDev: 100 }
+};
+
+/**
+ * Thresholds for the economic sanity warnings (percent)
+ * Long-run nominal GDP growth: CBO's long-term projections put US real growth
+ * near 1.8% and inflation near 2%, so about 4% nominal; the limit leaves a
+ * point of headroom for faster-growing economies.
+ */
+export const SANITY_LIMITS = {
+  dividendYield: 10,
+  nominalGdpGrowth: 5
+};
+
+/**
+ * Economic sanity rules, checked against a completed calculation
+ * Each returns a message when the result looks implausible, or null.
+ */
+const WARNING_RULES = [
+  {
+    key: 'returnEqualsGrowth',
+    label: 'r does not exceed g',
+    check: ({ isValid, inputs, requiredReturn }) => {
+      if (isValid) return null;
+      if (inputs.currentDividend === 0) {
+        return `With a current dividend (D₀) of zero there is no dividend yield, so r equals g (${formatPercentage(requiredReturn)}): the model cannot value a stock that pays no dividend`;
+      }
+      return requiredReturn <= 0 && inputs.growthRate < requiredReturn
+        ? `Required return ${formatPercentage(requiredReturn)} is not positive: the dividend yield does not make up for dividends shrinking ${formatPercentage(-inputs.growthRate)} a year`
+        : `Required return ${formatPercentage(requiredReturn)} does not exceed growth ${formatPercentage(inputs.growthRate)}, so the model does not hold for these inputs`;
+    }
+  },
+  {
+    key: 'highDividendYield',
+    label: 'High dividend yield',
+    check: ({ dividendYield }) => dividendYield > SANITY_LIMITS.dividendYield
+      ? `Dividend yield (D₁ / P₀) of ${formatPercentage(dividendYield)} is above ${SANITY_LIMITS.dividendYield}%; yields this high often mean the market expects a dividend cut, so r may be overstated`
+      : null
+  },
+  {
+    key: 'growthAboveGdp',
+    label: 'Growth above GDP',
+    check: ({ inputs, model }) => inputs.growthRate > SANITY_LIMITS.nominalGdpGrowth
+      ? `${model === 'constant' ? 'Growth rate (g)' : 'Stable growth rate (gL)'} of ${formatPercentage(inputs.growthRate)} is above long-run nominal GDP growth of about ${SANITY_LIMITS.nominalGdpGrowth}%; no company can outgrow the economy forever, so r may be overstated`
+      : null
+  }
+];
+
+/**
+ * Fields that only apply to the multi-stage models
+ */
+const MULTI_STAGE_FIELDS = ['highGrowthRate', 'highGrowthYears'];
+
+/**
+ * Format a range limit for an error message
+ * Currency fields show the chosen currency, so limits follow the display format.
+ * @param {number} limit - Minimum or maximum
+ * @param {Object} rules - Field rules
+ * @returns {string} Display text
+ */
+function formatLimit(limit, rules) {
+  return rules.currency ? formatCurrency(limit) : `${limit}${rules.unit || ''}`;
+}
+
 /**
  * Validate a single field
  * @param {string} field - Field name
  * @param {number} value - Field value
+ * @param {Object} ruleSet - Rules to validate against (default calculator inputs)
  * @returns {string|null} Error message or null
  */
-export function validateField(field, value) {
-  const rules = VALIDATION_RULES[field];
+export function validateField(field, value, ruleSet = VALIDATION_RULES) {
+  const rules = ruleSet[field];
   if (!rules) return null;
   
   if (rules.required && (value === '' || value == null || isNaN(value))) {
     return `${rules.label} is required`;
   }
   
-  if (rules.min !== undefined && value < rules.min) {
-    const minDisplay = rules.prefix ? `${rules.prefix} ${rules.min}` : `${rules.min}${rules.unit || ''}`;
-    const maxDisplay = rules.prefix ? `${rules.prefix} ${rules.max}` : `${rules.max}${rules.unit || ''}`;
-    return `${rules.label} must be between ${minDisplay} and ${maxDisplay}`;
+  if ((rules.min !== undefined && value < rules.min) || (rules.max !== undefined && value > rules.max)) {
+    return `${rules.label} must be between ${formatLimit(rules.min, rules)} and ${formatLimit(rules.max, rules)}`;
   }
   
-  if (rules.max !== undefined && value > rules.max) {
-    const minDisplay = rules.prefix ? `${rules.prefix} ${rules.min}` : `${rules.min}${rules.unit || ''}`;
-    const maxDisplay = rules.prefix ? `${rules.prefix} ${rules.max}` : `${rules.max}${rules.unit || ''}`;
-    return `${rules.label} must be between ${minDisplay} and ${maxDisplay}`;
+  if (rules.integer && !Number.isInteger(value)) {
+    return `${rules.label} must be a whole number`;
   }
   
   return null;
@@ -79,6 +400,303 @@ export function validateAllInputs(inputs) {
   return errors;
 }
 
+/**
+ * Drop errors for fields the current model, growth input and solve-for mode do not use
+ * @param {Object} errors - Error object
+ * @param {Object} settings - Current settings
+ * @param {string} settings.model - Model key
+ * @param {string} settings.solveFor - Unknown being solved for
+ * @param {string} settings.growthInput - 'direct' or 'sustainable'
+ * @param {string} settings.retentionBasis - Retention basis in sustainable mode
+ * @returns {Object} Errors relevant to the settings
+ */
+export function getRelevantErrors(errors, { model, solveFor = 'requiredReturn', growthInput = 'direct', retentionBasis = 'retention' }) {
+  const relevant = { ...errors };
+  
+  if (model === 'constant') {
+    MULTI_STAGE_FIELDS.forEach(field => delete relevant[field]);
+  }
+  
+  // In sustainable mode g is derived, so only the fields for the chosen basis count
+  const usedSustainableFields = growthInput === 'sustainable' ? SUSTAINABLE_FIELDS[retentionBasis] : [];
+  Object.values(SUSTAINABLE_FIELDS).flat().forEach(field => {
+    if (!usedSustainableFields.includes(field)) delete relevant[field];
+  });
+  if (growthInput === 'sustainable') {
+    delete relevant.growthRate;
+  }
+  
+  // The solved field is an output; r is only an input when solving for something else
+  delete relevant[solveFor === 'requiredReturn' ? 'targetReturn' : solveFor];
+  
+  return relevant;
+}
+
+/**
+ * Cross-field rules for the rearranged Gordon formulas
+ * @param {string} solveFor - Unknown being solved for
+ * @param {Object} inputs - Input values (percentages for rates)
+ * @returns {Object} Error object
+ */
+export function validateSolveFor(solveFor, inputs) {
+  const errors = {};
+  const { currentDividend, growthRate, targetReturn } = inputs;
+  
+  if ((solveFor === 'marketPrice' || solveFor === 'currentDividend') && growthRate >= targetReturn) {
+    errors.solveFor = 'Growth rate must be less than required return';
+  }
+  
+  if (solveFor === 'marketPrice' && currentDividend === 0) {
+    errors.solveFor = 'Current dividend must be greater than zero to solve for market price';
+  }
+  
+  return errors;
+}
+
+/**
+ * Cross-field rules for the sustainable growth mode
+ * The derived g must stay within the growth rate range, and the payout
+ * implied by EPS and DPS cannot exceed 100%.
+ *
+ * @param {Object} inputs - Input values (percentages for rates)
+ * @returns {Object} Error object
+ */
+export function validateSustainableGrowth(inputs) {
+  const errors = {};
+  if (inputs.growthInput !== 'sustainable') return errors;
+  
+  const { retentionBasis, currentDividend, eps, solveFor } = inputs;
+  
+  if (retentionBasis === 'earnings' && solveFor === 'currentDividend') {
+    errors.sustainableGrowth = 'Current dividend cannot be solved for while the retention ratio is derived from DPS; enter the retention or payout ratio instead';
+    return errors;
+  }
+  
+  if (retentionBasis === 'earnings' && currentDividend > eps) {
+    errors.sustainableGrowth = 'Current dividend (DPS) cannot exceed earnings per share';
+    return errors;
+  }
+  
+  const { growthRate } = calculateSustainableGrowth(inputs);
+  const { min, max } = VALIDATION_RULES.growthRate;
+  if (growthRate < min || growthRate > max) {
+    errors.sustainableGrowth = `Sustainable growth b × ROE = ${formatPercentage(growthRate)} must be between ${min}% and ${max}%`;
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate a single sensitivity grid setting
+ * @param {string} field - Setting name
+ * @param {number} value - Setting value
+ * @returns {string|null} Error message or null
+ */
+export function validateSensitivityField(field, value) {
+  return validateField(field, value, SENSITIVITY_RULES);
+}
+
+/**
+ * Validate all sensitivity grid settings, including grid size
+ * @param {Object} settings - Sensitivity settings
+ * @returns {Object} Error object
+ */
+export function validateSensitivitySettings(settings) {
+  const errors = {};
+  
+  Object.keys(SENSITIVITY_RULES).forEach(field => {
+    const error = validateSensitivityField(field, settings[field]);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  
+  if (!errors.growthSpread && !errors.growthStep &&
+      settings.growthSpread / settings.growthStep > MAX_SENSITIVITY_STEPS) {
+    errors.growthStep = `Growth step is too small for the range (at most ${MAX_SENSITIVITY_STEPS} steps either side)`;
+  }
+  
+  if (!errors.priceSpread && !errors.priceStep &&
+      settings.priceSpread / settings.priceStep > MAX_SENSITIVITY_STEPS) {
+    errors.priceStep = `Price step is too small for the range (at most ${MAX_SENSITIVITY_STEPS} steps either side)`;
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the inputs of the enabled cost of equity cross-checks
+ * @param {Object} settings - Cross-check settings
+ * @returns {Object} Error object
+ */
+export function validateCrossCheckSettings(settings) {
+  const errors = {};
+  
+  Object.entries(CROSS_CHECK_FIELDS)
+    .filter(([enabledBy]) => settings[enabledBy])
+    .forEach(([, fields]) => fields.forEach(field => {
+      const error = validateField(field, settings[field], CROSS_CHECK_RULES);
+      if (error) {
+        errors[field] = error;
+      }
+    }));
+  
+  return errors;
+}
+
+/**
+ * Validate the expected inflation rate when real returns are shown
+ * @param {Object} settings - Inflation settings (enabled, rate, view)
+ * @returns {Object} Error object
+ */
+export function validateInflationSettings(settings) {
+  const errors = {};
+  if (!settings.enabled) return errors;
+  
+  const error = validateField('rate', settings.rate, INFLATION_RULES);
+  if (error) {
+    errors.rate = error;
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the tax rates when after-tax returns are shown
+ * @param {Object} settings - Tax settings (enabled, dividendTaxRate, capitalGainsTaxRate)
+ * @returns {Object} Error object
+ */
+export function validateTaxSettings(settings) {
+  const errors = {};
+  if (!settings.enabled) return errors;
+  
+  Object.keys(TAX_RULES).forEach(field => {
+    const error = validateField(field, settings[field], TAX_RULES);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Validate buybacks and share issuance in total payout mode
+ * Net issuance may not exceed the dividend, so the total payout D₀ + B₀ stays at or above zero.
+ * @param {Object} settings - Total payout settings (enabled, basis, buybacks, issuance)
+ * @param {Object} inputs - Input values (marketPrice, currentDividend)
+ * @returns {Object} Error object
+ */
+export function validateTotalPayout(settings, { marketPrice, currentDividend }) {
+  const errors = {};
+  if (!settings.enabled) return errors;
+  
+  const rules = TOTAL_PAYOUT_RULES[settings.basis];
+  Object.keys(rules).forEach(field => {
+    const error = validateField(field, settings[field], rules);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  
+  if (!hasErrors(errors) && currentDividend + calculateNetBuyback(settings, marketPrice) < 0) {
+    errors.issuance = 'Share issuance cannot exceed dividends plus buybacks';
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the purchase and payment dates of a dated schedule
+ * Payments must fall after the purchase; a generated schedule must start within
+ * a year of it, and listed dates within MAX_SCHEDULE_YEARS.
+ * @param {Object} settings - Schedule settings (dated, purchaseDate, entry, firstPaymentDate, paymentDates)
+ * @returns {Object} Error object
+ */
+export function validatePaymentSchedule(settings) {
+  const errors = {};
+  if (!settings.dated) return errors;
+  
+  const purchase = parseISODate(settings.purchaseDate);
+  if (purchase === null) {
+    errors.purchaseDate = 'Purchase date must be a date in YYYY-MM-DD form';
+    return errors;
+  }
+  
+  if (settings.entry === 'dates') {
+    const dates = splitPaymentDates(settings.paymentDates);
+    const invalid = dates.find(date => parseISODate(date) === null);
+    const latest = parseISODate(addMonths(settings.purchaseDate, 12 * MAX_SCHEDULE_YEARS));
+    if (dates.length === 0) {
+      errors.paymentDates = 'Enter at least one payment date';
+    } else if (invalid) {
+      errors.paymentDates = `Payment date '${invalid}' must be in YYYY-MM-DD form`;
+    } else if (dates.some(date => parseISODate(date) <= purchase)) {
+      errors.paymentDates = 'Payment dates must fall after the purchase date';
+    } else if (dates.some(date => parseISODate(date) > latest)) {
+      errors.paymentDates = `Payment dates must fall within ${MAX_SCHEDULE_YEARS} years of the purchase date`;
+    }
+    return errors;
+  }
+  
+  const first = parseISODate(settings.firstPaymentDate);
+  if (first === null) {
+    errors.firstPaymentDate = 'First payment date must be a date in YYYY-MM-DD form';
+  } else if (first <= purchase) {
+    errors.firstPaymentDate = 'First payment must fall after the purchase date';
+  } else if (first > parseISODate(addMonths(settings.purchaseDate, 12))) {
+    errors.firstPaymentDate = 'First payment must fall within a year of the purchase date';
+  }
+  
+  return errors;
+}
+
+/**
+ * Validate the Monte Carlo settings against the current base inputs
+ * @param {Object} settings - Simulation settings
+ * @param {Object} inputs - Base input values
+ * @returns {Object} Error object
+ */
+export function validateSimulationSettings(settings, inputs) {
+  const errors = {};
+  
+  Object.keys(SIMULATION_RULES).forEach(field => {
+    const error = validateField(field, settings[field], SIMULATION_RULES);
+    if (error) {
+      errors[field] = error;
+    }
+  });
+  
+  Object.entries(SIMULATED_INPUTS).forEach(([key, { label, base, maxStdDev }]) => {
+    const { distribution, stdDev, min, max } = settings[key];
+    const baseValue = inputs[base];
+    
+    if (distribution === 'normal' && !(stdDev > 0 && stdDev <= maxStdDev)) {
+      errors[key] = `${label} standard deviation must be greater than 0 and at most ${maxStdDev}`;
+    }
+    
+    if ((distribution === 'uniform' || distribution === 'triangular') && !(min < max)) {
+      errors[key] = `${label} minimum must be less than maximum`;
+    } else if (distribution === 'triangular' && (baseValue < min || baseValue > max)) {
+      errors[key] = `${label} range must include the current value (${baseValue}), which is the most likely value`;
+    }
+  });
+  
+  return errors;
+}
+
+/**
+ * Check a completed calculation against the economic sanity rules
+ * Warnings annotate the result; they never block the calculation.
+ * @param {Object} calculations - Output of calculateRequiredReturnMetrics
+ * @returns {Array<Object>} Warnings as { key, label, message }
+ */
+export function validateAssumptions(calculations) {
+  return WARNING_RULES
+    .map(({ key, label, check }) => ({ key, label, message: check(calculations) }))
+    .filter(warning => warning.message !== null);
+}
+
 /**
  * Update field error display
  * @param {string} fieldId - Field ID
@@ -99,18 +717,29 @@ export function updateFieldError(fieldId, errorMessage) {
 
 /**
  * Update validation summary
+ * Errors take precedence; without errors, any warnings are listed instead
+ * with the warning styling.
  * @param {Object} errors - Error object
+ * @param {Array<Object>} warnings - Output of validateAssumptions
  */
-export function updateValidationSummary(errors) {
+export function updateValidationSummary(errors, warnings = []) {
   const summary = $('#validation-summary');
   const list = $('#validation-list');
-
+  
   if (!summary || !list) return;
-
-  if (hasErrors(errors)) {
-    list.innerHTML = Object.entries(errors)
-      .map(([field, message]) => `<li>${message}</li>`)
+  
+  const isError = hasErrors(errors);
+  const messages = isError ? Object.values(errors) : warnings.map(warning => warning.message);
+  
+  if (messages.length > 0) {
+    list.innerHTML = messages
+      .map(message => `<li>${message}</li>`)
       .join('');
+    summary.classList.toggle('warning', !isError);
+    summary.setAttribute('role', isError ? 'alert' : 'status');
+    summary.querySelector('.validation-title').textContent = isError
+      ? 'Please correct the following:'
+      : 'Check these assumptions:';
     summary.style.display = 'block';
   } else {
     summary.style.display = 'none';
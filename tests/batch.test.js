@@ -0,0 +1,121 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { parseCSV, parseBatchValues, parseBatchCSV, screenStock } from '../return-modules/batch.js';
+
+const CLI = fileURLToPath(new URL('../bin/reqreturn.js', import.meta.url));
+
+function reqreturn(args, input) {
+  return spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 10000 });
+}
+
+describe('parseCSV', () => {
+  test('splits rows and fields', () => {
+    assert.deepEqual(parseCSV('a,b\r\n1,2\n'), [['a', 'b'], ['1', '2']]);
+  });
+  
+  test('handles quoted commas, quotes and line breaks', () => {
+    assert.deepEqual(parseCSV('"A, Inc","say ""hi""","two\nlines"'), [['A, Inc', 'say "hi"', 'two\nlines']]);
+  });
+  
+  test('skips blank lines and keeps empty fields', () => {
+    assert.deepEqual(parseCSV('a,,c\n\n\n1,2,\n'), [['a', '', 'c'], ['1', '2', '']]);
+  });
+});
+
+describe('parseBatchCSV', () => {
+  test('maps columns to calculator inputs', () => {
+    const stocks = parseBatchCSV('Ticker,Price,Dividend,Growth\nKO,60.5,1.94,4.5\n', { projectionYears: 10 });
+    assert.deepEqual(stocks, [{
+      ticker: 'KO',
+      inputs: { projectionYears: 10, marketPrice: 60.5, currentDividend: 1.94, growthRate: 4.5 }
+    }]);
+  });
+  
+  test('blank cells take the defaults', () => {
+    const [stock] = parseBatchCSV('ticker,price,dividend,growth,model\nKO,60.5,1.94,4.5,\n', { model: 'constant' });
+    assert.equal(stock.inputs.model, 'constant');
+  });
+  
+  test('names untitled rows by position', () => {
+    const stocks = parseBatchCSV('price,dividend,growth\n50,2,5\n51,2,5\n');
+    assert.deepEqual(stocks.map(stock => stock.ticker), ['Row 1', 'Row 2']);
+  });
+  
+  test('rejects unknown columns', () => {
+    assert.throws(() => parseBatchCSV('ticker,price,yield\n'), /Unknown column: yield/);
+  });
+  
+  test('rejects an empty file', () => {
+    assert.throws(() => parseBatchCSV(''), /Batch file is empty/);
+  });
+});
+
+describe('screenStock', () => {
+  test('calculates valid inputs', () => {
+    const { errors, calculations } = screenStock(parseBatchValues({ price: '50', dividend: '2', growth: '5' }));
+    assert.deepEqual(errors, {});
+    assert.ok(Math.abs(calculations.requiredReturn - 9.2) < 1e-9);
+  });
+  
+  test('returns assumption warnings alongside the result', () => {
+    const { errors, warnings, calculations } = screenStock(parseBatchValues({ price: '50', dividend: '2', growth: '6' }));
+    assert.deepEqual(errors, {});
+    assert.ok(calculations);
+    assert.deepEqual(warnings.map(warning => warning.key), ['growthAboveGdp']);
+  });
+  
+  test('reports the calculator\'s validation messages', () => {
+    const { errors, calculations } = screenStock(parseBatchValues({ price: '50', dividend: '', growth: '30' }));
+    assert.equal(calculations, null);
+    assert.deepEqual(errors, {
+      currentDividend: 'Current dividend is required',
+      growthRate: 'Growth rate must be between -20% and 25%'
+    });
+  });
+  
+  test('checks the multi-stage inputs only for multi-stage models', () => {
+    assert.deepEqual(screenStock({ marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'constant' }).errors, {});
+    const { errors } = screenStock({ marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'hModel', highGrowthRate: 15 });
+    assert.deepEqual(errors, { highGrowthYears: 'High-growth period is required' });
+  });
+  
+  test('rejects unknown models', () => {
+    const { errors } = screenStock({ marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'threeStage' });
+    assert.equal(errors.model, 'Model must be one of constant, twoStage, hModel');
+  });
+});
+
+describe('reqreturn CLI', () => {
+  test('prints a single stock as JSON', () => {
+    const result = reqreturn(['--price', '50', '--dividend', '2', '--growth', '5', '--years', '3', '--format', 'json']);
+    assert.equal(result.status, 0);
+    const output = JSON.parse(result.stdout);
+    assert.ok(Math.abs(output.requiredReturn - 9.2) < 1e-9);
+    assert.equal(output.cashFlows.length, 4);
+  });
+  
+  test('exits 1 with the validation messages', () => {
+    const result = reqreturn(['--price', '0', '--dividend', '2', '--growth', '5']);
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, '');
+    assert.match(result.stderr, /^reqreturn: Market price must be between USD\s1\.00 and USD\s500\.00\n$/);
+  });
+  
+  test('screens a batch from standard input', () => {
+    const csv = 'ticker,price,dividend,growth\nKO,60.5,1.94,4.5\nBAD,50,2,30\n';
+    const result = reqreturn(['--input', '-', '--format', 'csv'], csv);
+    assert.equal(result.status, 1);
+    const lines = result.stdout.trim().split('\r\n');
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /^KO,constant,60\.5,1\.94,4\.5,/);
+    assert.equal(result.stderr, 'BAD: Growth rate must be between -20% and 25%\n');
+  });
+  
+  test('exits 2 on usage errors', () => {
+    const result = reqreturn(['--format', 'xml']);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Unknown format 'xml'/);
+  });
+});
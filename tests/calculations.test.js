@@ -0,0 +1,428 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateRequiredReturn,
+  calculateRequiredReturnMetrics,
+  calculateCostOfEquityEstimates,
+  calculateGordonPrice,
+  calculateGordonDividend,
+  calculateRealReturn,
+  toRealTerms,
+  calculateAfterTaxReturn,
+  addAfterTaxDividends,
+  calculateNetBuyback,
+  generateCashFlows,
+  generateSensitivityGrid
+} from '../return-modules/calculations.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+describe('calculateRequiredReturn', () => {
+  test('constant growth: r = D₁ / P₀ + g', () => {
+    // (2 × 1.05) / 50 + 0.05 = 0.042 + 0.05 = 0.092
+    const result = calculateRequiredReturn({ marketPrice: 50, currentDividend: 2, growthRate: 5 });
+    assertClose(result.requiredReturn, 9.2);
+    assertClose(result.requiredReturnDecimal, 0.092);
+    assertClose(result.d1, 2.1);
+    assertClose(result.dividendYield, 4.2);
+    assert.equal(result.model, 'constant');
+    assert.equal(result.isValid, true);
+  });
+  
+  test('higher growth rate', () => {
+    // (3 × 1.08) / 100 + 0.08 = 0.0324 + 0.08 = 0.1124
+    const result = calculateRequiredReturn({ marketPrice: 100, currentDividend: 3, growthRate: 8 });
+    assertClose(result.requiredReturn, 11.24);
+  });
+  
+  test('zero growth reduces to the dividend yield', () => {
+    const result = calculateRequiredReturn({ marketPrice: 20, currentDividend: 2, growthRate: 0 });
+    assertClose(result.requiredReturn, 10);
+    assertClose(result.d1, 2);
+  });
+  
+  test('negative growth shrinks D₁ and puts r below the yield', () => {
+    // (2 × 0.97) / 50 − 0.03 = 0.0388 − 0.03 = 0.0088
+    const result = calculateRequiredReturn({ marketPrice: 50, currentDividend: 2, growthRate: -3 });
+    assertClose(result.d1, 1.94);
+    assertClose(result.dividendYield, 3.88);
+    assertClose(result.requiredReturn, 0.88);
+    assert.equal(result.isValid, true);
+  });
+  
+  test('zero dividend is flagged invalid (r = g)', () => {
+    const result = calculateRequiredReturn({ marketPrice: 50, currentDividend: 0, growthRate: 5 });
+    assertClose(result.requiredReturn, 5);
+    assert.equal(result.isValid, false);
+  });
+  
+  test('two-stage with equal growth matches Gordon', () => {
+    const result = calculateRequiredReturn({
+      marketPrice: 50, currentDividend: 2, growthRate: 5,
+      model: 'twoStage', highGrowthRate: 5, highGrowthYears: 5
+    });
+    assertClose(result.requiredReturn, 9.2, 1e-6);
+  });
+  
+  test('H-model with above-stable initial growth', () => {
+    const result = calculateRequiredReturn({
+      marketPrice: 50, currentDividend: 2, growthRate: 5,
+      model: 'hModel', highGrowthRate: 15, highGrowthYears: 10
+    });
+    assertClose(result.requiredReturn, 11.4905, 1e-4);
+    assertClose(result.d1, 2.3);
+  });
+  
+  test('multi-stage with zero dividend collapses to r = g', () => {
+    const result = calculateRequiredReturn({
+      marketPrice: 50, currentDividend: 0, growthRate: 5,
+      model: 'twoStage', highGrowthRate: 10, highGrowthYears: 5
+    });
+    assertClose(result.requiredReturn, 5);
+    assert.equal(result.terminalValue, 0);
+    assert.equal(result.isValid, false);
+  });
+});
+
+describe('calculateRequiredReturnMetrics', () => {
+  test('two-stage present values sum to price', () => {
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 5,
+      model: 'twoStage', highGrowthRate: 10, highGrowthYears: 5
+    });
+    assertClose(result.totalPresentValue, 50, 1e-6);
+    assertClose(result.highGrowthPV + result.terminalValuePV, 50, 1e-6);
+  });
+  
+  test('multi-stage horizon covers a year of stable growth', () => {
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 5, projectionYears: 5,
+      model: 'twoStage', highGrowthRate: 10, highGrowthYears: 8
+    });
+    assert.equal(result.years, 9);
+  });
+  
+  test('implied growth from target return', () => {
+    // (50 × 0.092 − 2) / (50 + 2) = 0.05
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 0, solveFor: 'growthRate', targetReturn: 9.2
+    });
+    assertClose(result.inputs.growthRate, 5);
+    assertClose(result.requiredReturn, 9.2);
+  });
+  
+  test('Gordon price from target return', () => {
+    // (2 × 1.05) / (0.092 − 0.05) = 50
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 1, currentDividend: 2, growthRate: 5, solveFor: 'marketPrice', targetReturn: 9.2
+    });
+    assertClose(result.inputs.marketPrice, 50);
+  });
+  
+  test('implied dividend from target return', () => {
+    // 50 × (0.092 − 0.05) / 1.05 = 2
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 0, growthRate: 5, solveFor: 'currentDividend', targetReturn: 9.2
+    });
+    assertClose(result.inputs.currentDividend, 2);
+  });
+  
+  test('multi-stage models solve for r whatever the solveFor', () => {
+    const params = { marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'twoStage', highGrowthRate: 12, highGrowthYears: 5 };
+    const result = calculateRequiredReturnMetrics({ ...params, solveFor: 'marketPrice', targetReturn: 16 });
+    assert.equal(result.solveFor, 'requiredReturn');
+    assert.equal(result.inputs.marketPrice, 50);
+    assertClose(result.requiredReturn, calculateRequiredReturnMetrics(params).requiredReturn);
+    assertClose(result.totalPresentValue, 50, 1e-6);
+  });
+  
+  test('total payout solves for r whatever the solveFor', () => {
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 5, netBuyback: 1, solveFor: 'growthRate', targetReturn: 9.2
+    });
+    assert.equal(result.solveFor, 'requiredReturn');
+    assert.equal(result.inputs.netBuyback, 1);
+    // (2 + 1) × 1.05 / 50 + 0.05
+    assertClose(result.requiredReturn, 11.3);
+  });
+  
+  test('sustainable growth from ROE and payout ratio', () => {
+    // g = (1 − 0.60) × 0.125 = 0.05
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 0,
+      growthInput: 'sustainable', roe: 12.5, retentionBasis: 'payout', payoutRatio: 60
+    });
+    assertClose(result.sustainableGrowth.growthRate, 5);
+    assertClose(result.requiredReturn, 9.2);
+  });
+  
+  test('quarterly payments over a 20-year horizon', () => {
+    const result = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 5, projectionYears: 20, payoutFrequency: 'quarterly'
+    });
+    const payments = result.cashFlows.slice(1);
+    const firstYear = payments
+      .filter(cf => cf.year === 1)
+      .reduce((sum, cf) => sum + cf.dividend, 0);
+    assert.equal(result.periodsPerYear, 4);
+    assert.equal(payments.length, 80);
+    assertClose(firstYear, 2.1);
+  });
+});
+
+describe('generateCashFlows', () => {
+  const params = { marketPrice: 50, currentDividend: 2, growthRateDecimal: 0.05, years: 3 };
+  
+  test('starts with the purchase at year 0', () => {
+    const [initial] = generateCashFlows(params);
+    assert.equal(initial.year, 0);
+    assert.equal(initial.dividend, 0);
+    assert.equal(initial.investment, -50);
+    assert.equal(initial.cumulativeCashFlow, -50);
+    assert.equal(initial.growthRate, null);
+    assert.equal(initial.discountFactor, undefined);
+  });
+  
+  test('grows the dividend each year and keeps a running total', () => {
+    const cashFlows = generateCashFlows(params);
+    assert.equal(cashFlows.length, 4);
+    assertClose(cashFlows[1].dividend, 2.1);
+    assertClose(cashFlows[2].dividend, 2.205);
+    assertClose(cashFlows[3].dividend, 2.31525);
+    assertClose(cashFlows[3].cumulativeCashFlow, -50 + 2.1 + 2.205 + 2.31525);
+    assert.equal(cashFlows[3].growthRate, 5);
+  });
+  
+  test('follows a growth schedule when given one', () => {
+    const cashFlows = generateCashFlows({ ...params, growthSchedule: [0.1, 0.05, 0] });
+    assertClose(cashFlows[1].dividend, 2.2);
+    assertClose(cashFlows[2].dividend, 2.31);
+    assertClose(cashFlows[3].dividend, 2.31);
+    assertClose(cashFlows[1].growthRate, 10);
+  });
+  
+  test('splits each year into equal instalments', () => {
+    const cashFlows = generateCashFlows({ ...params, years: 1, periodsPerYear: 2 });
+    assert.equal(cashFlows.length, 3);
+    assertClose(cashFlows[1].dividend, 1.05);
+    assertClose(cashFlows[1].time, 0.5);
+    assert.equal(cashFlows[2].period, 2);
+    assert.equal(cashFlows[2].periodInYear, 2);
+  });
+  
+  test('discounts each payment when r is given', () => {
+    const cashFlows = generateCashFlows({ ...params, requiredReturnDecimal: 0.1 });
+    assert.equal(cashFlows[0].discountFactor, 1);
+    assertClose(cashFlows[2].discountFactor, 1 / 1.21);
+    assertClose(cashFlows[2].presentValue, 2.205 / 1.21);
+    assertClose(cashFlows[2].cumulativePresentValue, 2.1 / 1.1 + 2.205 / 1.21);
+  });
+  
+  test('zero dividend stays at zero', () => {
+    const cashFlows = generateCashFlows({ ...params, currentDividend: 0 });
+    assert.ok(cashFlows.every(cf => cf.dividend === 0));
+  });
+});
+
+describe('Gordon rearrangements', () => {
+  test('price is D₁ / (r − g)', () => {
+    assertClose(calculateGordonPrice(2.1, 0.092, 0.05), 50);
+  });
+  
+  test('price with zero growth is a perpetuity', () => {
+    assertClose(calculateGordonPrice(2, 0.1, 0), 20);
+  });
+  
+  test('price throws when g equals r', () => {
+    assert.throws(() => calculateGordonPrice(2, 0.05, 0.05), /Growth rate must be less than required return/);
+  });
+  
+  test('price throws when g exceeds r', () => {
+    assert.throws(() => calculateGordonPrice(2, 0.05, 0.08), /Growth rate must be less than required return/);
+  });
+  
+  test('dividend throws when g reaches r', () => {
+    assert.throws(() => calculateGordonDividend(50, 0.05, 0.05), /Growth rate must be less than required return/);
+  });
+});
+
+describe('calculateCostOfEquityEstimates', () => {
+  const settings = {
+    capmEnabled: true, riskFreeRate: 4, beta: 1.2, equityRiskPremium: 5,
+    bondYieldEnabled: false, bondYield: 7.5, bondRiskPremium: 4
+  };
+  
+  test('CAPM spread against the DDM return', () => {
+    // CAPM 4% + 1.2 × 5% = 10%; DDM r 9.2% − 10% = −0.8 pp
+    const [estimate, ...rest] = calculateCostOfEquityEstimates(settings, 9.2);
+    assert.equal(rest.length, 0);
+    assert.equal(estimate.key, 'capm');
+    assertClose(estimate.value, 10);
+    assertClose(estimate.spread, -0.8);
+  });
+  
+  test('only enabled methods are returned', () => {
+    const estimates = calculateCostOfEquityEstimates({ ...settings, capmEnabled: false, bondYieldEnabled: true }, 9.2);
+    assert.deepEqual(estimates.map(estimate => estimate.key), ['bondYield']);
+    assertClose(estimates[0].value, 11.5);
+  });
+});
+
+describe('real returns', () => {
+  const nominal = calculateRequiredReturnMetrics({ marketPrice: 50, currentDividend: 2, growthRate: 5 });
+  
+  test('converts r and g with the Fisher relationship', () => {
+    const real = calculateRealReturn(nominal, 2.5);
+    assert.equal(real.nominalReturn, nominal.requiredReturn);
+    assertClose(real.realReturn, (1.092 / 1.025 - 1) * 100);
+    assertClose(real.realGrowth, (1.05 / 1.025 - 1) * 100);
+    assertClose((1 + real.realReturn / 100) * 1.025, 1.092);
+  });
+  
+  test('deflates the cash flows without changing their present values', () => {
+    const real = toRealTerms(nominal, 2.5);
+    const [, first, , third] = real.cashFlows;
+    
+    assertClose(first.dividend, 2.1 / 1.025);
+    assert.equal(first.nominalDividend, 2.1);
+    assertClose(third.dividend, 2 * Math.pow(1.05, 3) / Math.pow(1.025, 3));
+    assertClose(third.growthRate, (1.05 / 1.025 - 1) * 100);
+    assertClose(third.presentValue, third.dividend / Math.pow(1 + real.requiredReturnDecimal, 3));
+    assertClose(third.presentValue, nominal.cashFlows[3].presentValue);
+    
+    // The real terminal value at the real r is worth the same today
+    const { terminalValue, presentValue, year } = real.horizonValue;
+    assertClose(terminalValue / Math.pow(1 + real.requiredReturnDecimal, year), presentValue);
+    assertClose(real.totalPresentValue, 50);
+    assert.equal(real.inflationRate, 2.5);
+  });
+});
+
+describe('after-tax returns', () => {
+  const rates = { dividendTaxRate: 15, capitalGainsTaxRate: 20 };
+  
+  test('taxes the dividend yield and the growth separately', () => {
+    // 4.2% × 0.85 + 5% × 0.8 = 3.57% + 4% = 7.57%
+    const result = calculateAfterTaxReturn(calculateRequiredReturnMetrics({ marketPrice: 50, currentDividend: 2, growthRate: 5 }), rates);
+    assertClose(result.preTax.dividendYield, 4.2);
+    assertClose(result.preTax.capitalGain, 5);
+    assertClose(result.afterTax.dividendYield, 3.57);
+    assertClose(result.afterTax.capitalGain, 4);
+    assertClose(result.afterTax.requiredReturn, 7.57);
+    assertClose(result.taxDrag, 1.63);
+  });
+  
+  test('takes the capital gain as r less the yield for multi-stage models', () => {
+    const calculations = calculateRequiredReturnMetrics({
+      marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'twoStage', highGrowthRate: 10, highGrowthYears: 5
+    });
+    const { preTax } = calculateAfterTaxReturn(calculations, rates);
+    assertClose(preTax.dividendYield + preTax.capitalGain, calculations.requiredReturn);
+    assertClose(preTax.dividendYield, 4.4);
+  });
+  
+  test('adds the after-tax dividend to each cash flow', () => {
+    const cashFlows = addAfterTaxDividends(generateCashFlows({ marketPrice: 50, currentDividend: 2, growthRateDecimal: 0.05, years: 2 }), 15);
+    [0, 2.1 * 0.85, 2.205 * 0.85].forEach((expected, index) => assertClose(cashFlows[index].afterTaxDividend, expected));
+  });
+});
+
+describe('generateSensitivityGrid', () => {
+  const SETTINGS = { growthSpread: 1, growthStep: 0.5, priceSpread: 20, priceStep: 10 };
+  
+  test('spans the growth and price ranges around the base case', () => {
+    const grid = generateSensitivityGrid({ marketPrice: 50, currentDividend: 2, growthRate: 5 }, SETTINGS);
+    assert.deepEqual(grid.growthRates, [4, 4.5, 5, 5.5, 6]);
+    grid.prices.forEach((price, i) => assertClose(price, [40, 45, 50, 55, 60][i]));
+    assert.deepEqual([grid.baseRow, grid.baseColumn], [2, 2]);
+    assert.equal(grid.rows.length, 5);
+  });
+  
+  test('solves each cell with the constant growth model', () => {
+    const { rows } = generateSensitivityGrid({ marketPrice: 50, currentDividend: 2, growthRate: 5 }, SETTINGS);
+    // Base: 2 × 1.05 / 50 + 0.05; corner: 2 × 1.04 / 40 + 0.04
+    assertClose(rows[2].requiredReturns[2], 9.2);
+    assertClose(rows[0].requiredReturns[0], 9.2);
+    assertClose(rows[4].requiredReturns[4], 2 * 1.06 / 60 * 100 + 6);
+  });
+  
+  test('solves for r even when the inputs solve for another unknown', () => {
+    const { rows } = generateSensitivityGrid(
+      { marketPrice: 50, currentDividend: 2, growthRate: 5, solveFor: 'marketPrice', targetReturn: 12 },
+      SETTINGS
+    );
+    assertClose(rows[2].requiredReturns[2], 9.2);
+  });
+  
+  test('matches the multi-stage r in the base cell', () => {
+    const params = { marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'hModel', highGrowthRate: 10, highGrowthYears: 6 };
+    const { rows } = generateSensitivityGrid(params, SETTINGS);
+    assertClose(rows[2].requiredReturns[2], calculateRequiredReturnMetrics(params).requiredReturn);
+  });
+  
+  test('passes each cell to the given solver', () => {
+    const cells = [];
+    generateSensitivityGrid({ marketPrice: 50, currentDividend: 2, growthRate: 5 }, SETTINGS, cell => {
+      cells.push(cell);
+      return { requiredReturn: 0 };
+    });
+    assert.equal(cells.length, 25);
+    assert.deepEqual([cells[0].growthRate, cells[0].solveFor], [4, 'requiredReturn']);
+  });
+});
+
+describe('total shareholder yield', () => {
+  const TOTAL_PAYOUT_INPUTS = { marketPrice: 50, currentDividend: 2, growthRate: 5, netBuyback: 1 };
+  
+  test('constant growth: r = (D₁ + B₁) / P₀ + g', () => {
+    // (2.1 + 1.05) / 50 + 0.05 = 0.063 + 0.05 = 0.113
+    const result = calculateRequiredReturn(TOTAL_PAYOUT_INPUTS);
+    assertClose(result.requiredReturn, 11.3);
+    assertClose(result.dividendYield, 4.2);
+    assert.deepEqual(Object.keys(result.totalPayout), ['b1', 'buybackYield', 'totalYield']);
+    assertClose(result.totalPayout.b1, 1.05);
+    assertClose(result.totalPayout.buybackYield, 2.1);
+    assertClose(result.totalPayout.totalYield, 6.3);
+    assert.equal(calculateRequiredReturn({ marketPrice: 50, currentDividend: 2, growthRate: 5 }).totalPayout, undefined);
+  });
+  
+  test('splits each payment into dividend and buybacks that discount back to P₀', () => {
+    const calculations = calculateRequiredReturnMetrics(TOTAL_PAYOUT_INPUTS);
+    const [initial, first, second] = calculations.cashFlows;
+    assert.equal(initial.buyback, 0);
+    assertClose(first.dividend, 2.1);
+    assertClose(first.buyback, 1.05);
+    assertClose(first.totalCashFlow, 3.15);
+    assertClose(second.buyback, 1.1025);
+    assertClose(calculations.totalPresentValue, 50);
+    assert.equal(calculations.inputs.netBuyback, 1);
+  });
+  
+  test('net issuance lowers the multi-stage required return', () => {
+    const inputs = { ...TOTAL_PAYOUT_INPUTS, model: 'twoStage', highGrowthRate: 10, highGrowthYears: 5 };
+    const dilution = calculateRequiredReturnMetrics({ ...inputs, netBuyback: -0.5 });
+    const dividendsOnly = calculateRequiredReturnMetrics({ ...inputs, netBuyback: null });
+    assert.ok(dilution.requiredReturn < dividendsOnly.requiredReturn);
+    assert.ok(dilution.cashFlows[1].buyback < 0);
+    assertClose(dilution.totalPresentValue, 50, 1e-6);
+    
+    // A total payout of D₀ + B₀ = 1.5 matches a dividend of 1.5
+    assertClose(dilution.requiredReturn, calculateRequiredReturnMetrics({ ...inputs, currentDividend: 1.5, netBuyback: null }).requiredReturn);
+  });
+  
+  test('converts buyback and issuance yields to an amount per share', () => {
+    assert.equal(calculateNetBuyback({ basis: 'perShare', buybacks: 1.5, issuance: 0.5 }, 50), 1);
+    assertClose(calculateNetBuyback({ basis: 'yield', buybacks: 3, issuance: 1 }, 50), 1);
+  });
+  
+  test('deflates buybacks with the dividends', () => {
+    const real = toRealTerms(calculateRequiredReturnMetrics(TOTAL_PAYOUT_INPUTS), 2.5);
+    assertClose(real.cashFlows[1].buyback, 1.05 / 1.025);
+    assertClose(real.cashFlows[1].totalCashFlow, 3.15 / 1.025);
+  });
+});
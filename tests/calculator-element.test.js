@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { plain } from './dom.js';
+import { RequiredReturnCalculatorElement } from '../return-modules/calculator-element.js';
+import { getNumberFormat } from '../return-modules/utils.js';
+
+/**
+ * Add a calculator to the page, recording the events it dispatches
+ * @param {Object} attributes - Attributes to set before connecting
+ * @returns {Object} { element, events }
+ */
+function mount(attributes = {}) {
+  const element = document.createElement('required-return-calculator');
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  
+  const events = [];
+  ['calculate', 'validationchange'].forEach(type => {
+    element.addEventListener(type, event => events.push({ type, detail: event.detail }));
+  });
+  document.body.appendChild(element);
+  return { element, events };
+}
+
+function text(element, selector) {
+  return plain(element.shadowRoot.querySelector(selector).textContent);
+}
+
+describe('<required-return-calculator>', () => {
+  test('is registered as a custom element', () => {
+    assert.equal(customElements.get('required-return-calculator'), RequiredReturnCalculatorElement);
+  });
+  
+  test('calculates from its attributes on connect', () => {
+    const { element, events } = mount({ price: '50', dividend: '2', growth: '5' });
+    
+    assert.deepEqual(events.map(event => event.type), ['calculate']);
+    assert.ok(Math.abs(events[0].detail.returnCalculations.requiredReturn - 9.2) < 1e-9);
+    assert.equal(element.returnCalculations, events[0].detail.returnCalculations);
+    assert.equal(text(element, '.result-box.required-return .result-value'), '9.20%');
+    assert.ok(element.shadowRoot.querySelector('.embed-equation math'));
+    assert.ok(element.shadowRoot.querySelector('.embed-chart svg'));
+    assert.equal(element.shadowRoot.querySelectorAll('.embed-table tbody tr').length, 11);
+    element.remove();
+  });
+  
+  test('renders inside its shadow root, leaving the page untouched', () => {
+    const pageResults = document.getElementById('results-content').innerHTML;
+    const { element } = mount({ price: '50', dividend: '2', growth: '5' });
+    const { element: other } = mount({ price: '100', dividend: '3', growth: '8' });
+    
+    assert.equal(document.getElementById('results-content').innerHTML, pageResults);
+    assert.equal(text(element, '.result-box.required-return .result-value'), '9.20%');
+    assert.equal(text(other, '.result-box.required-return .result-value'), '11.24%');
+    element.remove();
+    other.remove();
+  });
+  
+  test('reports validation changes with the validateField messages', () => {
+    const { element, events } = mount({ price: '50', dividend: '2', growth: '5' });
+    events.length = 0;
+    
+    element.setAttribute('growth', '30');
+    assert.deepEqual(events.map(event => event.type), ['validationchange']);
+    assert.deepEqual(events[0].detail, {
+      errors: { growthRate: 'Growth rate must be between -20% and 25%' },
+      isValid: false,
+      returnCalculations: null
+    });
+    assert.equal(element.shadowRoot.querySelector('#growth').getAttribute('aria-invalid'), 'true');
+    assert.equal(text(element, '.validation-summary li'), 'Growth rate must be between -20% and 25%');
+    
+    events.length = 0;
+    element.setAttribute('growth', '5');
+    assert.deepEqual(events.map(event => event.type), ['calculate', 'validationchange']);
+    assert.equal(events[1].detail.isValid, true);
+    assert.equal(events[1].detail.returnCalculations, element.returnCalculations);
+    assert.equal(element.shadowRoot.querySelector('.validation-summary').hidden, true);
+    element.remove();
+  });
+  
+  test('shows assumption warnings without blocking the result', () => {
+    const { element, events } = mount({ price: '50', dividend: '2', growth: '6' });
+    const summary = element.shadowRoot.querySelector('.validation-summary');
+    
+    assert.deepEqual(events[0].detail.warnings.map(warning => warning.key), ['growthAboveGdp']);
+    assert.equal(summary.hidden, false);
+    assert.ok(summary.classList.contains('warning'));
+    assert.equal(summary.getAttribute('role'), 'status');
+    assert.equal(text(element, '.validation-title'), 'Check these assumptions:');
+    assert.match(text(element, '.result-warning'), /^Check: Growth above GDP/);
+    
+    element.setAttribute('growth', '5');
+    assert.equal(summary.hidden, true);
+    assert.equal(element.shadowRoot.querySelector('.result-warning'), null);
+    element.remove();
+  });
+  
+  test('switches model from the model buttons', () => {
+    const { element } = mount({ price: '50', dividend: '2', growth: '5', 'high-growth': '10', 'high-growth-years': '5' });
+    element.shadowRoot.querySelector('[data-model="twoStage"]').click();
+    
+    assert.equal(element.getAttribute('model'), 'twoStage');
+    assert.equal(element.returnCalculations.model, 'twoStage');
+    assert.equal(element.shadowRoot.querySelector('#high-growth').closest('.input-inline').hidden, false);
+    assert.match(text(element, 'label[for="growth"]'), /^Stable growth rate/);
+    element.remove();
+  });
+  
+  test('formats in its own currency without changing the page format', () => {
+    const { element } = mount({ price: '50', dividend: '2', growth: '5', currency: 'EUR', locale: 'de-DE' });
+    
+    assert.equal(text(element, '[data-currency-code]'), 'EUR');
+    assert.match(text(element, '.result-box.required-return .result-secondary small'), /2,10 EUR$/);
+    assert.deepEqual(getNumberFormat(), { currency: 'USD', locale: 'en-US' });
+    element.remove();
+  });
+  
+  test('shows the view named by the view attribute', () => {
+    const { element } = mount({ view: 'table' });
+    
+    assert.equal(element.shadowRoot.querySelector('.embed-chart').hidden, true);
+    assert.equal(element.shadowRoot.querySelector('.embed-table').hidden, false);
+    assert.equal(element.shadowRoot.querySelector('[data-view="table"]').getAttribute('aria-pressed'), 'true');
+    element.remove();
+  });
+});
@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseDividendHistory,
+  estimatePaymentsPerYear,
+  annualizeDividends,
+  estimateGrowth,
+  analyzeDividendHistory
+} from '../return-modules/dividend-history.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+/**
+ * Quarterly payments growing 5% a year from 2019, plus one payment in 2026
+ */
+function quarterlyHistory() {
+  const rows = ['Date,Dividend'];
+  for (let year = 2019; year <= 2026; year++) {
+    const payment = 0.25 * Math.pow(1.05, year - 2019);
+    const months = year === 2026 ? ['03'] : ['03', '06', '09', '12'];
+    months.forEach(month => rows.push(`${year}-${month}-15,${payment}`));
+  }
+  return rows.join('\n');
+}
+
+describe('parseDividendHistory', () => {
+  test('reads dated payments with or without a header, oldest first', () => {
+    const withHeader = parseDividendHistory('date,dps\n2021-06-15,0.50\n2020-06-15,0.40\n');
+    assert.deepEqual(withHeader.map(({ date, year, dividend }) => [date, year, dividend]), [
+      ['2020-06-15', 2020, 0.4],
+      ['2021-06-15', 2021, 0.5]
+    ]);
+    assert.deepEqual(parseDividendHistory('2020,1\n2021-03,1.1').map(({ year }) => year), [2020, 2021]);
+  });
+  
+  test('finds the columns by name', () => {
+    const [payment] = parseDividendHistory('ticker,amount,date\nABC,0.42,2024-03-15');
+    assert.equal(payment.date, '2024-03-15');
+    assert.equal(payment.dividend, 0.42);
+  });
+  
+  test('rejects missing columns, bad dates and bad amounts', () => {
+    assert.throws(() => parseDividendHistory(''), { message: 'Dividend history is empty' });
+    assert.throws(() => parseDividendHistory('when,paid\n2024,1'), { message: 'Dividend history needs a date column and a dividend column' });
+    assert.throws(() => parseDividendHistory('2024-02-30,1'), { message: "Row 1: date '2024-02-30' is not in YYYY-MM-DD form" });
+    assert.throws(() => parseDividendHistory('date,dividend\n2024-01-15,1\n2024-04-15,-1'), { message: 'Row 2: dividend must be a number of zero or more' });
+  });
+});
+
+describe('annualizeDividends', () => {
+  test('recognizes the payment frequency', () => {
+    assert.equal(estimatePaymentsPerYear(parseDividendHistory(quarterlyHistory())), 4);
+    assert.equal(estimatePaymentsPerYear(parseDividendHistory('2020-06-01,1\n2020-12-01,1\n2021-06-01,1')), 2);
+    assert.equal(estimatePaymentsPerYear(parseDividendHistory('2024-06-01,1')), 1);
+  });
+  
+  test('totals calendar years and leaves out partial first and last years', () => {
+    const payments = parseDividendHistory('2019-12-15,0.3\n' + quarterlyHistory().split('\n').slice(1).join('\n'));
+    const annual = annualizeDividends(payments, 4);
+    assert.deepEqual(annual.map(({ year }) => year), [2019, 2020, 2021, 2022, 2023, 2024, 2025]);
+    assertClose(annual[0].dividend, 1.3);
+    
+    const partial = annualizeDividends(parseDividendHistory('2019-09-15,0.3\n2019-12-15,0.3\n2020-03-15,0.3\n2020-06-15,0.3\n2020-09-15,0.3\n2020-12-15,0.3'), 4);
+    assert.deepEqual(partial, [{ year: 2020, dividend: 1.2 }]);
+  });
+});
+
+describe('estimateGrowth', () => {
+  test('all methods agree on steady growth', () => {
+    const annual = [0, 1, 2, 3].map(index => ({ year: 2020 + index, dividend: 2 * Math.pow(1.04, index) }));
+    const estimates = estimateGrowth(annual);
+    assert.deepEqual(estimates.map(({ key }) => key), ['cagr', 'logLinear', 'arithmeticMean']);
+    estimates.forEach(({ growthRate, fitted }) => {
+      assertClose(growthRate, 4);
+      assertClose(fitted[3].dividend, annual[3].dividend);
+    });
+  });
+  
+  test('methods differ on uneven growth', () => {
+    // Changes of +10%, −10% and +21%
+    const annual = [1, 1.1, 0.99, 1.1979].map((dividend, index) => ({ year: 2020 + index, dividend }));
+    const [cagr, logLinear, arithmeticMean] = estimateGrowth(annual).map(({ growthRate }) => growthRate);
+    assertClose(cagr, (Math.pow(1.1979, 1 / 3) - 1) * 100);
+    assertClose(arithmeticMean, 7);
+    assert.ok(logLinear > 0 && logLinear !== cagr);
+  });
+  
+  test('spreads a change across a missing year', () => {
+    const estimates = estimateGrowth([{ year: 2020, dividend: 1 }, { year: 2022, dividend: 1.21 }]);
+    estimates.forEach(({ growthRate }) => assertClose(growthRate, 10));
+  });
+  
+  test('needs two years of positive dividends', () => {
+    assert.throws(() => estimateGrowth([{ year: 2024, dividend: 1 }]), { message: 'At least two full years of dividends are needed to estimate growth' });
+    assert.throws(() => estimateGrowth([{ year: 2023, dividend: 0 }, { year: 2024, dividend: 1 }]), { message: 'Every year needs a dividend above zero to estimate growth' });
+  });
+});
+
+describe('analyzeDividendHistory', () => {
+  test('annualizes the latest payment for D₀', () => {
+    const analysis = analyzeDividendHistory(quarterlyHistory());
+    assert.equal(analysis.periodsPerYear, 4);
+    assert.equal(analysis.latestDate, '2026-03-15');
+    assertClose(analysis.latestDividend, 4 * 0.25 * Math.pow(1.05, 7));
+    assert.deepEqual(analysis.annual.map(({ year }) => year), [2019, 2020, 2021, 2022, 2023, 2024, 2025]);
+    analysis.estimates.forEach(({ growthRate }) => assertClose(growthRate, 5));
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * DOM Shim
+ * Loads index.html into jsdom and exposes its window, document and the few
+ * other browser globals the modules use, so they can be imported and run under Node
+ */
+
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const html = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+/**
+ * Browser globals the modules use besides window and document
+ */
+const WINDOW_GLOBALS = ['HTMLElement', 'customElements', 'CustomEvent', 'Event'];
+
+const nodeFetch = globalThis.fetch;
+
+/**
+ * Replace the global document with a fresh copy of the page
+ * @returns {Window} The new window
+ */
+export function resetDOM() {
+  const { window } = new JSDOM(html, { url: 'http://localhost/' });
+  globalThis.window = window;
+  globalThis.document = window.document;
+  WINDOW_GLOBALS.forEach(name => {
+    globalThis[name] = window[name];
+  });
+  return window;
+}
+
+/**
+ * Serve module-relative fetches (stylesheets) from disk
+ */
+globalThis.fetch = (url, options) => String(url).startsWith('file:')
+  ? readFile(new URL(url)).then(body => new Response(body))
+  : nodeFetch(url, options);
+
+/**
+ * Collapse Intl spacing (non-breaking and narrow spaces) to plain spaces
+ * @param {string} text - Formatted text
+ * @returns {string} Text with ordinary spaces
+ */
+export function plain(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+resetDOM();
@@ -0,0 +1,134 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  HISTORY_FIELDS,
+  captureSnapshot,
+  getChangedFields,
+  resetHistory,
+  recordHistory,
+  undo,
+  redo,
+  canUndo,
+  canRedo
+} from '../return-modules/history.js';
+import { validateAllInputs } from '../return-modules/validation.js';
+import { state } from '../return-modules/state.js';
+
+let current;
+
+/**
+ * Apply an edit to the working copy and record it at the given time
+ * @param {Object} updates - Changed fields
+ * @param {number} now - Time of the edit (ms)
+ * @returns {boolean} Result of recordHistory
+ */
+function edit(updates, now) {
+  current = { ...current, ...updates };
+  return recordHistory(current, now);
+}
+
+beforeEach(() => {
+  current = captureSnapshot(state);
+  resetHistory(current);
+});
+
+describe('history', () => {
+  test('records the inputs and every settings group', () => {
+    ['marketPrice', 'totalPayout', 'paymentSchedule', 'inflation', 'tax', 'crossCheck', 'sensitivity', 'simulation']
+      .forEach(field => assert.ok(HISTORY_FIELDS.includes(field), field));
+  });
+  
+  test('ignores changes outside the recorded fields', () => {
+    assert.equal(edit({ viewMode: 'table', errors: { marketPrice: 'Required' } }, 0), false);
+    assert.equal(canUndo(), false);
+  });
+  
+  test('undo and redo restore the recorded values', () => {
+    edit({ marketPrice: 60 }, 0);
+    edit({ model: 'twoStage' }, 5000);
+    
+    assert.equal(undo().model, 'constant');
+    const first = undo();
+    assert.equal(first.marketPrice, state.marketPrice);
+    assert.equal(undo(), null);
+    assert.equal(canRedo(), true);
+    
+    assert.equal(redo().marketPrice, 60);
+    assert.equal(redo().model, 'twoStage');
+    assert.equal(redo(), null);
+  });
+  
+  test('a new edit after an undo drops the redo steps', () => {
+    edit({ marketPrice: 60 }, 0);
+    undo();
+    current = captureSnapshot(state);
+    edit({ growthRate: 3 }, 5000);
+    assert.equal(canRedo(), false);
+  });
+  
+  test('merges edits to one field within the merge window', () => {
+    edit({ marketPrice: 5 }, 0);
+    edit({ marketPrice: 55 }, 1000);
+    edit({ marketPrice: 55.5 }, 2000);
+    assert.equal(undo().marketPrice, state.marketPrice);
+    assert.equal(canUndo(), false);
+  });
+  
+  test('starts a new step after the merge window or for another field', () => {
+    edit({ marketPrice: 55 }, 0);
+    edit({ marketPrice: 56 }, 1500);
+    edit({ growthRate: 3 }, 1600);
+    edit({ growthRate: 4 }, 1700);
+    
+    assert.equal(undo().growthRate, state.growthRate);
+    assert.equal(undo().marketPrice, 55);
+    assert.equal(undo().marketPrice, state.marketPrice);
+  });
+  
+  test('keeps the last 100 steps', () => {
+    for (let i = 1; i <= 120; i++) {
+      edit({ projectionYears: i % 2 ? 5 : 10, marketPrice: 50 + i }, i * 2000);
+    }
+    let steps = 0;
+    let snapshot;
+    while ((snapshot = undo())) {
+      steps++;
+      assert.equal(snapshot.marketPrice, 120 - steps + 50);
+    }
+    assert.equal(steps, 100);
+  });
+  
+  test('tracks nested settings key by key', () => {
+    const simulation = { ...current.simulation, growth: { ...current.simulation.growth, stdDev: 2 } };
+    assert.deepEqual(getChangedFields(current, { ...current, simulation }), ['simulation.growth.stdDev']);
+    
+    // The same settings in new objects are no change
+    const copy = { ...current.simulation, growth: { ...current.simulation.growth } };
+    assert.equal(edit({ simulation: copy }, 0), false);
+    
+    edit({ sensitivity: { ...current.sensitivity, hurdleRate: 11 } }, 0);
+    edit({ tax: { ...current.tax, enabled: true } }, 100);
+    assert.equal(undo().tax.enabled, false);
+    assert.equal(undo().sensitivity.hurdleRate, state.sensitivity.hurdleRate);
+  });
+  
+  test('snapshots are not changed by later edits to the settings', () => {
+    const sensitivity = { ...state.sensitivity };
+    current = { ...current, sensitivity };
+    resetHistory(current);
+    edit({ sensitivity: { ...sensitivity, hurdleRate: 11 } }, 0);
+    sensitivity.hurdleRate = 99;
+    assert.equal(undo().sensitivity.hurdleRate, state.sensitivity.hurdleRate);
+  });
+  
+  test('undo restores an invalid entry so it is flagged again', () => {
+    edit({ marketPrice: -5 }, 0);
+    edit({ growthRate: 3 }, 5000);
+    edit({ marketPrice: 50 }, 10000);
+    
+    const snapshot = undo();
+    assert.equal(snapshot.marketPrice, -5);
+    assert.ok(validateAllInputs(snapshot).marketPrice);
+    assert.equal(validateAllInputs(redo()).marketPrice, undefined);
+  });
+});
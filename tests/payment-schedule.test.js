@@ -0,0 +1,158 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseISODate,
+  toLocalISODate,
+  addMonths,
+  yearFraction,
+  buildPaymentDates,
+  resolvePaymentDates,
+  calculateDatedReturnMetrics
+} from '../return-modules/payment-schedule.js';
+import { calculateRequiredReturnMetrics, generateSensitivityGrid } from '../return-modules/calculations.js';
+
+const BASE_INPUTS = { marketPrice: 50, currentDividend: 2, growthRate: 5 };
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+describe('dates', () => {
+  test('parses only real YYYY-MM-DD dates', () => {
+    assert.equal(parseISODate('2027-03-15'), Date.UTC(2027, 2, 15));
+    assert.equal(parseISODate('2027-02-30'), null);
+    assert.equal(parseISODate('2027-3-15'), null);
+    assert.equal(parseISODate(''), null);
+  });
+  
+  test('formats the local calendar day', () => {
+    assert.equal(toLocalISODate(new Date(2026, 9, 19, 23, 30)), '2026-10-19');
+    assert.equal(toLocalISODate(new Date(2027, 0, 5, 0, 15)), '2027-01-05');
+  });
+  
+  test('adds months without running past the end of the month', () => {
+    assert.equal(addMonths('2027-01-31', 1), '2027-02-28');
+    assert.equal(addMonths('2028-01-31', 1), '2028-02-29');
+    assert.equal(addMonths('2027-11-15', 3), '2028-02-15');
+  });
+  
+  test('counts years as actual days over 365', () => {
+    assert.equal(yearFraction('2027-01-01', '2028-01-01'), 1);
+    assertClose(yearFraction('2028-01-01', '2029-01-01'), 366 / 365);
+  });
+});
+
+describe('buildPaymentDates', () => {
+  test('steps from the first payment to the end of the horizon', () => {
+    const dates = buildPaymentDates({ purchaseDate: '2026-10-19', firstPaymentDate: '2026-12-15', periodsPerYear: 4, years: 2 });
+    assert.deepEqual(dates, [
+      '2026-12-15', '2027-03-15', '2027-06-15', '2027-09-15',
+      '2027-12-15', '2028-03-15', '2028-06-15', '2028-09-15'
+    ]);
+  });
+  
+  test('keeps month-end payments at month end', () => {
+    const dates = buildPaymentDates({ purchaseDate: '2026-12-01', firstPaymentDate: '2026-12-31', periodsPerYear: 4, years: 1 });
+    assert.deepEqual(dates, ['2026-12-31', '2027-03-31', '2027-06-30', '2027-09-30']);
+  });
+  
+  test('sorts listed dates and drops repeats', () => {
+    const dates = resolvePaymentDates({ entry: 'dates', paymentDates: '2028-01-15\n2027-01-15, 2028-01-15\n' }, 1, 10);
+    assert.deepEqual(dates, ['2027-01-15', '2028-01-15']);
+  });
+});
+
+describe('calculateDatedReturnMetrics', () => {
+  test('matches the Gordon r when payments fall on the anniversaries of the purchase', () => {
+    const calculations = calculateDatedReturnMetrics(
+      { ...BASE_INPUTS, projectionYears: 3 },
+      { purchaseDate: '2025-01-01', entry: 'frequency', firstPaymentDate: '2026-01-01' }
+    );
+    
+    assertClose(calculations.requiredReturn, 9.2);
+    assert.deepEqual(calculations.dated, { purchaseDate: '2025-01-01', annualReturn: 9.2, payments: 3 });
+    assert.deepEqual(calculations.cashFlows.map(({ date }) => date), ['2025-01-01', '2026-01-01', '2027-01-01', '2028-01-01']);
+    assertClose(calculations.totalPresentValue, 50);
+  });
+  
+  test('earns more when the same dividends arrive sooner', () => {
+    const calculations = calculateDatedReturnMetrics(
+      { ...BASE_INPUTS, payoutFrequency: 'quarterly' },
+      { purchaseDate: '2026-10-19', entry: 'frequency', firstPaymentDate: '2026-12-15' }
+    );
+    
+    assert.equal(calculations.cashFlows.length, 41);
+    assert.ok(calculations.requiredReturn > calculations.dated.annualReturn);
+    assert.equal(calculations.horizonValue.date, '2036-09-15');
+    assertClose(calculations.totalPresentValue, 50);
+    
+    // Each year of holding pays D_t in four equal instalments
+    const [, first, , , fourth, fifth] = calculations.cashFlows;
+    assert.deepEqual([first.year, first.periodInYear, fourth.year, fourth.periodInYear, fifth.year], [1, 1, 1, 4, 2]);
+    assertClose(first.dividend, 2.1 / 4);
+    assertClose(fifth.dividend, 2.1 * 1.05 / 4);
+  });
+  
+  test('solves a sensitivity grid from the payment dates', () => {
+    const params = { ...BASE_INPUTS, payoutFrequency: 'quarterly' };
+    const schedule = { purchaseDate: '2026-10-19', entry: 'frequency', firstPaymentDate: '2026-12-15' };
+    const settings = { growthSpread: 0.5, growthStep: 0.5, priceSpread: 10, priceStep: 10 };
+    const { rows } = generateSensitivityGrid(params, settings, cell => calculateDatedReturnMetrics(cell, schedule));
+    
+    assertClose(rows[1].requiredReturns[1], calculateDatedReturnMetrics(params, schedule).requiredReturn);
+    assert.ok(rows[1].requiredReturns[1] > calculateRequiredReturnMetrics(params).requiredReturn);
+    // A cheaper price earns more
+    assert.ok(rows[1].requiredReturns[0] > rows[1].requiredReturns[2]);
+  });
+  
+  test('values a high-growth period that runs past the last listed payment', () => {
+    const inputs = { ...BASE_INPUTS, model: 'twoStage', highGrowthRate: 10, highGrowthYears: 5 };
+    const calculations = calculateDatedReturnMetrics(inputs, {
+      purchaseDate: '2025-01-01',
+      entry: 'dates',
+      paymentDates: '2026-01-01\n2027-01-01'
+    });
+    
+    assertClose(calculations.requiredReturn, calculateRequiredReturnMetrics(inputs).requiredReturn);
+    assert.equal(calculations.years, 2);
+    assertClose(calculations.totalPresentValue, 50);
+  });
+  
+  test('values the instalments left in a partly listed last year', () => {
+    const calculations = calculateDatedReturnMetrics(
+      { ...BASE_INPUTS, payoutFrequency: 'quarterly' },
+      { purchaseDate: '2025-01-01', entry: 'dates', paymentDates: '2025-03-31\n2025-06-30' }
+    );
+    const r = calculations.requiredReturnDecimal;
+    
+    // Two of the four instalments of D₁ = 2.10 are listed; the other two are in the terminal value
+    assert.equal(calculations.years, 1);
+    assertClose(calculations.horizonValue.terminalValue, 2.1 / 2 + 2.1 * 1.05 / (r - 0.05));
+    assertClose(calculations.totalPresentValue, 50);
+    assert.ok(calculations.requiredReturn > 9.2);
+  });
+  
+  test('splits dated payments into dividends and buybacks', () => {
+    const calculations = calculateDatedReturnMetrics(
+      { ...BASE_INPUTS, netBuyback: 1, projectionYears: 3 },
+      { purchaseDate: '2025-01-01', entry: 'frequency', firstPaymentDate: '2026-01-01' }
+    );
+    
+    assertClose(calculations.requiredReturn, 11.3);
+    assertClose(calculations.cashFlows[1].dividend, 2.1);
+    assertClose(calculations.cashFlows[1].buyback, 1.05);
+    assertClose(calculations.totalPresentValue, 50);
+  });
+  
+  test('falls back to r = g without dividends', () => {
+    const calculations = calculateDatedReturnMetrics(
+      { ...BASE_INPUTS, currentDividend: 0 },
+      { purchaseDate: '2025-01-01', entry: 'dates', paymentDates: '2025-06-30' }
+    );
+    assertClose(calculations.requiredReturn, 5);
+    assert.equal(calculations.horizonValue.terminalValue, 0);
+  });
+});
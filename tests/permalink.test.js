@@ -0,0 +1,99 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PERMALINK_FIELDS, serializePermalink, parsePermalink, mergePermalink } from '../return-modules/permalink.js';
+import { state } from '../return-modules/state.js';
+import { captureScenarioInputs, resolveSolveFor } from '../return-modules/scenarios.js';
+
+describe('permalinks', () => {
+  test('round-trip the inputs and view', () => {
+    const query = serializePermalink({ ...state, growthRate: 5.5, model: 'hModel', viewMode: 'table' });
+    const linked = parsePermalink(`?${query}`);
+    assert.equal(linked.growthRate, 5.5);
+    assert.equal(linked.model, 'hModel');
+    assert.equal(linked.viewMode, 'table');
+  });
+  
+  test('lists the linked state fields for subscribing', () => {
+    ['marketPrice', 'viewMode', 'currency', 'totalPayout', 'crossCheck', 'sensitivity'].forEach(field => {
+      assert.ok(PERMALINK_FIELDS.includes(field), field);
+    });
+    ['errors', 'returnCalculations', 'simulationResult', 'warnings'].forEach(field => {
+      assert.ok(!PERMALINK_FIELDS.includes(field), field);
+    });
+  });
+  
+  test('round-trip the sensitivity grid settings', () => {
+    const sensitivity = { ...state.sensitivity, growthSpread: 3, hurdleRate: 12.5 };
+    assert.deepEqual(parsePermalink(serializePermalink({ ...state, sensitivity })).sensitivity, sensitivity);
+  });
+  
+  test('links the cross-check inputs only while the check is shown', () => {
+    const crossCheck = { ...state.crossCheck, capmEnabled: true, beta: 0.9 };
+    const query = serializePermalink({ ...state, crossCheck });
+    assert.match(query, /&capm=1&riskFree=4\.5&beta=0\.9&erp=6&/);
+    assert.doesNotMatch(query, /bondYield/);
+    assert.deepEqual(parsePermalink(query).crossCheck, { capmEnabled: true, riskFreeRate: 4.5, beta: 0.9, equityRiskPremium: 6 });
+  });
+  
+  test('returns only the settings keys in the link', () => {
+    assert.deepEqual(parsePermalink('hurdle=11&model=other'), { sensitivity: { hurdleRate: 11 } });
+    assert.deepEqual(parsePermalink(''), {});
+  });
+  
+  test('round-trip the total payout settings', () => {
+    const totalPayout = { enabled: true, basis: 'yield', buybacks: 2.5, issuance: 0.4 };
+    assert.match(serializePermalink({ ...state, totalPayout }), /&totalPayout=1&buybackBasis=yield&buybacks=2\.5&issuance=0\.4/);
+    assert.deepEqual(parsePermalink(serializePermalink({ ...state, totalPayout })).totalPayout, totalPayout);
+    assert.doesNotMatch(serializePermalink(state), /buyback/);
+  });
+  
+  test('round-trip dated payment schedules', () => {
+    const paymentSchedule = {
+      dated: true,
+      purchaseDate: '2026-03-02',
+      entry: 'dates',
+      firstPaymentDate: '',
+      paymentDates: '2026-06-15, 2026-12-15'
+    };
+    const linked = parsePermalink(serializePermalink({ ...state, paymentSchedule }));
+    assert.deepEqual(linked.paymentSchedule, { dated: true, purchaseDate: '2026-03-02', entry: 'dates', paymentDates: '2026-06-15, 2026-12-15' });
+    assert.deepEqual(mergePermalink(state, linked).paymentSchedule, paymentSchedule);
+  });
+  
+  test('round-trip the inflation settings', () => {
+    const inflation = { enabled: true, rate: 3.2, view: 'real' };
+    assert.match(serializePermalink({ ...state, inflation }), /&inflation=1&inflationRate=3\.2&cashFlows=real/);
+    assert.deepEqual(parsePermalink(serializePermalink({ ...state, inflation })).inflation, inflation);
+    assert.doesNotMatch(serializePermalink(state), /inflation/);
+  });
+  
+  test('round-trip the tax rates', () => {
+    const tax = { enabled: true, dividendTaxRate: 20, capitalGainsTaxRate: 0 };
+    assert.match(serializePermalink({ ...state, tax }), /&tax=1&dividendTax=20&gainsTax=0/);
+    assert.deepEqual(parsePermalink(serializePermalink({ ...state, tax })).tax, tax);
+    assert.doesNotMatch(serializePermalink(state), /tax/i);
+  });
+  
+  test('solves linked multi-stage models for r', () => {
+    const linked = mergePermalink(captureScenarioInputs(state), parsePermalink('model=twoStage&solve=marketPrice'));
+    assert.equal(linked.solveFor, 'marketPrice');
+    assert.equal(resolveSolveFor(linked).solveFor, 'requiredReturn');
+    assert.equal(resolveSolveFor({ ...linked, model: 'constant' }).solveFor, 'marketPrice');
+  });
+  
+  test('turns total payout and dated payments off when a link solves for another unknown', () => {
+    const linked = mergePermalink(captureScenarioInputs(state), parsePermalink('solve=growthRate&totalPayout=1&dated=1'));
+    const { solveFor, totalPayout, paymentSchedule } = resolveSolveFor(linked);
+    assert.equal(solveFor, 'growthRate');
+    assert.equal(totalPayout.enabled, false);
+    assert.equal(paymentSchedule.dated, false);
+    assert.equal(resolveSolveFor({ ...linked, solveFor: 'requiredReturn' }).totalPayout.enabled, true);
+  });
+  
+  test('merges linked settings over the current ones', () => {
+    const merged = mergePermalink(state, parsePermalink('hurdle=11&growth=4'));
+    assert.equal(merged.growthRate, 4);
+    assert.deepEqual(merged.sensitivity, { ...state.sensitivity, hurdleRate: 11 });
+    assert.equal(merged.crossCheck, state.crossCheck);
+  });
+});
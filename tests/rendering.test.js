@@ -0,0 +1,389 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetDOM, plain } from './dom.js';
+import {
+  calculateRequiredReturnMetrics,
+  calculateCostOfEquityEstimates,
+  calculateRealReturn,
+  toRealTerms,
+  calculateAfterTaxReturn,
+  addAfterTaxDividends,
+  generateSensitivityGrid
+} from '../return-modules/calculations.js';
+import { renderSensitivityTable } from '../return-modules/sensitivity.js';
+import { renderTable } from '../return-modules/table.js';
+import { renderResults, annotateRealReturn, annotateAfterTaxReturn } from '../return-modules/results.js';
+import { renderDynamicEquation } from '../return-modules/equation.js';
+import { analyzeDividendHistory } from '../return-modules/dividend-history.js';
+import { calculateDatedReturnMetrics } from '../return-modules/payment-schedule.js';
+import { renderGrowthEstimates } from '../return-modules/growth-estimates.js';
+
+const BASE_INPUTS = { marketPrice: 50, currentDividend: 2, growthRate: 5 };
+
+const TWO_STAGE_INPUTS = { ...BASE_INPUTS, model: 'twoStage', highGrowthRate: 10, highGrowthYears: 5 };
+
+/**
+ * Calculate and build the params the calculator passes to the renderers
+ * @param {Object} inputs - Calculator inputs
+ * @returns {Object} { calculations, params }
+ */
+function calculate(inputs) {
+  const calculations = calculateRequiredReturnMetrics(inputs);
+  return { calculations, params: { ...inputs, ...calculations.inputs } };
+}
+
+function text(selector) {
+  return plain(document.querySelector(selector).textContent);
+}
+
+beforeEach(() => {
+  resetDOM();
+});
+
+describe('renderTable', () => {
+  test('renders one row per cash flow with a terminal value footer', () => {
+    const { calculations } = calculate(BASE_INPUTS);
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'constant', 1, calculations.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    const headers = [...table.querySelectorAll('thead th')].map(th => plain(th.textContent));
+    assert.deepEqual(headers, [
+      'Year', 'Required Return (r)', 'Dividend (D)', 'Investment (P₀)', 'Total Cash Flow',
+      'Cumulative (undiscounted)', 'Discount Factor', 'PV of Dividend', 'Cumulative PV'
+    ]);
+    
+    const rows = table.querySelectorAll('tbody tr');
+    assert.equal(rows.length, 11);
+    const firstYear = [...rows[1].querySelectorAll('td')].map(td => plain(td.textContent));
+    assert.deepEqual(firstYear.slice(0, 5), ['1', '9.20%', 'USD 2.10', 'USD 0.00', 'USD 2.10']);
+    assert.equal(rows[0].querySelectorAll('td')[3].textContent.includes('(USD'), true);
+    
+    const footer = plain(table.querySelector('tfoot').textContent);
+    assert.match(footer, /Sum of present values = USD 50\.00, which equals the market price P₀ = USD 50\.00/);
+    assert.equal(table.querySelector('.table-pv-summary').getAttribute('colspan'), '9');
+  });
+  
+  test('adds a growth column for multi-stage models', () => {
+    const { calculations } = calculate(TWO_STAGE_INPUTS);
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'twoStage', 1, calculations.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    assert.equal(table.querySelectorAll('thead th').length, 10);
+    const cells = table.querySelectorAll('tbody tr')[6].querySelectorAll('td');
+    assert.equal(plain(cells[2].textContent), '5.00%');
+    assert.equal(cells[3].getAttribute('data-tooltip'), 'Dividend = D5 × (1 + 5.00%)');
+  });
+  
+  test('labels instalments and explains the timing gap', () => {
+    const { calculations } = calculate({ ...BASE_INPUTS, payoutFrequency: 'quarterly', projectionYears: 2 });
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'constant', 4, calculations.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    assert.equal(plain(table.querySelector('thead th').textContent), 'Payment');
+    assert.equal(plain(table.querySelectorAll('tbody tr')[2].querySelector('td').textContent), '1 Q2');
+    assert.match(text('.table-pv-summary'), /quarterly instalments arrive earlier/);
+  });
+  
+  test('shows the decline in the tooltips for negative growth', () => {
+    const { calculations } = calculate({ ...BASE_INPUTS, growthRate: -3 });
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'constant', 1, calculations.horizonValue);
+    
+    const cells = document.querySelectorAll('#cash-flow-table tbody tr')[2].querySelectorAll('td');
+    assert.equal(cells[2].getAttribute('data-tooltip'), 'Dividend = D₀ × (1 − 3.00%)^2');
+  });
+  
+  test('labels dated payments by date and values the rest at the last payment', () => {
+    const calculations = calculateDatedReturnMetrics(
+      { ...BASE_INPUTS, payoutFrequency: 'semiAnnual', projectionYears: 2 },
+      { purchaseDate: '2026-10-19', entry: 'frequency', firstPaymentDate: '2027-03-15' }
+    );
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'constant', 2, calculations.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    const rows = table.querySelectorAll('tbody tr');
+    assert.equal(plain(table.querySelector('thead th').textContent), 'Date');
+    assert.deepEqual([...rows].map(row => plain(row.querySelector('td').textContent)), [
+      'Oct 19, 2026', 'Mar 15, 2027', 'Sep 15, 2027', 'Mar 15, 2028', 'Sep 15, 2028'
+    ]);
+    assert.equal(rows[1].querySelectorAll('td')[2].getAttribute('data-tooltip'), 'Dividend = D₀ × (1 + 5.00%)^1 ÷ 2 (paid in year 1 after purchase)');
+    assert.match(rows[1].querySelectorAll('td')[6].getAttribute('data-tooltip'), /\^0\.4 \(days \/ 365\)$/);
+    assert.match(text('#cash-flow-table tfoot'), /PV of dividends after the last payment on Sep 15, 2028: TV = USD [\d.]+, discounted at [\d.]+% over 1\.91 years/);
+    assert.match(text('.table-pv-summary'), /which equals the market price P₀ = USD 50\.00/);
+  });
+  
+  test('puts a gap in a dated schedule down to the day count, not instalments', () => {
+    const calculations = calculateDatedReturnMetrics(BASE_INPUTS, { purchaseDate: '2025-01-01', entry: 'dates', paymentDates: '2025-12-31' });
+    const horizonValue = { ...calculations.horizonValue, presentValue: calculations.horizonValue.presentValue + 1 };
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'constant', 1, horizonValue);
+    
+    assert.match(text('.table-pv-summary'), /USD 1\.00 above P₀ = USD 50\.00: the payments are discounted over the actual days from the purchase date/);
+    assert.doesNotMatch(text('.table-pv-summary'), /instalments/);
+  });
+  
+  test('labels real cash flows and keeps the nominal dividend alongside', () => {
+    const real = toRealTerms(calculate(BASE_INPUTS).calculations, 2.5);
+    renderTable(real.cashFlows, real.requiredReturn, 'constant', 1, real.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    const headers = [...table.querySelectorAll('thead th')].map(th => plain(th.textContent));
+    assert.deepEqual(headers.slice(0, 4), ['Year', 'Real Required Return (r)', 'Real Dividend (D)', 'Nominal Dividend']);
+    
+    const cells = table.querySelectorAll('tbody tr')[1].querySelectorAll('td');
+    assert.deepEqual([...cells].slice(1, 4).map(td => plain(td.textContent)), ['6.54%', 'USD 2.05', 'USD 2.10']);
+    assert.equal(cells[2].getAttribute('data-tooltip'), 'Nominal dividend ÷ (1 + π)^1');
+    assert.match(text('.table-pv-summary'), /which equals the market price P₀ = USD 50\.00/);
+    assert.equal(table.querySelector('.table-pv-summary').getAttribute('colspan'), '10');
+  });
+  
+  test('adds an after-tax dividend column', () => {
+    const { calculations } = calculate(BASE_INPUTS);
+    renderTable(addAfterTaxDividends(calculations.cashFlows, 15), calculations.requiredReturn, 'constant', 1, calculations.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    const headers = [...table.querySelectorAll('thead th')].map(th => plain(th.textContent));
+    assert.deepEqual(headers.slice(2, 4), ['Dividend (D)', 'After-Tax Dividend']);
+    const cells = table.querySelectorAll('tbody tr')[1].querySelectorAll('td');
+    assert.equal(plain(cells[3].textContent), 'USD 1.79');
+    assert.equal(cells[3].getAttribute('data-tooltip'), 'Dividend × (1 − dividend tax rate)');
+    assert.equal(table.querySelector('.table-pv-summary').getAttribute('colspan'), '10');
+  });
+  
+  test('adds a net buybacks column in total payout mode', () => {
+    const { calculations } = calculate({ ...BASE_INPUTS, netBuyback: 1 });
+    renderTable(calculations.cashFlows, calculations.requiredReturn, 'constant', 1, calculations.horizonValue);
+    
+    const table = document.getElementById('cash-flow-table');
+    const headers = [...table.querySelectorAll('thead th')].map(th => plain(th.textContent));
+    assert.deepEqual(headers.slice(2, 5), ['Dividend (D)', 'Net Buybacks (B)', 'Investment (P₀)']);
+    assert.equal(headers[8], 'PV of Payout');
+    const firstYear = [...table.querySelectorAll('tbody tr')[1].querySelectorAll('td')].map(td => plain(td.textContent));
+    assert.deepEqual(firstYear.slice(0, 6), ['1', '11.30%', 'USD 2.10', 'USD 1.05', 'USD 0.00', 'USD 3.15']);
+    assert.match(plain(table.querySelector('tfoot').textContent), /Sum of present values = USD 50\.00/);
+  });
+});
+
+describe('renderResults', () => {
+  test('shows the required return and model summary', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderResults(calculations, params);
+    
+    assert.equal(text('.result-title.required-return'), 'Required Return');
+    assert.equal(text('.result-box.required-return .result-value'), '9.20%');
+    assert.match(text('.result-box.required-return .result-secondary'), /^Formula: r = \(D₁ \/ P₀\) \+ g/);
+    assert.equal(text('.result-box.required-return .result-secondary small'), 'Next dividend (D₁): USD 2.10');
+    const items = [...document.querySelectorAll('.model-info-list li')].map(li => plain(li.textContent));
+    assert.deepEqual(items, ['Dividend yield: 4.20%', 'Growth rate: 5.00%', 'Required return: 9.20%']);
+    assert.equal(document.querySelector('.result-box.cross-check'), null);
+  });
+  
+  test('shows the solved value when solving for price', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, marketPrice: 1, solveFor: 'marketPrice', targetReturn: 9.2 });
+    renderResults(calculations, params);
+    
+    assert.equal(text('.result-title.required-return'), 'Implied Market Price');
+    assert.equal(text('.result-box.required-return .result-value'), 'USD 50.00');
+  });
+  
+  test('lists the multi-stage growth path', () => {
+    const { calculations, params } = calculate(TWO_STAGE_INPUTS);
+    renderResults(calculations, params);
+    
+    assert.equal(text('.result-title.model-info'), 'Two-Stage Dividend Discount Model');
+    assert.match(text('.model-info-list'), /High growth rate: 10\.00% for 5 years/);
+  });
+  
+  test('explains negative growth', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, growthRate: -3 });
+    renderResults(calculations, params);
+    
+    assert.equal(
+      text('.model-info-note'),
+      'Negative growth: Dividends shrink 3.00% a year, so D₁ = D₀ × (1 − 3.00%) = USD 1.94 is below D₀ = USD 2.00. ' +
+      'The dividend yield has to make up for the decline, so r = 3.88% − 3.00% = 0.88% is below the yield.'
+    );
+  });
+  
+  test('leaves out the explanation for positive growth', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderResults(calculations, params);
+    
+    assert.equal(document.querySelector('.model-info-note'), null);
+  });
+  
+  test('adds the cross-check box when a method is enabled', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    const crossChecks = calculateCostOfEquityEstimates({ capmEnabled: true, riskFreeRate: 4, beta: 1.2, equityRiskPremium: 5 }, calculations.requiredReturn);
+    renderResults(calculations, params, [], crossChecks);
+    
+    assert.equal(text('.result-box.cross-check .result-title'), 'Cost of Equity Cross-Check');
+    const cells = [...document.querySelectorAll('.result-box.cross-check tbody td, .result-box.cross-check tbody th')].map(cell => plain(cell.textContent));
+    assert.ok(cells.includes('10.00%'));
+    assert.ok(cells.some(cell => cell.startsWith('−0.80 pp')));
+  });
+  
+  test('adds nominal and real rates after the required return', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderResults(calculations, params);
+    annotateRealReturn(calculateRealReturn(calculations, 2.5));
+    
+    const box = document.querySelector('.result-box.required-return').nextElementSibling;
+    assert.ok(box.classList.contains('real-return'));
+    const rows = [...box.querySelectorAll('tbody tr')].map(row => plain(row.textContent).split(' ').slice(-2));
+    assert.deepEqual(rows, [['9.20%', '6.54%'], ['5.00%', '2.44%']]);
+    assert.match(text('.result-box.real-return .result-secondary'), /π = 2\.50%\.$/);
+    
+    annotateRealReturn(null);
+    assert.equal(document.querySelector('.result-box.real-return'), null);
+  });
+  
+  test('adds pre-tax and after-tax cards', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderResults(calculations, params);
+    annotateAfterTaxReturn(calculateAfterTaxReturn(calculations, { dividendTaxRate: 15, capitalGainsTaxRate: 20 }));
+    
+    assert.equal(text('.result-box.pre-tax-return .result-value'), '9.20%');
+    assert.equal(text('.result-box.pre-tax-return .result-secondary'), 'Dividend yield 4.20% + capital gain 5.00%');
+    assert.equal(text('.result-box.after-tax-return .result-value'), '7.57%');
+    assert.equal(
+      text('.result-box.after-tax-return .result-secondary'),
+      '4.20% × (1 − 15.00%) + 5.00% × (1 − 20.00%) = 3.57% + 4.00%Tax drag: 1.63 pp'
+    );
+  });
+  
+  test('adds buybacks to the yield in total payout mode', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, netBuyback: 1 });
+    renderResults(calculations, params);
+    
+    assert.equal(text('.result-box.required-return .result-value'), '11.30%');
+    assert.match(text('.result-box.required-return .result-secondary'), /^Formula: r = \(D₁ \+ B₁\) \/ P₀ \+ g/);
+    assert.equal(text('.result-box.required-return .result-secondary small'), 'Next dividend (D₁): USD 2.10, net buybacks (B₁): USD 1.05');
+    const items = [...document.querySelectorAll('.model-info-list li')].map(li => plain(li.textContent));
+    assert.deepEqual(items, [
+      'Dividend yield: 4.20%', 'Net buyback yield: 2.10%', 'Total shareholder yield: 6.30%', 'Growth rate: 5.00%', 'Required return: 11.30%'
+    ]);
+  });
+});
+
+describe('renderSensitivityTable', () => {
+  const SETTINGS = { growthSpread: 1, growthStep: 1, priceSpread: 10, priceStep: 10 };
+  
+  test('lays out growth rows and price columns', () => {
+    renderSensitivityTable(generateSensitivityGrid(BASE_INPUTS, SETTINGS), 9);
+    
+    const headers = [...document.querySelectorAll('#sensitivity-table thead th')].map(cell => plain(cell.textContent));
+    assert.deepEqual(headers.slice(1), ['USD 45.00', 'USD 50.00', 'USD 55.00']);
+    const rows = [...document.querySelectorAll('#sensitivity-table tbody th')].map(cell => plain(cell.textContent));
+    assert.deepEqual(rows, ['4.00%', '5.00%', '6.00%']);
+    assert.equal(document.querySelectorAll('#sensitivity-table tbody td').length, 9);
+  });
+  
+  test('marks cells against the hurdle rate and outlines the base case', () => {
+    renderSensitivityTable(generateSensitivityGrid(BASE_INPUTS, SETTINGS), 9);
+    
+    const base = document.querySelector('#sensitivity-table .sensitivity-base-cell');
+    assert.match(text('#sensitivity-table .sensitivity-base-cell'), /^9\.20%, meets hurdle, base case$/);
+    assert.ok(base.classList.contains('sensitivity-meets'));
+    assert.equal(plain(base.dataset.tooltip), 'g = 5.00%, P₀ = USD 50.00 (base case)');
+    
+    // Higher prices lower r below the hurdle
+    const [, , dearer] = base.parentElement.querySelectorAll('td');
+    assert.ok(dearer.classList.contains('sensitivity-below'));
+    assert.match(document.getElementById('sensitivity-table').getAttribute('aria-label'), /hurdle rate of 9\.00%/);
+  });
+});
+
+describe('renderDynamicEquation', () => {
+  test('renders the Gordon formula as MathML with the values', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderDynamicEquation(calculations, params);
+    
+    const container = document.getElementById('dynamic-mathml-equation');
+    const math = container.querySelector('math');
+    assert.ok(math);
+    assert.equal(math.getAttribute('xmlns'), 'http://www.w3.org/1998/Math/MathML');
+    assert.equal(math.querySelectorAll('mfrac').length, 2);
+    const values = [...math.querySelectorAll('mtext')].map(node => plain(node.textContent));
+    assert.deepEqual(values.slice(1), ['USD 2.10', 'USD 50.00', '5.00%', '9.20%']);
+    assert.match(plain(container.textContent), /Dividend yield: 4\.20% \+ Growth rate: 5\.00% = Required return: 9\.20%/);
+  });
+  
+  test('brackets a negative growth rate', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, growthRate: -3 });
+    renderDynamicEquation(calculations, params);
+    
+    const container = document.getElementById('dynamic-mathml-equation');
+    const values = [...container.querySelectorAll('mtext')].map(node => plain(node.textContent));
+    assert.deepEqual(values.slice(1), ['USD 1.94', 'USD 50.00', '(-3.00%)', '0.88%']);
+    assert.match(plain(container.textContent), /Dividend yield: 3\.88% − Dividend decline: 3\.00% = Required return: 0\.88%/);
+    assert.match(text('#equation-live-region'), /minus the dividend decline rate 3\.00%\.$/);
+  });
+  
+  test('announces the result', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderDynamicEquation(calculations, params);
+    
+    assert.match(text('#equation-live-region'), /^Required return equals 9\.20%\./);
+  });
+  
+  test('renders the rearranged formula when solving for price', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, marketPrice: 1, solveFor: 'marketPrice', targetReturn: 9.2 });
+    renderDynamicEquation(calculations, params);
+    
+    assert.match(text('#dynamic-mathml-equation'), /= USD 50\.00 Check: dividend yield 4\.20% \+ growth rate 5\.00% = required return 9\.20%/);
+  });
+  
+  test('checks a solved price against the target return, net of a dividend decline', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, growthRate: -3, marketPrice: 1, solveFor: 'marketPrice', targetReturn: 4.5 });
+    renderDynamicEquation(calculations, params);
+    
+    assert.match(text('#dynamic-mathml-equation'), /Check: dividend yield 7\.50% − dividend decline 3\.00% = required return 4\.50%$/);
+  });
+  
+  test('splits the price into stages for multi-stage models', () => {
+    const { calculations, params } = calculate(TWO_STAGE_INPUTS);
+    renderDynamicEquation(calculations, params);
+    
+    const container = document.getElementById('dynamic-mathml-equation');
+    assert.ok(container.querySelector('munderover'));
+    assert.match(plain(container.textContent), /USD 50\.00 = USD 9\.95 \+ USD 40\.05 ⇒ r = 10\.20%/);
+  });
+  
+  test('converts r to a real return after the model equation', () => {
+    const { calculations, params } = calculate(BASE_INPUTS);
+    renderDynamicEquation(calculations, { ...params, realReturn: calculateRealReturn(calculations, 2.5) });
+    
+    const step = document.querySelector('#dynamic-mathml-equation .fisher-step');
+    assert.deepEqual([...step.querySelectorAll('mtext')].slice(1).map(node => plain(node.textContent)), ['9.20%', '2.50%', '6.54%']);
+    assert.match(text('.fisher-note'), /Real growth: \(1 \+ 5\.00%\) \/ \(1 \+ 2\.50%\) − 1 = 2\.44%$/);
+    assert.match(text('#equation-live-region'), /the real required return is 1 plus 9\.20%, divided by 1 plus 2\.50%, minus 1, which is 6\.54%\./);
+  });
+  
+  test('adds buybacks to the numerator in total payout mode', () => {
+    const { calculations, params } = calculate({ ...BASE_INPUTS, netBuyback: 1 });
+    renderDynamicEquation(calculations, params);
+    
+    const container = document.getElementById('dynamic-mathml-equation');
+    const values = [...container.querySelectorAll('mtext')].map(node => plain(node.textContent));
+    assert.deepEqual(values.slice(1), ['USD 2.10', 'USD 1.05', 'USD 50.00', '5.00%', '11.30%']);
+    assert.match(plain(container.textContent), /Total shareholder yield: 6\.30% \(dividends 4\.20% \+ net buybacks 2\.10%\)/);
+    assert.match(text('#equation-live-region'), /plus net buybacks USD 1\.05 divided by current market price/);
+  });
+});
+
+describe('renderGrowthEstimates', () => {
+  const history = 'date,dividend\n2021-06-15,1.00\n2022-06-15,1.10\n2023-06-15,1.21';
+  
+  test('lists each estimate with a button to use it', () => {
+    renderGrowthEstimates(analyzeDividendHistory(history), 'cagr');
+    
+    const rows = [...document.querySelectorAll('#growth-estimates tbody tr')].map(row => plain(row.textContent));
+    assert.deepEqual(rows, [
+      'Compound annual growth (CAGR) 10.00% Use',
+      'Log-linear regression 10.00% Use',
+      'Mean of year-over-year changes 10.00% Use'
+    ]);
+    assert.equal(document.querySelector('[data-growth-estimate="cagr"]').getAttribute('aria-pressed'), 'true');
+    assert.equal(document.querySelector('[data-growth-estimate="logLinear"]').getAttribute('aria-pressed'), 'false');
+    assert.match(text('#growth-estimates .table-note'), /latest dividend of USD 1\.21 \(2023-06-15\), paid once a year, annualizes to D₀ = USD 1\.21/);
+  });
+});
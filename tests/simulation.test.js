@@ -0,0 +1,131 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRandom,
+  sampleDistribution,
+  percentile,
+  buildHistogram,
+  runMonteCarlo
+} from '../return-modules/simulation.js';
+
+function assertClose(actual, expected, tolerance = 1e-9) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+const BASE_INPUTS = { marketPrice: 50, currentDividend: 2, growthRate: 5, model: 'constant' };
+
+const FIXED = { distribution: 'fixed', stdDev: 0, min: 0, max: 0 };
+
+const SETTINGS = {
+  growth: { distribution: 'normal', stdDev: 1, min: 0, max: 0 },
+  dividend: { distribution: 'uniform', stdDev: 0, min: 1.8, max: 2.2 },
+  price: { distribution: 'triangular', stdDev: 0, min: 45, max: 60 },
+  draws: 2000,
+  seed: 42
+};
+
+describe('createRandom', () => {
+  test('repeats the sequence for the same seed', () => {
+    const first = createRandom(7);
+    const second = createRandom(7);
+    const draws = Array.from({ length: 5 }, () => first());
+    assert.deepEqual(Array.from({ length: 5 }, () => second()), draws);
+    draws.forEach(value => assert.ok(value >= 0 && value < 1));
+  });
+  
+  test('gives a different sequence for a different seed', () => {
+    assert.notEqual(createRandom(7)(), createRandom(8)());
+  });
+});
+
+describe('sampleDistribution', () => {
+  test('returns the base for a fixed input', () => {
+    assert.equal(sampleDistribution(FIXED, 5, createRandom(1)), 5);
+  });
+  
+  test('maps the uniform draw onto min to max', () => {
+    assert.equal(sampleDistribution({ distribution: 'uniform', min: 2, max: 6 }, 4, () => 0.25), 3);
+  });
+  
+  test('inverts the triangular CDF either side of the mode', () => {
+    const spec = { distribution: 'triangular', min: 0, max: 10 };
+    // Half the area lies below a mode of 5, so u = 0.5 lands on it
+    assertClose(sampleDistribution(spec, 5, () => 0.5), 5);
+    assertClose(sampleDistribution(spec, 5, () => 0.125), Math.sqrt(0.125 * 50));
+    assertClose(sampleDistribution(spec, 5, () => 0.875), 10 - Math.sqrt(0.125 * 50));
+  });
+  
+  test('centres normal draws on the base', () => {
+    const random = createRandom(3);
+    const spec = { distribution: 'normal', stdDev: 2 };
+    const draws = Array.from({ length: 4000 }, () => sampleDistribution(spec, 5, random));
+    const mean = draws.reduce((sum, value) => sum + value, 0) / draws.length;
+    assertClose(mean, 5, 0.1);
+  });
+});
+
+describe('percentile', () => {
+  test('interpolates between ranks', () => {
+    const sorted = [1, 2, 3, 4, 5];
+    assert.equal(percentile(sorted, 0), 1);
+    assert.equal(percentile(sorted, 50), 3);
+    assert.equal(percentile(sorted, 100), 5);
+    assert.equal(percentile(sorted, 10), 1.4);
+    assert.equal(percentile([10, 20], 25), 12.5);
+  });
+  
+  test('returns NaN for no values', () => {
+    assert.ok(Number.isNaN(percentile([], 50)));
+  });
+});
+
+describe('buildHistogram', () => {
+  test('counts each value once, with the maximum in the last bin', () => {
+    const bins = buildHistogram([0, 1, 2, 3, 4, 10], 5);
+    assert.deepEqual(bins.map(bin => bin.count), [2, 2, 1, 0, 1]);
+    assert.equal(bins[0].start, 0);
+    assert.equal(bins[4].end, 10);
+  });
+  
+  test('puts identical values in one bin', () => {
+    assert.deepEqual(buildHistogram([4, 4, 4], 3).map(bin => bin.count), [3, 0, 0]);
+  });
+});
+
+describe('runMonteCarlo', () => {
+  test('gives identical percentiles for the same seed', () => {
+    const first = runMonteCarlo(BASE_INPUTS, SETTINGS);
+    const second = runMonteCarlo(BASE_INPUTS, SETTINGS);
+    assert.deepEqual([second.p5, second.p50, second.p95], [first.p5, first.p50, first.p95]);
+    assert.equal(first.completed, 2000);
+    assert.ok(first.p5 < first.p50 && first.p50 < first.p95);
+  });
+  
+  test('gives different percentiles for a different seed', () => {
+    const first = runMonteCarlo(BASE_INPUTS, SETTINGS);
+    const second = runMonteCarlo(BASE_INPUTS, { ...SETTINGS, seed: 43 });
+    assert.notDeepEqual([second.p5, second.p50, second.p95], [first.p5, first.p50, first.p95]);
+  });
+  
+  test('reduces to the base case when every input is fixed', () => {
+    // r = 2 × 1.05 / 50 + 0.05
+    const result = runMonteCarlo(BASE_INPUTS, { growth: FIXED, dividend: FIXED, price: FIXED, draws: 10, seed: 1 });
+    assertClose(result.p5, 9.2);
+    assertClose(result.p95, 9.2);
+    assert.equal(result.discarded, 0);
+  });
+  
+  test('counts discarded draws with a non-positive price or negative dividend', () => {
+    const result = runMonteCarlo(BASE_INPUTS, {
+      ...SETTINGS,
+      dividend: { distribution: 'uniform', min: -2, max: 2 },
+      price: FIXED
+    });
+    assert.ok(result.discarded > 0);
+    assert.equal(result.completed + result.discarded, result.draws);
+    assert.equal(result.histogram.reduce((sum, bin) => sum + bin.count, 0), result.completed);
+  });
+});
@@ -0,0 +1,81 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { state, setState, subscribe } from '../return-modules/state.js';
+
+let saved;
+let unsubscribe;
+
+beforeEach(() => {
+  saved = { ...state };
+});
+
+afterEach(() => {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+  Object.assign(state, saved);
+});
+
+/**
+ * Subscribe a callback that records each call
+ * @param {Function} selector - Optional selector
+ * @returns {Array} The selection passed to each call
+ */
+function record(selector) {
+  const calls = [];
+  unsubscribe = subscribe((current, selected) => calls.push(selected), selector);
+  return calls;
+}
+
+describe('setState', () => {
+  test('merges the updates into the state', () => {
+    setState({ marketPrice: 60 });
+    assert.equal(state.marketPrice, 60);
+    assert.equal(state.currentDividend, saved.currentDividend);
+  });
+});
+
+describe('subscribe', () => {
+  test('calls a callback without a selector on every update', () => {
+    const calls = record();
+    setState({ errors: {} });
+    setState({ viewMode: state.viewMode });
+    assert.equal(calls.length, 2);
+  });
+  
+  test('calls a selector callback only when its slice changes', () => {
+    const calls = record(s => [s.marketPrice, s.viewMode]);
+    setState({ errors: { growthRate: 'Required' } });
+    setState({ marketPrice: state.marketPrice });
+    assert.equal(calls.length, 0);
+    
+    setState({ marketPrice: 61 });
+    assert.deepEqual(calls, [[61, state.viewMode]]);
+  });
+  
+  test('compares the slice one level deep', () => {
+    const calls = record(s => s.sensitivity);
+    
+    // A new object holding the same values is no change
+    setState({ sensitivity: { ...state.sensitivity } });
+    assert.equal(calls.length, 0);
+    
+    setState({ sensitivity: { ...state.sensitivity, hurdleRate: 11 } });
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].hurdleRate, 11);
+  });
+  
+  test('compares against the last selection it was called with', () => {
+    const calls = record(s => s.growthRate);
+    setState({ growthRate: 3 });
+    setState({ growthRate: 3 });
+    setState({ growthRate: saved.growthRate });
+    assert.deepEqual(calls, [3, saved.growthRate]);
+  });
+  
+  test('stops calling after unsubscribing', () => {
+    const calls = record();
+    unsubscribe();
+    setState({ marketPrice: 62 });
+    assert.equal(calls.length, 0);
+  });
+});
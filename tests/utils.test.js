@@ -0,0 +1,153 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { plain } from './dom.js';
+import {
+  formatCurrency,
+  formatPercentage,
+  formatNumber,
+  formatPeriod,
+  formatDate,
+  setNumberFormat,
+  getNumberFormat,
+  escapeHTML,
+  updateErrorList,
+  syncNumberFields
+} from '../return-modules/utils.js';
+
+afterEach(() => {
+  setNumberFormat({ currency: 'USD', locale: 'en-US' });
+});
+
+describe('formatCurrency', () => {
+  test('shows the currency code and two decimals', () => {
+    assert.equal(plain(formatCurrency(2.1)), 'USD 2.10');
+    assert.equal(plain(formatCurrency(1234.5)), 'USD 1,234.50');
+  });
+  
+  test('shows negatives in accounting style', () => {
+    assert.equal(plain(formatCurrency(-50)), '(USD 50.00)');
+  });
+  
+  test('shows a minus sign when signed', () => {
+    assert.equal(plain(formatCurrency(-50, true)), '-USD 50.00');
+  });
+  
+  test('never shows negative zero', () => {
+    assert.equal(plain(formatCurrency(-0)), 'USD 0.00');
+  });
+  
+  test('drops the code for axis labels', () => {
+    assert.equal(formatCurrency(1234.5, false, { code: false }), '1,234.50');
+    assert.equal(formatCurrency(1234.5, false, { code: false, decimals: 0 }), '1,235');
+  });
+  
+  test('follows the chosen currency and locale', () => {
+    setNumberFormat({ currency: 'EUR', locale: 'de-DE' });
+    assert.equal(plain(formatCurrency(1234.5)), '1.234,50 EUR');
+    assert.deepEqual(getNumberFormat(), { currency: 'EUR', locale: 'de-DE' });
+  });
+  
+  test('uses the currency\'s own minor units', () => {
+    setNumberFormat({ currency: 'JPY' });
+    assert.equal(plain(formatCurrency(1234.5)), 'JPY 1,235');
+  });
+});
+
+describe('formatPercentage', () => {
+  test('takes percentage points and shows two decimals', () => {
+    assert.equal(formatPercentage(9.2), '9.20%');
+    assert.equal(formatPercentage(0), '0.00%');
+  });
+  
+  test('respects the decimals argument', () => {
+    assert.equal(formatPercentage(11.2345, 1), '11.2%');
+    assert.equal(formatPercentage(-1.5, 1), '-1.5%');
+  });
+  
+  test('follows the chosen locale', () => {
+    setNumberFormat({ locale: 'de-DE' });
+    assert.equal(plain(formatPercentage(9.2)), '9,20 %');
+  });
+});
+
+describe('formatNumber', () => {
+  test('pads to the minimum decimals', () => {
+    assert.equal(formatNumber(0.5, 4), '0.5000');
+    assert.equal(formatNumber(0.5, 2, 0), '0.5');
+    assert.equal(formatNumber(2, 2, 0), '2');
+  });
+});
+
+describe('formatPeriod', () => {
+  test('labels annual rows by year', () => {
+    assert.equal(formatPeriod({ year: 3, periodInYear: 1 }), '3');
+  });
+  
+  test('labels instalments within the year', () => {
+    assert.equal(formatPeriod({ year: 3, periodInYear: 2 }, 4), '3 Q2');
+    assert.equal(formatPeriod({ year: 3, periodInYear: 2 }, 2, true), 'Year 3, half 2');
+  });
+  
+  test('labels the purchase as year 0', () => {
+    assert.equal(formatPeriod({ year: 0, periodInYear: 0 }, 4), '0');
+  });
+  
+  test('labels dated payments by date', () => {
+    assert.equal(formatPeriod({ year: 1, periodInYear: 2, date: '2027-03-15' }, 4), 'Mar 15, 2027');
+    assert.equal(formatPeriod({ year: 1, periodInYear: 2, date: '2027-03-15' }, 4, true), 'March 15, 2027');
+  });
+});
+
+describe('formatDate', () => {
+  test('follows the locale', () => {
+    assert.equal(formatDate('2027-03-05'), 'Mar 5, 2027');
+    setNumberFormat({ locale: 'de-DE' });
+    assert.equal(formatDate('2027-03-05', true), '5. März 2027');
+  });
+});
+
+describe('escapeHTML', () => {
+  test('escapes markup', () => {
+    assert.equal(escapeHTML('<b>"A" & B</b>'), '&lt;b&gt;"A" &amp; B&lt;/b&gt;');
+  });
+});
+
+describe('syncNumberFields', () => {
+  const FIELDS = [{ id: 'dividend-tax-rate', field: 'dividendTaxRate' }, { id: 'purchase-date', field: 'purchaseDate' }];
+  
+  test('writes the values into their inputs', () => {
+    syncNumberFields(FIELDS, { dividendTaxRate: 20, purchaseDate: '2026-01-05' });
+    assert.equal(document.getElementById('dividend-tax-rate').value, '20');
+    assert.equal(document.getElementById('purchase-date').value, '2026-01-05');
+  });
+  
+  test('leaves an input already showing the value as typed', () => {
+    const input = document.getElementById('dividend-tax-rate');
+    input.value = '20.0';
+    syncNumberFields(FIELDS, { dividendTaxRate: 20, purchaseDate: '' });
+    assert.equal(input.value, '20.0');
+  });
+});
+
+describe('updateErrorList', () => {
+  test('lists each message, escaping quoted text', () => {
+    updateErrorList('dividend-history-errors', { history: "Row 1: date '<b>x</b>' is not in YYYY-MM-DD form", file: 'Empty file' });
+    
+    const list = document.getElementById('dividend-history-errors');
+    assert.equal(list.hidden, false);
+    assert.equal(list.querySelector('b'), null);
+    assert.deepEqual([...list.querySelectorAll('li')].map(item => item.textContent), [
+      "Row 1: date '<b>x</b>' is not in YYYY-MM-DD form",
+      'Empty file'
+    ]);
+  });
+  
+  test('empties and hides the list when there are no errors', () => {
+    updateErrorList('tax-errors', { dividendTaxRate: 'Required' });
+    updateErrorList('tax-errors', {});
+    
+    const list = document.getElementById('tax-errors');
+    assert.equal(list.hidden, true);
+    assert.equal(list.children.length, 0);
+  });
+});
@@ -0,0 +1,216 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { plain } from './dom.js';
+import {
+  validateField,
+  validateAllInputs,
+  getRelevantErrors,
+  validateSolveFor,
+  validateSustainableGrowth,
+  validateSensitivityField,
+  validateCrossCheckSettings,
+  validatePaymentSchedule,
+  validateInflationSettings,
+  validateTaxSettings,
+  validateTotalPayout,
+  validateAssumptions
+} from '../return-modules/validation.js';
+import { calculateRequiredReturnMetrics } from '../return-modules/calculations.js';
+import { setNumberFormat } from '../return-modules/utils.js';
+
+const VALID_INPUTS = {
+  marketPrice: 50,
+  currentDividend: 2,
+  growthRate: 5,
+  targetReturn: 9.2,
+  highGrowthRate: 10,
+  highGrowthYears: 5,
+  projectionYears: 10,
+  roe: 12.5,
+  retentionRatio: 40,
+  payoutRatio: 60,
+  eps: 5
+};
+
+afterEach(() => {
+  setNumberFormat({ currency: 'USD', locale: 'en-US' });
+});
+
+describe('validateField', () => {
+  test('accepts values on the boundaries', () => {
+    assert.equal(validateField('marketPrice', 1), null);
+    assert.equal(validateField('marketPrice', 500), null);
+    assert.equal(validateField('currentDividend', 0), null);
+    assert.equal(validateField('growthRate', 0), null);
+    assert.equal(validateField('growthRate', 25), null);
+  });
+  
+  test('rejects values just outside the range', () => {
+    assert.equal(validateField('growthRate', -20.01), 'Growth rate must be between -20% and 25%');
+    assert.equal(validateField('growthRate', 25.01), 'Growth rate must be between -20% and 25%');
+    assert.equal(validateField('highGrowthYears', 31), 'High-growth period must be between 1 years and 30 years');
+  });
+  
+  test('formats currency limits in the chosen currency', () => {
+    assert.equal(plain(validateField('marketPrice', 0.99)), 'Market price must be between USD 1.00 and USD 500.00');
+    setNumberFormat({ currency: 'EUR', locale: 'de-DE' });
+    assert.equal(plain(validateField('marketPrice', 501)), 'Market price must be between 1,00 EUR and 500,00 EUR');
+  });
+  
+  test('requires a value', () => {
+    assert.equal(validateField('marketPrice', NaN), 'Market price is required');
+    assert.equal(validateField('marketPrice', ''), 'Market price is required');
+    assert.equal(validateField('marketPrice', null), 'Market price is required');
+    assert.equal(validateField('marketPrice', undefined), 'Market price is required');
+  });
+  
+  test('requires whole numbers for integer fields', () => {
+    assert.equal(validateField('projectionYears', 10.5), 'Projection horizon must be a whole number');
+    assert.equal(validateField('projectionYears', 10), null);
+  });
+  
+  test('ignores unknown fields', () => {
+    assert.equal(validateField('unknown', -1), null);
+  });
+  
+  test('validates against another rule set', () => {
+    assert.equal(validateSensitivityField('growthStep', 0.05), null);
+    assert.equal(validateSensitivityField('growthStep', 0.04), 'Growth step must be between 0.05 pp and 5 pp');
+  });
+});
+
+describe('validateAllInputs', () => {
+  test('returns no errors for valid inputs', () => {
+    assert.deepEqual(validateAllInputs(VALID_INPUTS), {});
+  });
+  
+  test('returns one error per invalid field', () => {
+    const errors = validateAllInputs({ ...VALID_INPUTS, marketPrice: 0, growthRate: 30 });
+    assert.deepEqual(Object.keys(errors).sort(), ['growthRate', 'marketPrice']);
+  });
+});
+
+describe('getRelevantErrors', () => {
+  const errors = { highGrowthYears: 'x', targetReturn: 'x', roe: 'x', growthRate: 'x' };
+  
+  test('drops multi-stage, sustainable and target fields for the constant model', () => {
+    assert.deepEqual(getRelevantErrors(errors, { model: 'constant' }), { growthRate: 'x' });
+  });
+  
+  test('drops g and keeps the basis fields in sustainable mode', () => {
+    const relevant = getRelevantErrors(errors, { model: 'twoStage', growthInput: 'sustainable' });
+    assert.deepEqual(Object.keys(relevant).sort(), ['highGrowthYears', 'roe']);
+  });
+  
+  test('drops the solved field and keeps the target return', () => {
+    const relevant = getRelevantErrors(errors, { model: 'constant', solveFor: 'growthRate' });
+    assert.deepEqual(relevant, { targetReturn: 'x' });
+  });
+});
+
+describe('cross-field rules', () => {
+  test('solving for price needs g below r', () => {
+    assert.deepEqual(validateSolveFor('marketPrice', { currentDividend: 2, growthRate: 9.2, targetReturn: 9.2 }), {
+      solveFor: 'Growth rate must be less than required return'
+    });
+    assert.deepEqual(validateSolveFor('marketPrice', { currentDividend: 2, growthRate: 5, targetReturn: 9.2 }), {});
+  });
+  
+  test('solving for price needs a dividend', () => {
+    const errors = validateSolveFor('marketPrice', { currentDividend: 0, growthRate: 5, targetReturn: 9.2 });
+    assert.equal(errors.solveFor, 'Current dividend must be greater than zero to solve for market price');
+  });
+  
+  test('sustainable growth must fall within the growth range', () => {
+    const errors = validateSustainableGrowth({
+      ...VALID_INPUTS, growthInput: 'sustainable', retentionBasis: 'retention', roe: 60, retentionRatio: 50
+    });
+    assert.equal(errors.sustainableGrowth, 'Sustainable growth b × ROE = 30.00% must be between -20% and 25%');
+  });
+  
+  test('only enabled cross-checks are validated', () => {
+    const settings = { capmEnabled: true, riskFreeRate: 4, beta: 6, equityRiskPremium: 5, bondYieldEnabled: false, bondYield: -1 };
+    assert.deepEqual(validateCrossCheckSettings(settings), { beta: 'Beta must be between 0 and 5' });
+  });
+  
+  test('dated payments must follow the purchase', () => {
+    const schedule = { dated: true, purchaseDate: '2026-10-19', entry: 'frequency', firstPaymentDate: '2026-12-15', paymentDates: '' };
+    assert.deepEqual(validatePaymentSchedule(schedule), {});
+    assert.deepEqual(validatePaymentSchedule({ ...schedule, dated: false, purchaseDate: '' }), {});
+    assert.deepEqual(validatePaymentSchedule({ ...schedule, purchaseDate: '2026-19-10' }), {
+      purchaseDate: 'Purchase date must be a date in YYYY-MM-DD form'
+    });
+    assert.deepEqual(validatePaymentSchedule({ ...schedule, firstPaymentDate: '2026-10-19' }), {
+      firstPaymentDate: 'First payment must fall after the purchase date'
+    });
+    assert.deepEqual(validatePaymentSchedule({ ...schedule, firstPaymentDate: '2027-12-15' }), {
+      firstPaymentDate: 'First payment must fall within a year of the purchase date'
+    });
+  });
+  
+  test('listed payment dates are checked one by one', () => {
+    const schedule = { dated: true, purchaseDate: '2026-10-19', entry: 'dates', paymentDates: '2026-12-15\n2027-06-15' };
+    assert.deepEqual(validatePaymentSchedule(schedule), {});
+    assert.equal(validatePaymentSchedule({ ...schedule, paymentDates: ' ' }).paymentDates, 'Enter at least one payment date');
+    assert.equal(validatePaymentSchedule({ ...schedule, paymentDates: '2026-12-15\n15/06/2027' }).paymentDates, "Payment date '15/06/2027' must be in YYYY-MM-DD form");
+    assert.equal(validatePaymentSchedule({ ...schedule, paymentDates: '2026-09-15' }).paymentDates, 'Payment dates must fall after the purchase date');
+    assert.equal(validatePaymentSchedule({ ...schedule, paymentDates: '2077-01-15' }).paymentDates, 'Payment dates must fall within 50 years of the purchase date');
+  });
+  
+  test('inflation is checked only when real returns are shown', () => {
+    assert.deepEqual(validateInflationSettings({ enabled: true, rate: 2.5 }), {});
+    assert.deepEqual(validateInflationSettings({ enabled: false, rate: 40 }), {});
+    assert.deepEqual(validateInflationSettings({ enabled: true, rate: 40 }), { rate: 'Inflation rate must be between -5% and 25%' });
+    assert.deepEqual(validateInflationSettings({ enabled: true, rate: NaN }), { rate: 'Inflation rate is required' });
+  });
+  
+  test('tax rates are checked only when after-tax returns are shown', () => {
+    const tax = { enabled: true, dividendTaxRate: 15, capitalGainsTaxRate: 20 };
+    assert.deepEqual(validateTaxSettings(tax), {});
+    assert.deepEqual(validateTaxSettings({ ...tax, enabled: false, dividendTaxRate: 80 }), {});
+    assert.deepEqual(validateTaxSettings({ ...tax, dividendTaxRate: 80, capitalGainsTaxRate: -1 }), {
+      dividendTaxRate: 'Dividend tax rate must be between 0% and 60%',
+      capitalGainsTaxRate: 'Capital gains tax rate must be between 0% and 60%'
+    });
+  });
+  
+  test('share issuance may not exceed dividends plus buybacks', () => {
+    const totalPayout = { enabled: true, basis: 'perShare', buybacks: 1, issuance: 0 };
+    assert.deepEqual(validateTotalPayout(totalPayout, VALID_INPUTS), {});
+    assert.deepEqual(validateTotalPayout({ ...totalPayout, issuance: 2.5 }, VALID_INPUTS), {});
+    assert.deepEqual(validateTotalPayout({ ...totalPayout, issuance: 3.5 }, VALID_INPUTS), {
+      issuance: 'Share issuance cannot exceed dividends plus buybacks'
+    });
+    assert.deepEqual(validateTotalPayout({ ...totalPayout, enabled: false, issuance: 3.5 }, VALID_INPUTS), {});
+    assert.deepEqual(Object.keys(validateTotalPayout({ ...totalPayout, basis: 'yield', buybacks: 30 }, VALID_INPUTS)), ['buybacks']);
+  });
+});
+
+describe('validateAssumptions', () => {
+  const warningKeys = inputs => validateAssumptions(calculateRequiredReturnMetrics({ ...VALID_INPUTS, model: 'constant', ...inputs }))
+    .map(warning => warning.key);
+  
+  test('returns no warnings for plausible inputs', () => {
+    assert.deepEqual(warningKeys({}), []);
+  });
+  
+  test('flags growth above long-run GDP growth', () => {
+    const [warning] = validateAssumptions(calculateRequiredReturnMetrics({ ...VALID_INPUTS, model: 'constant', growthRate: 6 }));
+    assert.equal(warning.key, 'growthAboveGdp');
+    assert.match(warning.message, /^Growth rate \(g\) of 6\.00% is above long-run nominal GDP growth of about 5%/);
+  });
+  
+  test('flags a very high dividend yield', () => {
+    assert.deepEqual(warningKeys({ currentDividend: 6 }), ['highDividendYield']);
+  });
+  
+  test('flags a required return that is not positive', () => {
+    const [warning] = validateAssumptions(calculateRequiredReturnMetrics({ ...VALID_INPUTS, model: 'constant', growthRate: -20 }));
+    assert.equal(warning.key, 'returnEqualsGrowth');
+    assert.equal(warning.message, 'Required return -16.80% is not positive: the dividend yield does not make up for dividends shrinking 20.00% a year');
+  });
+  
+  test('flags r equal to g when there is no dividend', () => {
+    assert.deepEqual(warningKeys({ currentDividend: 0 }), ['returnEqualsGrowth']);
+  });
+});